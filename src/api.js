@@ -0,0 +1,263 @@
+const { Client } = require("pg");
+const { useClient } = require("./db");
+const { seedTable } = require("./seed");
+const { buildPlan } = require("./planner");
+const { findTableInDatabase } = require("./queries");
+const { DEFAULT_OPTIONS, parseRange, parseChildren, parseRatio, parseDateRange } = require("./options");
+const { getLoadedSchemaModel, useSchemaModel, readSchemaSnapshot } = require("./schemaModel");
+const { loadConfig, prepareConfig } = require("./config");
+const { cleanupRun } = require("./manifest");
+const { assertNotProduction } = require("./connection");
+const { createContext, runWithContext, defineState } = require("./context");
+const logger = require("./logger");
+
+// ========================
+// API PARA NODE (suítes de teste)
+// ========================
+//
+//   const { createMockTree } = require("script-popular-banco");
+//
+//   const mt = createMockTree({ client });             // pg.Client ou pg.Pool já existentes
+//   const rows = await mt.seed("pedidos", { rows: 10, overrides: { status: "PAGO" } });
+//   rows["public.pedidos"]   // linhas inseridas (RETURNING *), agrupadas por tabela
+//   await mt.cleanup();      // remove tudo que esta instância inseriu
+//   await mt.close();        // encerra a conexão, se foi aberta pela instância
+//
+// Cada instância guarda a sua conexão, a estrutura do banco, a configuração, o
+// nível de log e os manifestos das execuções. Cada chamada roda num contexto
+// próprio (ver context.js), com caches, PRNG e transação que não são
+// compartilhados com outras chamadas nem com a CLI: instâncias diferentes rodam
+// em paralelo, e um generate pode chamar o seed de outra instância. Com um
+// pg.Pool, as chamadas da mesma instância também rodam em paralelo (um client do
+// pool para cada uma); com um pg.Client, esperam a anterior (uma transação por conexão).
+
+// Instâncias com uma chamada em andamento que levou ao contexto atual (ex.: um
+// generate que chama outro seed)
+const callers = defineState("api", () => ({ instances: [] }));
+
+// pg.Pool: cada chamada usa um client exclusivo (a transação precisa de uma única conexão)
+function isPool(connection) {
+    return typeof connection.connect === "function" && typeof connection.totalCount === "number";
+}
+
+// Banco e host do client (pg.Client e clients do pg.Pool expõem os dois), para productionPatterns
+function connectionTarget(client) {
+    return { host: client.host, database: client.database };
+}
+
+function resolveConfig(config) {
+    if (!config) {
+        return prepareConfig({});
+    }
+    return typeof config === "string" ? loadConfig(config) : prepareConfig(config);
+}
+
+function resolveSnapshot(snapshot) {
+    if (!snapshot) {
+        return null;
+    }
+    return typeof snapshot === "string" ? readSchemaSnapshot(snapshot) : snapshot;
+}
+
+// overrides: { coluna: valor | (contexto) => valor }, ou "tabela.coluna" para outras tabelas do plano.
+// Viram regras de configuração com fill: true (valem também para colunas anuláveis).
+function overrideRules(table, overrides = {}) {
+    return Object.fromEntries(Object.entries(overrides).map(([column, value]) => {
+        const key = column.includes(".") ? column : `${table}.${column}`;
+        const rule = typeof value === "function" ? { generate: value } : { value };
+        return [key, { ...rule, fill: true }];
+    }));
+}
+
+// Opções do seed: aceita os mesmos textos da CLI (ex.: perParent: "1-5", dates: "2024-01-01..2024-12-31")
+function seedOptions(table, options, config) {
+    const { overrides, ...rest } = options;
+    const normalized = { ...DEFAULT_OPTIONS, transaction: true, ...rest };
+
+    if (normalized.dryRun) {
+        throw new Error("O dry-run não está disponível na API (use a CLI: mocktree seed --dry-run)");
+    }
+    if (typeof normalized.perParent === "string") {
+        normalized.perParent = parseRange(normalized.perParent);
+    }
+    if (typeof normalized.children === "string") {
+        normalized.children = parseChildren(normalized.children, "children");
+    }
+    if (typeof normalized.fill === "string") {
+        normalized.fill = parseRatio(normalized.fill, "fill");
+    }
+    if (typeof normalized.dates === "string") {
+        normalized.dates = parseDateRange(normalized.dates, "dates");
+    }
+
+    normalized.config = prepareConfig({
+        ...config,
+        columns: { ...config.columns, ...overrideRules(table, overrides) }
+    }, config.file);
+    return normalized;
+}
+
+// Linhas inseridas com sucesso, agrupadas por "schema.tabela"
+function groupRows(results) {
+    const rows = {};
+    results.filter(result => result.success && result.table).forEach(result => {
+        if (!rows[result.table]) {
+            rows[result.table] = [];
+        }
+        rows[result.table].push(result.data || result.key || {});
+    });
+    return rows;
+}
+
+function seedError(table, summary) {
+    const failed = summary.results.find(result => !result.success) || summary.updateResults.find(result => !result.success);
+    const reason = failed ? `: ${failed.error}` : '';
+    const error = new Error(`Seed de '${table}' falhou (${summary.failedInserts} INSERT(s) e ${summary.failedUpdates} UPDATE(s) com falha${summary.transaction === 'rolled back' ? ', transação desfeita' : ''})${reason}`);
+    error.summary = summary;
+    return error;
+}
+
+// Cria uma instância com conexão e estado próprios.
+//   client            pg.Client (já conectado) ou pg.Pool existente; não é encerrado por close()
+//   connectionConfig  configuração do pg.Client que a instância abre (na primeira chamada) e encerra em close()
+//   config            regras por coluna: objeto no formato do mocktree.config.* ou caminho do arquivo
+//                     (productionPatterns também vale aqui: seed e cleanup recusam bancos de produção)
+//   snapshot          estrutura do banco (objeto ou arquivo do "mocktree snapshot"); sem ele, lê o catálogo uma vez
+//   logLevel          'error' | 'warn' | 'info' | 'debug' (padrão: warn)
+//   logFormat, logFile  como --log-format e --log-file
+function createMockTree(settings = {}) {
+    if (!settings.client && !settings.connectionConfig) {
+        throw new Error("Informe client (pg.Client ou pg.Pool) ou connectionConfig");
+    }
+
+    const state = {
+        connection: settings.client || null,
+        ownsConnection: !settings.client,
+        connected: Boolean(settings.client),
+        pooled: Boolean(settings.client) && isPool(settings.client),
+        pending: Promise.resolve(),   // Última chamada na conexão única (pg.Client)
+        model: resolveSnapshot(settings.snapshot),
+        config: resolveConfig(settings.config),
+        logger: { level: settings.logLevel || 'warn', format: settings.logFormat, file: settings.logFile },
+        manifests: [],   // Execuções desta instância, na ordem (ver cleanup)
+        closed: false
+    };
+
+    async function acquire() {
+        if (state.closed) {
+            throw new Error("Instância encerrada (close)");
+        }
+        if (!state.connection) {
+            state.connection = new Client(settings.connectionConfig);
+        }
+        if (!state.connected) {
+            await state.connection.connect();
+            state.connected = true;
+        }
+        if (isPool(state.connection)) {
+            const pooled = await state.connection.connect();
+            return { client: pooled, parallel: state.connection, release: () => pooled.release() };
+        }
+        return { client: state.connection, parallel: null, release: () => {} };
+    }
+
+    // Executa fn depois da chamada anterior da instância (conexão única)
+    function exclusive(fn) {
+        const run = state.pending.then(fn);
+        state.pending = run.catch(() => {});
+        return run;
+    }
+
+    // Executa fn num contexto novo, com a conexão, a estrutura, a configuração e o log da instância
+    function withInstance(fn) {
+        const outer = callers().instances;
+        if (!state.pooled && outer.includes(state)) {
+            // A chamada em andamento ocupa a conexão: esperar por ela travaria as duas
+            return Promise.reject(new Error("Chamada da instância dentro de outra chamada dela (ex.: em um generate): use outra instância ou um pg.Pool"));
+        }
+        const chain = [...outer, state];
+
+        const run = () => runWithContext(createContext(), async () => {
+            callers().instances = chain;
+            const { client, parallel, release } = await acquire();
+            useClient(client, parallel);
+            useSchemaModel(state.model);
+            logger.configureLogger(state.logger);
+
+            try {
+                return await fn(client);
+            } finally {
+                state.model = getLoadedSchemaModel();
+                release();
+            }
+        });
+        return state.pooled ? run() : exclusive(run);
+    }
+
+    // Insere as linhas e as dependências; devolve as linhas criadas agrupadas por tabela
+    function seed(table, options = {}) {
+        return withInstance(async client => {
+            assertNotProduction(connectionTarget(client), state.config);
+            const summary = await seedTable(table, seedOptions(table, options, state.config));
+            if (!summary) {
+                throw new Error(`Tabela '${table}' não foi encontrada${options.schema ? ` no schema '${options.schema}'` : ''}`);
+            }
+            if (summary.manifest) {
+                state.manifests.push(summary.manifest);
+            }
+            if (summary.failedInserts > 0 || summary.failedUpdates > 0 || summary.aborted) {
+                throw seedError(table, summary);
+            }
+            return groupRows(summary.results);
+        });
+    }
+
+    // Plano de inserção (como "mocktree plan"), sem inserir nada
+    function plan(table, options = {}) {
+        return withInstance(async () => {
+            const normalized = seedOptions(table, options, state.config);
+            const tableInfo = await findTableInDatabase(table, normalized.schema);
+            if (!tableInfo) {
+                throw new Error(`Tabela '${table}' não foi encontrada${normalized.schema ? ` no schema '${normalized.schema}'` : ''}`);
+            }
+            return buildPlan(tableInfo, normalized);
+        });
+    }
+
+    // Remove as linhas de todas as execuções da instância, da mais recente para a mais antiga
+    function cleanup() {
+        return withInstance(async client => {
+            assertNotProduction(connectionTarget(client), state.config);
+            let deleted = 0;
+            while (state.manifests.length > 0) {
+                const manifest = state.manifests[state.manifests.length - 1];
+                const summary = await cleanupRun(manifest);
+                if (!summary.success) {
+                    throw new Error(`Não foi possível remover as linhas da execução ${manifest.runId}`);
+                }
+                deleted += summary.deleted;
+                state.manifests.pop();
+            }
+            return { deleted };
+        });
+    }
+
+    // Encerra a conexão aberta pela instância (connectionConfig)
+    function close() {
+        return exclusive(async () => {
+            if (state.closed) {
+                return;
+            }
+            state.closed = true;
+            if (state.ownsConnection && state.connected) {
+                await state.connection.end();
+            }
+        });
+    }
+
+    return { seed, plan, cleanup, close };
+}
+
+module.exports = {
+    createMockTree
+};
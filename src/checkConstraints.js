@@ -0,0 +1,337 @@
+const { random, randomInt, pick } = require("./random");
+const { generateFromPattern } = require("./patternValues");
+const logger = require("./logger");
+
+// ========================
+// ENUMS, DOMAINS E CHECK CONSTRAINTS
+// ========================
+//
+// Interpreta as expressões simples de CHECK (como o PostgreSQL as devolve em
+// pg_get_constraintdef) para gerar valores válidos antes do INSERT, em vez de
+// descobrir a constraint só no erro 23514. Expressões que não são entendidas
+// (OR, várias colunas, funções) são ignoradas.
+
+const INTEGER_TYPES = ["integer", "int4", "bigint", "int8", "smallint", "int2"];
+const NUMERIC_TYPES = [...INTEGER_TYPES, "numeric", "decimal", "real", "double precision", "float4", "float8"];
+const TEXT_TYPES = ["character varying", "varchar", "text", "character", "char", "citext"];
+
+const FLIPPED = { ">": "<", ">=": "<=", "<": ">", "<=": ">=", "=": "=", "<>": "<>", "!=": "!=" };
+
+// Remove "CHECK (...)" e os parênteses externos redundantes
+function unwrap(expr) {
+    let text = expr.trim().replace(/^CHECK\s*/i, "").replace(/\s+NOT VALID$/i, "").trim();
+    while (text.startsWith("(") && matchingParen(text, 0) === text.length - 1) {
+        text = text.slice(1, -1).trim();
+    }
+    return text;
+}
+
+function matchingParen(text, start) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === "'") {
+            inString = !inString;
+        } else if (!inString && char === "(") {
+            depth++;
+        } else if (!inString && char === ")") {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+// Divide "a AND b AND c" no nível mais externo
+function splitTopLevel(text, keyword) {
+    const parts = [];
+    let depth = 0;
+    let inString = false;
+    let last = 0;
+    const token = ` ${keyword} `;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === "'") inString = !inString;
+        if (inString) continue;
+        if (char === "(") depth++;
+        if (char === ")") depth--;
+        if (depth === 0 && text.substr(i, token.length).toUpperCase() === token) {
+            parts.push(text.slice(last, i));
+            i += token.length - 1;
+            last = i + 1;
+        }
+    }
+    parts.push(text.slice(last));
+    return parts.map(part => part.trim());
+}
+
+// Remove casts ("::text", "::character varying[]") e parênteses em volta de identificadores/literais
+// (mas não os de chamadas de função, como char_length(col))
+function stripCasts(text) {
+    return text
+        .replace(/::(?:character varying|double precision|bit varying|(?:timestamp|time)(?:\(\d+\))? with(?:out)? time zone|"[^"]+"|[a-z_][a-z0-9_.]*)(?:\(\d+(?:,\s*\d+)?\))?(?:\[\])?/gi, "")
+        .replace(/(?<![A-Za-z0-9_])\(\s*((?:"[^"]+"|[A-Za-z_][A-Za-z0-9_]*|'(?:[^']|'')*'|-?\d+(?:\.\d+)?))\s*\)/g, "$1");
+}
+
+// Converte um literal SQL; em colunas numéricas, '-5' (com cast) vira número
+function parseLiteral(token, numeric = false) {
+    const text = token.trim();
+    const quoted = text.match(/^'((?:[^']|'')*)'$/);
+    if (quoted) {
+        const value = quoted[1].replace(/''/g, "'");
+        return numeric && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+    }
+    if (/^-?\d+(\.\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    return undefined;
+}
+
+// Identificador da coluna (ou VALUE, no caso de domains)
+function isColumnRef(token, columnName) {
+    const text = token.trim().replace(/^"(.*)"$/, "$1");
+    return text === columnName || text.toUpperCase() === "VALUE";
+}
+
+function applyComparison(constraints, op, value) {
+    if (typeof value === "number") {
+        if (op === ">") constraints.min = maxOf(constraints.min, value, true, constraints);
+        if (op === ">=") constraints.min = maxOf(constraints.min, value, false, constraints);
+        if (op === "<") constraints.max = minOf(constraints.max, value, true, constraints);
+        if (op === "<=") constraints.max = minOf(constraints.max, value, false, constraints);
+        if (op === "=") constraints.values = [value];
+        return true;
+    }
+    if (typeof value === "string") {
+        if (op === "=") {
+            constraints.values = [value];
+            return true;
+        }
+        if ((op === "<>" || op === "!=") && value === "") {
+            constraints.minLength = Math.max(constraints.minLength || 0, 1);
+            return true;
+        }
+    }
+    return false;
+}
+
+function maxOf(current, value, exclusive, constraints) {
+    if (current === undefined || value > current || (value === current && exclusive)) {
+        constraints.minExclusive = exclusive;
+        return value;
+    }
+    return current;
+}
+
+function minOf(current, value, exclusive, constraints) {
+    if (current === undefined || value < current || (value === current && exclusive)) {
+        constraints.maxExclusive = exclusive;
+        return value;
+    }
+    return current;
+}
+
+// Interpreta um termo simples e acumula em constraints; false se não entender
+function parseTerm(term, columnName, constraints, numeric) {
+    const text = stripCasts(unwrap(term));
+
+    // col = ANY (ARRAY['A', 'B'])  (forma que o PostgreSQL usa para IN)
+    const anyMatch = text.match(/^(.+?)\s*=\s*ANY\s*\(+\s*ARRAY\s*\[(.*)\]\s*\)+$/i);
+    if (anyMatch && isColumnRef(anyMatch[1], columnName)) {
+        const values = splitTopLevelList(anyMatch[2]).map(item => parseLiteral(item, numeric));
+        if (values.every(v => v !== undefined)) {
+            constraints.values = values;
+            return true;
+        }
+        return false;
+    }
+
+    // col ~ 'regex'
+    const regexMatch = text.match(/^(.+?)\s*~\s*('(?:[^']|'')*')$/);
+    if (regexMatch && isColumnRef(regexMatch[1], columnName)) {
+        constraints.pattern = parseLiteral(regexMatch[2]);
+        return true;
+    }
+
+    // char_length(col) <= 10
+    const lengthMatch = text.match(/^(?:char_length|character_length|length|octet_length)\s*\((.+)\)\s*(>=|<=|>|<|=)\s*(\d+)$/i);
+    if (lengthMatch && isColumnRef(lengthMatch[1], columnName)) {
+        const n = Number(lengthMatch[3]);
+        const op = lengthMatch[2];
+        if (op === ">=" || op === "=") constraints.minLength = Math.max(constraints.minLength || 0, n);
+        if (op === ">") constraints.minLength = Math.max(constraints.minLength || 0, n + 1);
+        if (op === "<=" || op === "=") constraints.maxLength = Math.min(constraints.maxLength ?? Infinity, n);
+        if (op === "<") constraints.maxLength = Math.min(constraints.maxLength ?? Infinity, n - 1);
+        return true;
+    }
+
+    // col op literal  |  literal op col
+    const cmpMatch = text.match(/^(.+?)\s*(>=|<=|<>|!=|>|<|=)\s*(.+)$/);
+    if (cmpMatch) {
+        const [, left, op, right] = cmpMatch;
+        if (isColumnRef(left, columnName) && parseLiteral(right, numeric) !== undefined) {
+            return applyComparison(constraints, op, parseLiteral(right, numeric));
+        }
+        if (isColumnRef(right, columnName) && parseLiteral(left, numeric) !== undefined) {
+            return applyComparison(constraints, FLIPPED[op], parseLiteral(left, numeric));
+        }
+    }
+
+    return false;
+}
+
+function splitTopLevelList(text) {
+    const items = [];
+    let inString = false;
+    let current = "";
+    for (const char of text) {
+        if (char === "'") inString = !inString;
+        if (char === "," && !inString) {
+            items.push(current.trim());
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) items.push(current.trim());
+    return items;
+}
+
+// Interpreta uma definição "CHECK (...)" para a coluna; devolve as restrições entendidas
+function parseCheckConstraint(definition, columnName, numeric = false) {
+    const constraints = {};
+    const body = unwrap(definition);
+
+    // OR não é interpretado (exceto a forma "= ANY", já tratada como lista)
+    if (splitTopLevel(body, "OR").length > 1) {
+        return constraints;
+    }
+
+    for (const term of splitTopLevel(body, "AND")) {
+        const partial = {};
+        if (parseTerm(term, columnName, partial, numeric)) {
+            mergeConstraints(constraints, partial);
+        }
+    }
+    return constraints;
+}
+
+function mergeConstraints(target, source) {
+    if (source.values) {
+        target.values = target.values ? target.values.filter(v => source.values.includes(v)) : source.values;
+    }
+    if (source.min !== undefined) target.min = maxOf(target.min, source.min, source.minExclusive, target);
+    if (source.max !== undefined) target.max = minOf(target.max, source.max, source.maxExclusive, target);
+    if (source.minLength !== undefined) target.minLength = Math.max(target.minLength || 0, source.minLength);
+    if (source.maxLength !== undefined) target.maxLength = Math.min(target.maxLength ?? Infinity, source.maxLength);
+    if (source.pattern !== undefined) target.pattern = source.pattern;
+    return target;
+}
+
+// Restrições completas da coluna (enum, CHECKs da tabela e do domain); calculadas uma vez por coluna
+function getColumnConstraints(column) {
+    if (column._constraints) {
+        return column._constraints;
+    }
+
+    const constraints = {};
+    if (Array.isArray(column.enum_labels) && column.enum_labels.length > 0) {
+        constraints.values = column.enum_labels;
+    }
+
+    const numeric = NUMERIC_TYPES.includes(column.data_type?.toLowerCase());
+    for (const definition of column.check_constraints || []) {
+        mergeConstraints(constraints, parseCheckConstraint(definition, column.column_name, numeric));
+    }
+
+    Object.defineProperty(column, "_constraints", { value: constraints, enumerable: false });
+    return constraints;
+}
+
+function hasConstraints(constraints) {
+    return Object.keys(constraints).some(key => !["minExclusive", "maxExclusive"].includes(key));
+}
+
+function satisfiesConstraints(value, constraints) {
+    if (value === null || value === undefined || (typeof value === "object" && value.raw)) {
+        return true;
+    }
+    if (constraints.values && !constraints.values.includes(value)) {
+        return false;
+    }
+    if (typeof value === "number") {
+        if (constraints.min !== undefined && (value < constraints.min || (constraints.minExclusive && value === constraints.min))) return false;
+        if (constraints.max !== undefined && (value > constraints.max || (constraints.maxExclusive && value === constraints.max))) return false;
+    }
+    if (typeof value === "string") {
+        if (constraints.minLength !== undefined && value.length < constraints.minLength) return false;
+        if (constraints.maxLength !== undefined && value.length > constraints.maxLength) return false;
+        if (constraints.pattern !== undefined && !safeRegex(constraints.pattern).test(value)) return false;
+    }
+    return true;
+}
+
+function safeRegex(pattern) {
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        return { test: () => true };
+    }
+}
+
+// Gera um valor que respeita as restrições, ou undefined se elas não definem o valor
+function generateConstrainedValue(column, constraints, limit) {
+    const type = column.data_type?.toLowerCase();
+
+    if (constraints.values && constraints.values.length > 0) {
+        return pick(constraints.values);
+    }
+
+    if (constraints.pattern !== undefined) {
+        try {
+            return generateFromPattern(constraints.pattern);
+        } catch (error) {
+            logger.warn(`⚠️ Regex do CHECK não suportada em ${column.column_name}: ${error.message}`);
+        }
+    }
+
+    if (NUMERIC_TYPES.includes(type) && (constraints.min !== undefined || constraints.max !== undefined)) {
+        const integer = INTEGER_TYPES.includes(type);
+        const step = integer ? 1 : 0.01;
+
+        let low = constraints.min !== undefined ? constraints.min + (constraints.minExclusive ? step : 0) : undefined;
+        let high = constraints.max !== undefined ? constraints.max - (constraints.maxExclusive ? step : 0) : undefined;
+        if (low === undefined) low = Math.min(1, high);
+        if (high === undefined) high = low + 1000;
+
+        if (integer) {
+            return randomInt(Math.ceil(low), Math.floor(high));
+        }
+        return parseFloat((low + random() * (high - low)).toFixed(2));
+    }
+
+    if (TEXT_TYPES.includes(type) && (constraints.minLength !== undefined || constraints.maxLength !== undefined)) {
+        const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+        const maxLength = Math.min(constraints.maxLength ?? Infinity, limit || Infinity, 100);
+        const minLength = Math.min(Math.max(constraints.minLength || 1, Math.min(5, maxLength)), maxLength);
+        const length = randomInt(minLength, maxLength);
+
+        let result = "";
+        for (let i = 0; i < length; i++) {
+            result += chars.charAt(randomInt(0, chars.length - 1));
+        }
+        return result;
+    }
+
+    return undefined;
+}
+
+module.exports = {
+    parseCheckConstraint,
+    getColumnConstraints,
+    hasConstraints,
+    satisfiesConstraints,
+    generateConstrainedValue
+};
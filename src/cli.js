@@ -0,0 +1,409 @@
+const fs = require("fs");
+const readline = require("readline");
+const { connect, disconnect, getConnectionInfo } = require("./db");
+const { resolveConnection, assertNotProduction } = require("./connection");
+const { discoverAllSchemas, typeScanner, findTableInDatabase } = require("./queries");
+const { seedTable, printReport } = require("./seed");
+const { parseArgs } = require("./options");
+const { buildPlan, printPlan } = require("./planner");
+const { getSchemaModel, useSchemaModel, saveSchemaSnapshot, readSchemaSnapshot } = require("./schemaModel");
+const { loadConfig } = require("./config");
+const { DEFAULT_MANIFEST_DIR, saveManifest, readManifest, removeManifest, listManifests, countRows, cleanupRun } = require("./manifest");
+const { buildReport, buildFailedReport, saveReport, saveJUnitReport } = require("./report");
+const logger = require("./logger");
+
+// Códigos de saída do processo
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;   // INSERTs com falha, tabela inexistente ou erro de conexão
+const EXIT_USAGE = 2;     // Argumentos inválidos
+
+const HELP = `
+MockTree - popula bancos PostgreSQL respeitando as Foreign Keys
+
+Uso:
+  mocktree seed [tabela] [opções]   Insere dados na tabela e em suas dependências
+  mocktree plan <tabela> [opções]   Mostra a ordem de inserção sem inserir nada
+  mocktree snapshot [-o arquivo]    Salva a estrutura do banco em JSON (padrão: mocktree-schema.json)
+  mocktree cleanup [run-id]         Remove as linhas criadas por uma execução (sem id: lista as execuções)
+  mocktree scan                     Lista os tipos de dados usados no banco
+  mocktree help                     Mostra esta ajuda
+
+Se a tabela não for informada, ela é perguntada interativamente. Valores podem vir
+depois de = (--rows=20); flags sem valor aceitam =true ou =false (--dry-run=false).
+
+Opções do seed:
+  --rows N               Linhas inseridas na tabela principal (padrão: 1)
+  --parent-rows N        Linhas inseridas em cada dependência FK (padrão: 1)
+  --per-parent MIN-MAX   Cada registro pai recebe entre MIN e MAX filhos
+  --levels N             Níveis da hierarquia em tabelas autorreferenciadas (padrão: 1)
+  --children LISTA       Também popula tabelas que referenciam a principal:
+                         all[:MIN-MAX] ou TABELA[:MIN-MAX],... (padrão: 1-3 por registro pai)
+  --schema NOME          Procura a tabela apenas neste schema
+  --fill PROPORÇÃO       Preenche as colunas anuláveis em parte das linhas (ex.: 0.3 ou 30%)
+  --fill-defaults        Com --fill, também gera valores para colunas com default
+  --identity-values      Gera os valores das colunas identity (OVERRIDING SYSTEM VALUE + setval)
+  --dry-run              Não altera o banco: gera um script .sql revisável
+  -o, --output ARQUIVO   Arquivo do script do dry-run (padrão: mocktree-<tabela>.sql)
+  --transaction          Executa tudo em uma transação (SAVEPOINT por tabela)
+  --rollback             Executa, mostra o relatório e desfaz tudo (ROLLBACK)
+  --retries N            Novas tentativas, com novos valores, por INSERT que falhar
+                         (com --transaction, também da tabela inteira)
+  --batch-size N         Linhas por INSERT de várias linhas (padrão: 500; 1 = linha a linha)
+  --unique-retries N     Tentativas de gerar valores únicos (UNIQUE/PK) por linha (padrão: 10)
+  --on-error MODO        abort: desfaz tudo na primeira falha (padrão com --transaction)
+                         skip: desfaz só a tabela que falhou e continua
+  --seed VALOR           Seed do gerador aleatório: mesma seed, mesmos dados
+  --locale pt-BR|en      Idioma dos dados realistas (nomes, telefones, endereços)
+  --dates INICIO..FIM    Intervalo das datas e timestamps gerados (padrão: o último ano)
+  -c, --config ARQUIVO   Regras por coluna (padrão: mocktree.config.js|json|yaml no diretório atual)
+  --snapshot ARQUIVO     Lê a estrutura do banco do snapshot em vez de consultar o catálogo
+  --manifest-dir DIR     Onde gravar o manifesto da execução (padrão: .mocktree/runs)
+  --report ARQUIVO       Relatório JSON da execução: cada INSERT com chave, tempo, SQL e erro
+  --report-junit ARQUIVO Mesmo relatório em JUnit XML (um testcase por linha), para o CI
+  -h, --help             Mostra esta ajuda
+
+Opções do plan:
+  --rows, --parent-rows, --per-parent, --children, --schema e --snapshot, como no seed
+  -o, --output ARQUIVO   Salva o plano em JSON
+
+Opções do cleanup:
+  --manifest-dir DIR     Onde procurar os manifestos (padrão: .mocktree/runs)
+
+Conexão (todos os comandos):
+  --env NOME             Usa o perfil NOME da seção environments da configuração
+                         (padrão: MOCKTREE_ENV; sem perfil, DATABASE_URL ou DB_* do .env)
+  --pool-size N          Conexões do pool (padrão: 4)
+  Seed e cleanup recusam bancos cujo nome ou host casa com productionPatterns.
+
+Logs (todos os comandos):
+  -q, --quiet            Mostra só avisos e erros
+  -v, --verbose          Inclui os detalhes por linha e por coluna (colunas, cache, SQL)
+  --log-format text|json Formato das mensagens (json: uma linha JSON por mensagem)
+  --log-file ARQUIVO     Também grava os logs em arquivo (mesmo com --quiet)
+
+Códigos de saída:
+  0  sucesso
+  1  algum INSERT falhou, tabela não encontrada ou erro de conexão
+  2  argumentos inválidos
+`;
+
+// --snapshot: usa a estrutura salva em vez de consultar o catálogo
+function applySnapshot(options) {
+    if (!options.snapshot) {
+        return true;
+    }
+
+    try {
+        useSchemaModel(readSchemaSnapshot(options.snapshot));
+        return true;
+    } catch (err) {
+        logger.error(`❌ ${err.message}`);
+        return false;
+    }
+}
+
+// Conecta pelo perfil (--env) ou pelo .env. write: o comando altera o banco, então
+// bancos que casam com productionPatterns são recusados
+async function openConnection(options, write = false) {
+    await connect(options.connection);
+
+    const target = getConnectionInfo();
+    const profile = options.connection.name;
+    logger.info(`✅ Conectado ao banco de dados${target ? ` ${target.database} em ${target.host}:${target.port}` : ''} (${profile})`);
+
+    if (write && target) {
+        try {
+            assertNotProduction(target, options.config);
+        } catch (err) {
+            logger.error(`🛑 ${err.message}`);
+            return false;
+        }
+    }
+    return true;
+}
+
+// Pergunta o nome da tabela quando ele não foi passado como argumento
+function askTableName() {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+        });
+
+        let answered = false;
+        rl.on("close", () => {
+            if (!answered) resolve("");
+        });
+        rl.question("Digite o nome da tabela inicial: ", (table) => {
+            answered = true;
+            rl.close();
+            resolve(table);
+        });
+    });
+}
+
+async function seedCommand(args, options) {
+    if (args.length > 1) {
+        logger.error(`❌ Apenas uma tabela pode ser informada (recebido: ${args.join(', ')})`);
+        return EXIT_USAGE;
+    }
+
+    if (!applySnapshot(options)) {
+        return EXIT_USAGE;
+    }
+
+    // O dry-run só lê o banco: a proteção contra produção vale para o seed de verdade
+    if (!await openConnection(options, !options.dryRun)) {
+        return EXIT_FAILURE;
+    }
+
+    // Descobre automaticamente a estrutura do banco
+    logger.info("🔍 Analisando estrutura do banco de dados...");
+    const schemas = await discoverAllSchemas();
+    logger.info(`📊 Schemas encontrados: ${schemas.join(', ')}`);
+
+    const table = args.length > 0 ? args[0] : await askTableName();
+    if (!table?.trim()) {
+        logger.error("❌ Nome da tabela não pode estar vazio");
+        return EXIT_USAGE;
+    }
+
+    if (options.dryRun && (options.transaction || options.rollback)) {
+        logger.warn("⚠️ --transaction/--rollback ignorados no dry-run (o script já usa BEGIN/COMMIT)");
+    }
+
+    // Sem resumo (tabela não encontrada) ou com erro, o relatório registra a falha da execução
+    const startedAt = new Date().toISOString();
+    const failedReport = error => () => buildFailedReport({ target: table.trim(), seed: options.seed, dryRun: options.dryRun, startedAt, error });
+    let summary;
+    try {
+        summary = await seedTable(table.trim(), options);
+    } catch (err) {
+        saveReports(failedReport(err.message), options);
+        throw err;
+    }
+    if (!summary) {
+        saveReports(failedReport(`Tabela '${table.trim()}' não encontrada`), options);
+        return EXIT_FAILURE;
+    }
+
+    if (summary.dryRun) {
+        const file = options.output || `mocktree-${table.trim()}.sql`;
+        fs.writeFileSync(file, summary.sql);
+        logger.info(`💾 Script SQL salvo em: ${file}`);
+    }
+
+    if (summary.manifest) {
+        try {
+            const file = saveManifest(summary.manifest, options.manifestDir || DEFAULT_MANIFEST_DIR);
+            logger.info(`🧾 Manifesto da execução salvo em: ${file}`);
+        } catch (err) {
+            logger.warn(`⚠️ Não foi possível salvar o manifesto da execução: ${err.message}`);
+            summary.manifest = null;
+        }
+    }
+
+    saveReports(() => buildReport(summary), options);
+    printReport(summary);
+    return summary.failedInserts > 0 || summary.failedUpdates > 0 || summary.aborted ? EXIT_FAILURE : EXIT_OK;
+}
+
+// Relatórios estruturados (--report / --report-junit); uma falha ao gravar não muda o resultado do seed.
+// build() monta o relatório só quando algum foi pedido.
+function saveReports(build, options) {
+    if (!options.report && !options.reportJunit) {
+        return;
+    }
+
+    const report = build();
+    const targets = [
+        [options.report, saveReport, "Relatório JSON"],
+        [options.reportJunit, saveJUnitReport, "Relatório JUnit"]
+    ];
+
+    for (const [file, save, label] of targets.filter(([file]) => file)) {
+        try {
+            logger.info(`📄 ${label} salvo em: ${save(report, file)}`);
+        } catch (err) {
+            logger.warn(`⚠️ Não foi possível salvar ${file}: ${err.message}`);
+        }
+    }
+}
+
+async function planCommand(args, options) {
+    if (args.length !== 1) {
+        logger.error(`❌ Informe exatamente uma tabela (ex.: mocktree plan pedidos)`);
+        return EXIT_USAGE;
+    }
+
+    if (!applySnapshot(options)) {
+        return EXIT_USAGE;
+    }
+
+    await openConnection(options);
+
+    const tableInfo = await findTableInDatabase(args[0], options.schema);
+    if (!tableInfo) {
+        const location = options.schema ? ` no schema '${options.schema}'` : '';
+        logger.error(`❌ Tabela '${args[0]}' não foi encontrada${location} no banco de dados`);
+        return EXIT_FAILURE;
+    }
+
+    const plan = await buildPlan(tableInfo, options);
+    printPlan(plan);
+
+    if (options.output) {
+        fs.writeFileSync(options.output, JSON.stringify(plan, null, 2));
+        logger.info(`💾 Plano salvo em: ${options.output}`);
+    }
+    return EXIT_OK;
+}
+
+async function snapshotCommand(args, options) {
+    if (args.length > 0) {
+        logger.error(`❌ O snapshot não recebe argumentos (use -o para o arquivo)`);
+        return EXIT_USAGE;
+    }
+
+    await openConnection(options);
+
+    const file = options.output || "mocktree-schema.json";
+    saveSchemaSnapshot(file, await getSchemaModel());
+    logger.info(`💾 Snapshot da estrutura salvo em: ${file}`);
+    return EXIT_OK;
+}
+
+async function cleanupCommand(args, options) {
+    const dir = options.manifestDir || DEFAULT_MANIFEST_DIR;
+
+    if (args.length > 1) {
+        logger.error(`❌ Informe apenas um id de execução (ex.: mocktree cleanup 20250101T120000-a1b2c3)`);
+        return EXIT_USAGE;
+    }
+
+    // Sem id: lista as execuções que ainda podem ser removidas
+    if (args.length === 0) {
+        const manifests = listManifests(dir);
+        if (manifests.length === 0) {
+            logger.output(`ℹ️ Nenhuma execução registrada em ${dir}`);
+            return EXIT_OK;
+        }
+        logger.output(`🧾 Execuções registradas em ${dir}:`);
+        manifests.forEach(manifest => {
+            logger.output(`   ${manifest.runId}  ${manifest.target}  ${countRows(manifest)} linha(s)  ${manifest.createdAt}`);
+        });
+        return EXIT_OK;
+    }
+
+    let manifest;
+    try {
+        manifest = readManifest(args[0], dir);
+    } catch (err) {
+        logger.error(`❌ ${err.message}`);
+        return EXIT_USAGE;
+    }
+
+    if (!await openConnection(options, true)) {
+        return EXIT_FAILURE;
+    }
+
+    const summary = await cleanupRun(manifest);
+    if (!summary.success) {
+        return EXIT_FAILURE;
+    }
+
+    removeManifest(manifest.runId, dir);
+    logger.info(`✅ Execução ${manifest.runId} removida: ${summary.deleted} linha(s) apagada(s)`);
+    if (summary.missing > 0) {
+        logger.warn(`⚠️ ${summary.missing} linha(s) do manifesto já não existiam no banco`);
+    }
+    return EXIT_OK;
+}
+
+async function scanCommand(args, options) {
+    await openConnection(options);
+    logger.output(await typeScanner());
+    return EXIT_OK;
+}
+
+const COMMANDS = {
+    seed: seedCommand,
+    plan: planCommand,
+    snapshot: snapshotCommand,
+    cleanup: cleanupCommand,
+    scan: scanCommand
+};
+
+// Ponto de entrada da CLI: retorna o código de saída do processo
+async function runCli(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        logger.error(`❌ ${err.message}`);
+        logger.error(`💡 Use 'mocktree --help' para ver as opções`);
+        return EXIT_USAGE;
+    }
+
+    const { positionals } = parsed;
+    let { options } = parsed;
+
+    if (options.quiet && options.verbose) {
+        logger.error(`❌ --quiet e --verbose não podem ser usados juntos`);
+        return EXIT_USAGE;
+    }
+    logger.configureLogger({ level: logger.levelFromOptions(options), format: options.logFormat, file: options.logFile });
+
+    // Sem comando explícito, assume "seed" (compatível com "node index.js")
+    let command = "seed";
+    let args = positionals;
+    if (positionals.length > 0 && (COMMANDS[positionals[0]] || positionals[0] === "help")) {
+        [command, ...args] = positionals;
+    }
+
+    logger.setLogContext({ command });
+
+    if (options.help || command === "help") {
+        logger.output(HELP);
+        return EXIT_OK;
+    }
+
+    // Configuração (regras, perfis de conexão e productionPatterns) e conexão a usar
+    try {
+        const config = loadConfig(options.configFile);
+        options = { ...options, config, connection: resolveConnection(options, config) };
+    } catch (err) {
+        logger.error(`❌ ${err.message}`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        return await COMMANDS[command](args, options);
+    } catch (err) {
+        logger.error("❌ Erro ao processar:", err.message);
+        logger.debug(err.stack);
+        return EXIT_FAILURE;
+    } finally {
+        await cleanup();
+    }
+}
+
+async function cleanup() {
+    try {
+        // Sem conexão aberta (ex.: --help ou opção inválida) não há o que finalizar
+        if (await disconnect()) {
+            logger.info("\n👋 Sistema finalizado");
+        }
+    } catch (err) {
+        // Falha ao encerrar o pool (ex.: conexão já derrubada pelo servidor)
+        logger.debug("⚠️ Erro ao desconectar:", err.message);
+    }
+}
+
+module.exports = {
+    runCli,
+    cleanup,
+    EXIT_OK,
+    EXIT_FAILURE,
+    EXIT_USAGE
+};
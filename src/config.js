@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { random, randomInt, pick } = require("./random");
+const { generateFromPattern } = require("./patternValues");
+const { defineState } = require("./context");
+const logger = require("./logger");
+
+// ========================
+// ARQUIVO DE CONFIGURAÇÃO (mocktree.config.json|js|yaml)
+// ========================
+//
+// Exemplo (YAML):
+//
+//   columns:
+//     public.usuarios.Status:
+//       values: [ACTIVE, INACTIVE]
+//     usuarios.Email:
+//       pattern: "[a-z]{6}@empresa\\.com"
+//     Quantidade:                 # vale para qualquer tabela
+//       min: 1
+//       max: 10
+//     usuarios.Apelido:           # coluna anulável: preenchida em 30% das linhas
+//       fill: 0.3
+//   columnMappings:
+//     EstadoCivilCaracteristicaId: CaracteristicaId
+//
+// Perfis de conexão (environments) e productionPatterns: ver connection.js
+
+const CONFIG_FILES = [
+    "mocktree.config.js",
+    "mocktree.config.json",
+    "mocktree.config.yaml",
+    "mocktree.config.yml"
+];
+
+const RULE_KEYS = ["value", "sql", "values", "pattern", "min", "max", "decimals", "nullProbability", "fill", "generate"];
+
+const EMPTY_CONFIG = { file: null, columns: {}, columnMappings: {} };
+
+// Configuração ativa no contexto da execução (ver context.js)
+const state = defineState("config", () => ({ active: EMPTY_CONFIG }));
+
+// Procura o arquivo padrão no diretório atual
+function findConfigFile(cwd = process.cwd()) {
+    const found = CONFIG_FILES.map(name => path.join(cwd, name)).find(file => fs.existsSync(file));
+    return found || null;
+}
+
+function readConfigFile(file) {
+    const ext = path.extname(file).toLowerCase();
+
+    if (ext === ".js" || ext === ".cjs") {
+        return require(path.resolve(file));
+    }
+
+    const content = fs.readFileSync(file, "utf8");
+    if (ext === ".yaml" || ext === ".yml") {
+        return YAML.parse(content) || {};
+    }
+    return JSON.parse(content);
+}
+
+function validateRule(key, rule) {
+    const where = `columns['${key}']`;
+
+    if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+        throw new Error(`${where} deve ser um objeto`);
+    }
+
+    const unknown = Object.keys(rule).filter(k => !RULE_KEYS.includes(k));
+    if (unknown.length > 0) {
+        throw new Error(`${where}: chave(s) desconhecida(s) ${unknown.join(', ')} (aceitas: ${RULE_KEYS.join(', ')})`);
+    }
+
+    if (rule.values !== undefined) {
+        if (!Array.isArray(rule.values) || rule.values.length === 0) {
+            throw new Error(`${where}.values deve ser uma lista não vazia`);
+        }
+        rule.values.forEach(item => {
+            if (item && typeof item === "object" && "weight" in item && !(item.weight >= 0)) {
+                throw new Error(`${where}.values: peso inválido (${item.weight})`);
+            }
+        });
+    }
+
+    if (rule.nullProbability !== undefined && !(rule.nullProbability >= 0 && rule.nullProbability <= 1)) {
+        throw new Error(`${where}.nullProbability deve estar entre 0 e 1`);
+    }
+
+    if (rule.fill !== undefined && typeof rule.fill !== "boolean" && !(rule.fill >= 0 && rule.fill <= 1)) {
+        throw new Error(`${where}.fill deve ser true/false ou uma proporção entre 0 e 1`);
+    }
+
+    if (rule.generate !== undefined && typeof rule.generate !== "function") {
+        throw new Error(`${where}.generate deve ser uma função (disponível apenas em mocktree.config.js)`);
+    }
+
+    if (rule.pattern !== undefined) {
+        // Valida o pattern já na carga, e não no meio do seed
+        generateFromPattern(String(rule.pattern));
+    }
+}
+
+// Lê e valida o arquivo; sem arquivo informado, usa o padrão do diretório (se existir)
+function loadConfig(file = null) {
+    const configFile = file || findConfigFile();
+
+    if (!configFile) {
+        return EMPTY_CONFIG;
+    }
+
+    if (!fs.existsSync(configFile)) {
+        throw new Error(`Arquivo de configuração não encontrado: ${configFile}`);
+    }
+
+    let raw;
+    try {
+        raw = readConfigFile(configFile);
+    } catch (error) {
+        throw new Error(`Erro ao ler ${configFile}: ${error.message}`);
+    }
+
+    const config = prepareConfig(raw, configFile);
+    logger.info(`⚙️ Configuração carregada: ${configFile} (${Object.keys(config.columns).length} regra(s) de coluna)`);
+    return config;
+}
+
+// Valida uma configuração já lida (do arquivo ou passada pela API); file só identifica a origem
+function prepareConfig(raw, file = null) {
+    const config = {
+        ...raw,
+        file,
+        columns: raw.columns || {},
+        columnMappings: raw.columnMappings || {}
+    };
+
+    try {
+        Object.entries(config.columns).forEach(([key, rule]) => validateRule(key, rule));
+    } catch (error) {
+        throw new Error(`Configuração inválida${file ? ` em ${file}` : ''}: ${error.message}`);
+    }
+    return config;
+}
+
+// Ativa a configuração para as próximas gerações de valores
+function useConfig(config = EMPTY_CONFIG) {
+    state().active = config || EMPTY_CONFIG;
+    return state().active;
+}
+
+function getConfig() {
+    return state().active;
+}
+
+// Regra mais específica para a coluna: schema.tabela.coluna > tabela.coluna > coluna
+function getColumnRule(schema, table, column) {
+    const columns = state().active.columns;
+    const keys = [`${schema}.${table}.${column}`, `${table}.${column}`, `${column}`];
+
+    for (const key of keys) {
+        if (columns[key]) return columns[key];
+    }
+
+    // Segunda passada sem diferenciar maiúsculas/minúsculas
+    const lowerKeys = keys.map(key => key.toLowerCase());
+    const entries = Object.entries(columns);
+    for (const key of lowerKeys) {
+        const match = entries.find(([name]) => name.toLowerCase() === key);
+        if (match) return match[1];
+    }
+
+    return null;
+}
+
+// ========================
+// APLICAÇÃO DAS REGRAS
+// ========================
+
+function pickWeighted(values) {
+    const items = values.map(item =>
+        item && typeof item === "object" && "value" in item
+            ? { value: item.value, weight: item.weight ?? 1 }
+            : { value: item, weight: 1 }
+    );
+
+    const total = items.reduce((sum, item) => sum + item.weight, 0);
+    let roll = random() * total;
+    for (const item of items) {
+        roll -= item.weight;
+        if (roll < 0) return item.value;
+    }
+    return items[items.length - 1].value;
+}
+
+const INTEGER_TYPES = ["integer", "int4", "bigint", "int8", "smallint", "int2"];
+
+function generateInRange(rule, column) {
+    const { min, max } = rule;
+
+    // Datas: min/max como texto ("2024-01-01")
+    if (typeof min === "string" || typeof max === "string" || min instanceof Date || max instanceof Date) {
+        const from = new Date(min).getTime();
+        const to = new Date(max ?? Date.now()).getTime();
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            throw new Error(`Intervalo de datas inválido para ${column.column_name}: ${min} - ${max}`);
+        }
+        const date = new Date(from + Math.floor(random() * (to - from + 1)));
+        return column.data_type === "date" ? date.toISOString().slice(0, 10) : date.toISOString();
+    }
+
+    const low = min ?? 0;
+    const high = max ?? low + 1000;
+
+    if (INTEGER_TYPES.includes(column.data_type?.toLowerCase()) || rule.decimals === 0) {
+        return randomInt(Math.ceil(low), Math.floor(high));
+    }
+
+    const decimals = rule.decimals ?? 2;
+    return parseFloat((low + random() * (high - low)).toFixed(decimals));
+}
+
+// Aplica a regra; devolve { value } ou null quando a regra não define o valor
+function applyColumnRule(rule, column, fkValue = null) {
+    if (rule.nullProbability && random() < rule.nullProbability) {
+        return { value: null };
+    }
+    if ("value" in rule) {
+        return { value: rule.value };
+    }
+    if (rule.sql) {
+        return { value: { raw: rule.sql } };
+    }
+    if (rule.values) {
+        return { value: pickWeighted(rule.values) };
+    }
+    if (rule.pattern !== undefined) {
+        return { value: generateFromPattern(String(rule.pattern)) };
+    }
+    if (rule.min !== undefined || rule.max !== undefined) {
+        return { value: generateInRange(rule, column) };
+    }
+    if (rule.generate) {
+        return {
+            value: rule.generate({
+                schema: column.table_schema,
+                table: column.table_name,
+                column: column.column_name,
+                dataType: column.data_type,
+                fkValue,
+                random,
+                randomInt,
+                pick
+            })
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    CONFIG_FILES,
+    loadConfig,
+    prepareConfig,
+    useConfig,
+    getConfig,
+    getColumnRule,
+    applyColumnRule
+};
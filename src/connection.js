@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+
+// ========================
+// CONFIGURAÇÃO DA CONEXÃO (DATABASE_URL, SSL, --env, produção)
+// ========================
+//
+// Sem --env, a conexão vem do .env: DATABASE_URL (connection string) ou
+// DB_HOST/DB_USER/DB_PASS/DB_NAME/DB_PORT, com SSL opcional:
+//
+//   DB_SSL=true|false|no-verify     no-verify = SSL sem validar o certificado
+//   DB_SSL_CA=./certs/ca.pem        certificado da autoridade (implica SSL)
+//   DB_SSL_REJECT_UNAUTHORIZED=false
+//   DB_POOL_SIZE=4                  conexões do pool (padrão: 4)
+//
+// Com --env NOME (ou MOCKTREE_ENV), usa o perfil de mesmo nome da seção
+// "environments" do mocktree.config.*. Textos com ${VARIAVEL} são lidos do
+// ambiente (para não gravar senhas no arquivo):
+//
+//   environments:
+//     local:
+//       host: localhost
+//       database: loja_dev
+//     staging-copy:
+//       url: ${STAGING_COPY_URL}
+//       ssl: { ca: ./certs/staging-ca.pem, rejectUnauthorized: true }
+//       poolSize: 8
+//   productionPatterns: ["prod", "\\.rds\\.amazonaws\\.com$"]
+//
+// productionPatterns são expressões regulares (sem diferenciar maiúsculas) comparadas
+// com o nome do banco e o host da conexão: se alguma casar, o seed e o cleanup são recusados.
+
+const PROFILE_KEYS = ["url", "host", "port", "user", "password", "database", "ssl", "poolSize"];
+
+const DEFAULT_POOL_SIZE = 4;
+
+// Substitui ${VARIAVEL} pelo valor do ambiente
+function interpolateEnv(value, where) {
+    if (typeof value !== "string") {
+        return value;
+    }
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+        if (process.env[name] === undefined) {
+            throw new Error(`${where}: variável de ambiente ${name} não definida`);
+        }
+        return process.env[name];
+    });
+}
+
+// CA, certificado e chave: conteúdo PEM ou caminho do arquivo (relativo ao arquivo de configuração)
+function readPem(value, baseDir, where) {
+    if (value.includes("-----BEGIN")) {
+        return value;
+    }
+    const file = path.resolve(baseDir, value);
+    try {
+        return fs.readFileSync(file, "utf8");
+    } catch (error) {
+        throw new Error(`${where}: não foi possível ler ${file} (${error.message})`);
+    }
+}
+
+// Converte a opção ssl (true | false | "no-verify" | { ca, cert, key, rejectUnauthorized }) no formato do pg
+function resolveSsl(ssl, baseDir, where) {
+    if (ssl === undefined || ssl === null || ssl === false || ssl === "false") {
+        return undefined;
+    }
+    if (ssl === true || ssl === "true") {
+        return { rejectUnauthorized: true };
+    }
+    if (ssl === "no-verify") {
+        return { rejectUnauthorized: false };
+    }
+    if (typeof ssl !== "object" || Array.isArray(ssl)) {
+        throw new Error(`${where}.ssl deve ser true, false, "no-verify" ou um objeto { ca, cert, key, rejectUnauthorized }`);
+    }
+
+    const resolved = { rejectUnauthorized: ssl.rejectUnauthorized !== false };
+    ["ca", "cert", "key"].forEach(field => {
+        if (ssl[field]) {
+            resolved[field] = readPem(interpolateEnv(ssl[field], where), baseDir, `${where}.ssl.${field}`);
+        }
+    });
+    return resolved;
+}
+
+function parsePoolSize(value, where) {
+    if (value === undefined || value === null || value === "") {
+        return DEFAULT_POOL_SIZE;
+    }
+    const size = Number(value);
+    if (!Number.isInteger(size) || size < 1) {
+        throw new Error(`${where}: tamanho do pool inválido (${value})`);
+    }
+    return size;
+}
+
+// Conexão a partir do .env
+function fromEnvironment() {
+    const env = process.env;
+    const where = ".env";
+    let sslSetting = env.DB_SSL;
+    if (env.DB_SSL_CA) {
+        sslSetting = { ca: env.DB_SSL_CA, rejectUnauthorized: env.DB_SSL_REJECT_UNAUTHORIZED !== "false" };
+    } else if (sslSetting === "true" && env.DB_SSL_REJECT_UNAUTHORIZED === "false") {
+        sslSetting = "no-verify";
+    }
+
+    const pg = env.DATABASE_URL
+        ? { connectionString: env.DATABASE_URL }
+        : {
+            host: env.DB_HOST,
+            user: env.DB_USER,
+            password: env.DB_PASS,
+            database: env.DB_NAME,
+            port: env.DB_PORT ? parseInt(env.DB_PORT, 10) : undefined
+        };
+
+    return {
+        name: env.DATABASE_URL ? "DATABASE_URL" : "DB_*",
+        pg: { ...pg, ssl: resolveSsl(sslSetting, process.cwd(), where) },
+        poolSize: parsePoolSize(env.DB_POOL_SIZE, where)
+    };
+}
+
+// Conexão a partir de um perfil da seção "environments" da configuração
+function fromProfile(name, config) {
+    const profiles = config.environments || {};
+    const profile = profiles[name];
+    const where = `environments['${name}']`;
+
+    if (!profile) {
+        const available = Object.keys(profiles);
+        throw new Error(`Ambiente '${name}' não encontrado na configuração${available.length > 0 ? ` (disponíveis: ${available.join(', ')})` : ''}`);
+    }
+
+    const unknown = Object.keys(profile).filter(key => !PROFILE_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${where}: chave(s) desconhecida(s) ${unknown.join(', ')} (aceitas: ${PROFILE_KEYS.join(', ')})`);
+    }
+
+    const value = key => interpolateEnv(profile[key], `${where}.${key}`);
+    const baseDir = config.file ? path.dirname(path.resolve(config.file)) : process.cwd();
+
+    const pg = profile.url
+        ? { connectionString: value("url") }
+        : {
+            host: value("host"),
+            user: value("user"),
+            password: value("password"),
+            database: value("database"),
+            port: profile.port !== undefined ? parseInt(value("port"), 10) : undefined
+        };
+
+    return {
+        name,
+        pg: { ...pg, ssl: resolveSsl(profile.ssl, baseDir, where) },
+        poolSize: parsePoolSize(value("poolSize"), where)
+    };
+}
+
+// Configuração da conexão da CLI: perfil (--env / MOCKTREE_ENV) ou .env; --pool-size tem prioridade
+function resolveConnection(options, config) {
+    const envName = options.env || process.env.MOCKTREE_ENV;
+    const connection = envName ? fromProfile(envName, config) : fromEnvironment();
+
+    if (options.poolSize) {
+        connection.poolSize = options.poolSize;
+    }
+    return connection;
+}
+
+// ========================
+// PROTEÇÃO CONTRA PRODUÇÃO
+// ========================
+
+function productionPatterns(config) {
+    const patterns = config.productionPatterns || [];
+    if (!Array.isArray(patterns)) {
+        throw new Error("productionPatterns deve ser uma lista de expressões regulares");
+    }
+    return patterns.map(pattern => {
+        try {
+            return new RegExp(pattern, "i");
+        } catch (error) {
+            throw new Error(`productionPatterns: expressão inválida '${pattern}' (${error.message})`);
+        }
+    });
+}
+
+// Devolve a descrição do que casou ("banco 'x' casa com /y/") ou null
+function matchProduction(target, config) {
+    for (const pattern of productionPatterns(config)) {
+        if (target.database && pattern.test(target.database)) {
+            return `banco '${target.database}' casa com ${pattern}`;
+        }
+        if (target.host && pattern.test(target.host)) {
+            return `host '${target.host}' casa com ${pattern}`;
+        }
+    }
+    return null;
+}
+
+// Recusa alterar um banco de produção (seed e cleanup)
+function assertNotProduction(target, config) {
+    const match = matchProduction(target, config);
+    if (match) {
+        throw new Error(`Conexão recusada: parece um banco de produção (${match} em productionPatterns)`);
+    }
+}
+
+module.exports = {
+    resolveConnection,
+    assertNotProduction
+};
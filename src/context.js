@@ -0,0 +1,54 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// ========================
+// CONTEXTO DA EXECUÇÃO
+// ========================
+//
+// O estado de um seed (conexão, estrutura do banco, configuração, caches, PRNG,
+// transação, dry-run, log...) fica num objeto de contexto, não em variáveis de
+// módulo. Cada módulo declara a sua parte com defineState e a lê pela função
+// devolvida; a parte é criada no contexto na primeira leitura:
+//
+//   const state = defineState("cycles", () => ({ pendingUpdates: [] }));
+//   state().pendingUpdates.push(update);
+//
+// A CLI usa o contexto padrão. A API (api.js) cria um contexto por chamada e o
+// ativa com runWithContext: tudo o que a chamada executa, inclusive os callbacks
+// assíncronos, enxerga esse contexto (AsyncLocalStorage). Assim, chamadas de
+// instâncias diferentes rodam em paralelo, e um generate que chama o seed de
+// outra instância roda com o contexto dela.
+
+const storage = new AsyncLocalStorage();
+const defaultContext = {};
+
+// Contexto vazio: cada módulo cria a sua parte quando ela for lida
+function createContext() {
+    return {};
+}
+
+function currentContext() {
+    return storage.getStore() || defaultContext;
+}
+
+// Executa fn (e tudo o que ela disparar) com o contexto informado
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+// Parte do contexto de um módulo: init() cria o estado inicial
+function defineState(name, init) {
+    return () => {
+        const context = currentContext();
+        if (!Object.prototype.hasOwnProperty.call(context, name)) {
+            context[name] = init();
+        }
+        return context[name];
+    };
+}
+
+module.exports = {
+    createContext,
+    currentContext,
+    runWithContext,
+    defineState
+};
@@ -0,0 +1,191 @@
+const { updateRow, getRandomRow } = require("./queries");
+const { loadUniqueConstraints } = require("./uniqueValues");
+const { withSavepoint, inTransaction, deferConstraint } = require("./transaction");
+const { isRecording, recordDeferredConstraint } = require("./sqlScript");
+const { generateColumnValue } = require("./generateRandomValues");
+const { toCachedRow, rowValue, sameRow } = require("./rows");
+const { pick } = require("./random");
+const { defineState } = require("./context");
+const logger = require("./logger");
+
+// ========================
+// CICLOS E AUTORREFERÊNCIAS DE FK
+// ========================
+//
+// FKs que fecham um ciclo (A -> B -> A) ou apontam para a própria tabela não
+// podem ser resolvidas antes do INSERT: a linha referenciada ainda não existe.
+// A coluna entra NULL (ou com valor provisório, se a FK for DEFERRABLE) e, no
+// final, um UPDATE aponta para uma linha da tabela referenciada.
+
+// Controle dos ciclos no contexto da execução (ver context.js)
+const state = defineState("cycles", () => ({
+    cyclicKeys: new Set(),          // "schema.tabela.fk" das FKs que fecham ciclos
+    deferredConstraints: new Set(), // FKs DEFERRABLE já adiadas nesta execução
+    pendingUpdates: []              // UPDATEs a executar depois dos INSERTs
+}));
+
+function resetCycles() {
+    const current = state();
+    current.cyclicKeys.clear();
+    current.deferredConstraints.clear();
+    current.pendingUpdates = [];
+}
+
+function fkKey(fk) {
+    return `${fk.source_schema}.${fk.source_table}.${fk.fk_name}`;
+}
+
+// Marca a FK (tabela de origem + nome da constraint) como quebra de ciclo
+function markCyclicForeignKey(schema, table, fkName) {
+    state().cyclicKeys.add(`${schema}.${table}.${fkName}`);
+}
+
+function isCyclicForeignKey(fk) {
+    return Boolean(fk) && state().cyclicKeys.has(fkKey(fk));
+}
+
+function isSelfReference(fk) {
+    return fk.source_schema === fk.target_schema && fk.source_table === fk.target_table;
+}
+
+// SET CONSTRAINTS ... DEFERRED: só vale dentro de transação (ou no script do dry-run)
+async function deferForeignKey(fk) {
+    const { deferredConstraints } = state();
+    if (deferredConstraints.has(fkKey(fk))) {
+        return true;
+    }
+
+    if (isRecording()) {
+        recordDeferredConstraint(fk.source_schema, fk.fk_name);
+    } else if (inTransaction()) {
+        await deferConstraint(fk.source_schema, fk.fk_name);
+    } else {
+        return false;
+    }
+
+    deferredConstraints.add(fkKey(fk));
+    logger.info(`⏳ FK ${fk.fk_name} adiada até o COMMIT (DEFERRABLE)`);
+    return true;
+}
+
+function addDeferred(deferred, fk) {
+    if (!deferred.some(item => fkKey(item) === fkKey(fk))) {
+        deferred.push(fk);
+    }
+}
+
+// Valor de uma coluna de FK cíclica no INSERT. Devolve null quando o fluxo normal deve
+// resolver a FK (NOT NULL sem DEFERRABLE: só é possível apontar para linhas já existentes).
+async function resolveCyclicColumn(column, fk, deferred) {
+    if (column.is_nullable === 'YES') {
+        // Autorreferência NULL é uma raiz válida; ciclos entre tabelas recebem UPDATE no final
+        if (!isSelfReference(fk)) {
+            addDeferred(deferred, fk);
+        }
+        return { value: null };
+    }
+
+    if (fk.deferrable && await deferForeignKey(fk)) {
+        addDeferred(deferred, fk);
+        // Valor provisório: o UPDATE corrige antes do COMMIT
+        return { value: generateColumnValue(column, null) };
+    }
+
+    logger.warn(fk.deferrable
+        ? `⚠️ FK ${fk.fk_name} é DEFERRABLE, mas só pode ser adiada com --transaction: usando linhas existentes`
+        : `⚠️ Ciclo com FK NOT NULL ${fk.fk_name} (não DEFERRABLE): usando linhas existentes de ${fk.target_schema}.${fk.target_table}`);
+    return null;
+}
+
+// Guarda os UPDATEs pendentes da linha recém-inserida, identificada pela PK (ou UNIQUE)
+async function registerDeferredUpdates(schema, table, deferred, result) {
+    const constraints = await loadUniqueConstraints(schema, table);
+    const key = constraints.find(constraint => constraint.primary) || constraints[0];
+
+    if (!key) {
+        logger.warn(`⚠️ ${schema}.${table} não tem PK nem UNIQUE: ${deferred.map(fk => fk.fk_name).join(', ')} não será atualizada`);
+        return;
+    }
+
+    const entry = toCachedRow(result);
+    for (const fk of deferred) {
+        state().pendingUpdates.push({ schema, table, fk, keyColumns: key.columns, entry });
+    }
+}
+
+// Escolhe a linha referenciada: outra linha inserida nesta execução, uma já existente
+// no banco ou, para autorreferência NOT NULL, a própria linha
+async function chooseReferencedRow(pending, insertedRows) {
+    const { fk, entry } = pending;
+    const candidates = (insertedRows.get(`${fk.target_schema}.${fk.target_table}`) || [])
+        .filter(candidate => !sameRow(candidate, entry));
+
+    if (candidates.length > 0) {
+        const chosen = pick(candidates);
+        return column => rowValue(chosen, column);
+    }
+
+    const row = await getRandomRow(fk.target_schema, fk.target_table, fk.target_columns);
+    if (row) {
+        return column => row[column];
+    }
+
+    return isSelfReference(fk) ? column => rowValue(entry, column) : null;
+}
+
+// Executa os UPDATEs pendentes; insertedRows: "schema.tabela" -> linhas inseridas nesta execução
+async function applyDeferredUpdates(insertedRows) {
+    const updates = state().pendingUpdates;
+    state().pendingUpdates = [];
+    const results = [];
+
+    if (updates.length === 0) {
+        return results;
+    }
+
+    logger.info(`\n🔁 Fechando ${updates.length} referência(s) cíclica(s)...`);
+
+    for (const pending of updates) {
+        const { schema, table, fk, keyColumns, entry } = pending;
+        const valueOf = await chooseReferencedRow(pending, insertedRows);
+
+        if (!valueOf) {
+            logger.warn(`⚠️ Nenhuma linha em ${fk.target_schema}.${fk.target_table}: ${fk.source_columns.join(', ')} continua NULL`);
+            continue;
+        }
+
+        const result = await withSavepoint(() => updateRow(
+            schema,
+            table,
+            fk.source_columns,
+            fk.target_columns.map(valueOf),
+            keyColumns,
+            keyColumns.map(column => rowValue(entry, column))
+        ));
+        results.push(result);
+    }
+
+    return results;
+}
+
+// UPDATEs pendentes até agora (marca para discardPendingUpdates)
+function pendingUpdateCount() {
+    return state().pendingUpdates.length;
+}
+
+// Descarta os UPDATEs das linhas de uma etapa desfeita por ROLLBACK TO SAVEPOINT
+function discardPendingUpdates(count) {
+    state().pendingUpdates.length = count;
+}
+
+module.exports = {
+    resetCycles,
+    markCyclicForeignKey,
+    isCyclicForeignKey,
+    isSelfReference,
+    resolveCyclicColumn,
+    registerDeferredUpdates,
+    applyDeferredUpdates,
+    pendingUpdateCount,
+    discardPendingUpdates
+};
@@ -1,21 +1,80 @@
-const { Client } = require("pg");
-require("dotenv").config();
-
-const client = new Client({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASS,
-  database: process.env.DB_NAME,
-  port: parseInt(process.env.DB_PORT, 10),
-  //ssl: { rejectUnauthorized: false },
-});
-
-async function connect() {
-  await client.connect();
+const { Pool } = require("pg");
+require("dotenv").config({ quiet: true });
+const { defineState } = require("./context");
+const logger = require("./logger");
+
+// Pool da CLI (criado em connect, ver connection.js) e a conexão reservada
+// para o seed: BEGIN/SAVEPOINT/COMMIT precisam de uma única conexão
+let pool = null;
+let session = null;
+
+// Conexão ativa do contexto (ver context.js): a da CLI ou a de uma chamada da API
+const state = defineState("db", () => ({ client: null, pool: null }));
+
+// Os módulos usam este objeto: as queries vão para a conexão ativa do contexto
+const client = {
+  query: (...args) => {
+    const active = state().client;
+    if (!active) {
+      throw new Error("Sem conexão com o banco de dados");
+    }
+    return active.query(...args);
+  },
+};
+
+// Consultas independentes da transação (ex.: leitura do catálogo): em paralelo
+// pelo pool, quando houver um; senão, pela conexão ativa
+function parallelQuery(...args) {
+  const active = state().pool;
+  return active ? active.query(...args) : client.query(...args);
+}
+
+// Define a conexão ativa do contexto (e o pool das consultas paralelas); sem
+// argumentos, usa a da CLI. Devolve a anterior, no mesmo formato.
+function useClient(connection = session, parallel = connection === session ? pool : null) {
+  const active = state();
+  const previous = { connection: active.client, parallel: active.pool };
+  active.client = connection;
+  active.pool = parallel;
+  return previous;
+}
+
+// Abre o pool da CLI a partir da configuração resolvida por connection.js
+async function connect(settings) {
+  pool = new Pool({ ...settings.pg, max: settings.poolSize });
+  // Conexões ociosas que caem (ex.: servidor reiniciado) não devem derrubar o processo
+  pool.on("error", (err) => logger.warn(`⚠️ Conexão do pool encerrada: ${err.message}`));
+  try {
+    session = await pool.connect();
+  } catch (err) {
+    // Falha ao conectar: não fica pool aberto (o disconnect não tem o que encerrar)
+    const failed = pool;
+    pool = null;
+    await failed.end().catch(() => {});
+    throw err;
+  }
+  useClient();
+}
+
+// Banco e host da conexão da CLI (para o log e a proteção contra produção)
+function getConnectionInfo() {
+  return session ? { host: session.host, port: session.port, database: session.database, user: session.user } : null;
 }
 
+// Devolve true quando havia um pool aberto para encerrar
 async function disconnect() {
-  await client.end();
+  if (!pool) {
+    return false;
+  }
+  const closing = pool;
+  if (session) {
+    session.release();
+  }
+  pool = null;
+  session = null;
+  useClient(null, null);
+  await closing.end();
+  return true;
 }
 
-module.exports = { client, connect, disconnect };
+module.exports = { client, parallelQuery, useClient, connect, getConnectionInfo, disconnect };
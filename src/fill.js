@@ -0,0 +1,69 @@
+const { getOptionalColumns } = require("./queries");
+const { getColumnRule } = require("./config");
+const { random } = require("./random");
+const { generateColumnValue } = require("./generateRandomValues");
+const logger = require("./logger");
+
+// ========================
+// COLUNAS OPCIONAIS (--fill)
+// ========================
+//
+// Por padrão só as colunas obrigatórias e as FKs recebem valores: as anuláveis
+// ficam NULL e as com default ficam com o default. Com --fill RATIO, cada coluna
+// anulável sem default recebe um valor gerado em RATIO das linhas; com
+// --fill-defaults, as colunas com default também (exceto sequências/serial).
+// A regra "fill" de uma coluna no mocktree.config.* define a proporção só
+// daquela coluna, inclusive se ela tiver default.
+
+// Defaults de sequência: sobrescrevê-los dessincroniza a sequência
+const SEQUENCE_DEFAULT = /^nextval\(/i;
+
+// Proporção definida pela regra da coluna (fill: 0.3 ou fill: true)
+function ruleRatio(schema, table, column) {
+    const rule = getColumnRule(schema, table, column);
+    if (!rule || rule.fill === undefined) {
+        return undefined;
+    }
+    return rule.fill === true ? 1 : rule.fill === false ? 0 : rule.fill;
+}
+
+// Colunas opcionais que serão preenchidas em schema.table, cada uma com fill_ratio (0 a 1)
+async function getFillColumns(schema, table, options) {
+    const selected = [];
+
+    for (const col of await getOptionalColumns(schema, table)) {
+        let ratio = ruleRatio(schema, table, col.column_name);
+
+        if (ratio === undefined) {
+            const hasDefault = col.column_default !== null;
+            if (hasDefault && (!options.fillDefaults || SEQUENCE_DEFAULT.test(col.column_default))) {
+                continue;
+            }
+            ratio = options.fill ?? 0;
+        }
+
+        if (ratio > 0) {
+            selected.push({ ...col, fill_ratio: ratio });
+        }
+    }
+
+    if (selected.length > 0) {
+        const described = selected.map(col => `${col.column_name} (${Math.round(col.fill_ratio * 100)}%)`);
+        logger.info(`🧩 Colunas opcionais preenchidas em ${schema}.${table}: ${described.join(', ')}`);
+    }
+    return selected;
+}
+
+// Valor de uma coluna opcional: gerado em fill_ratio das linhas; nas demais, NULL
+// ou o DEFAULT da coluna
+function optionalValue(col) {
+    if (col.fill_ratio >= 1 || random() < col.fill_ratio) {
+        return generateColumnValue(col, null);
+    }
+    return col.column_default !== null ? { raw: "DEFAULT" } : null;
+}
+
+module.exports = {
+    getFillColumns,
+    optionalValue
+};
@@ -1,6 +1,35 @@
-// Generate UUID
+const { random, randomInt, randomUUID, isSeeded } = require("./random");
+const { generateSemanticValue } = require("./semanticValues");
+const { getColumnRule, applyColumnRule } = require("./config");
+const { getColumnConstraints, hasConstraints, satisfiesConstraints, generateConstrainedValue } = require("./checkConstraints");
+const { defineState } = require("./context");
+const logger = require("./logger");
+
+// Base fixa para timestamps reproduzíveis quando há --seed
+const SEEDED_TIMESTAMP_BASE = Date.UTC(2025, 0, 1);
+const ONE_YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date range for dates and timestamps ({ from, to } in ms, or null = the year before now/the seeded base),
+// kept in the run context (see context.js)
+const state = defineState("dateRange", () => ({ range: null }));
+
+function setDateRange(range = null) {
+    state().range = range;
+}
+
+function currentDateRange() {
+    const { range } = state();
+    if (range) {
+        return range;
+    }
+    const to = isSeeded() ? SEEDED_TIMESTAMP_BASE : Date.now();
+    return { from: to - ONE_YEAR_MS, to };
+}
+
+// Generate UUID (v4, from the seedable PRNG)
 function generateUUID() {
-    return { raw: "gen_random_uuid()" };
+    return randomUUID();
 }
 
 // Generate random integer respecting bit limits
@@ -8,17 +37,30 @@ function generateInteger(bits = 32) {
     const safeBits = Math.max(1, Math.min(bits || 32, 31)); // Mais conservador para evitar overflow
     const max = Math.pow(2, safeBits - 1) - 1;
     const min = 1; // Sempre positivo para evitar problemas
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return randomInt(min, max);
 }
 
-// Generate decimal/numeric with precision
+// Generate decimal/numeric that fits numeric(precision, scale): at most precision - scale
+// integer digits and scale decimals (unconstrained numeric behaves like numeric(10, 2))
 function generateNumeric(precision = 10, scale = 2) {
-    const safePrec = Math.max(1, Math.min(precision || 10, 10));
-    const safeScale = Math.max(0, Math.min(scale || 2, safePrec - 1));
+    const safePrec = Math.max(1, precision || 10);
+    const safeScale = precision ? Math.max(0, Math.min(scale ?? 0, safePrec)) : 2;
     
-    const integerPart = Math.pow(10, safePrec - safeScale - 1); // Mais conservador
-    const randomNum = Math.random() * integerPart;
-    return parseFloat(randomNum.toFixed(safeScale));
+    // Realistic magnitudes (and exact in a double): up to 8 integer digits and 6 decimals
+    const integerDigits = Math.min(safePrec - safeScale, 8);
+    const decimals = Math.min(safeScale, 6);
+    const units = randomInt(0, Math.pow(10, integerDigits + decimals) - 1);
+    return parseFloat((units / Math.pow(10, decimals)).toFixed(decimals));
+}
+
+// Generate real/double precision (6 or 15 significant digits)
+function generateFloat(digits = 15) {
+    return parseFloat((random() * 10000).toPrecision(Math.min(digits, 15)));
+}
+
+// Generate money as text ('1234.56'), avoiding the locale-dependent output format
+function generateMoney() {
+    return (randomInt(0, 9999999) / 100).toFixed(2);
 }
 
 // Generate random string respecting length limit - MAIS CONSERVADOR
@@ -29,23 +71,237 @@ function generateString(limit = 10) {
     const maxLength = Math.min(limit || 10, 100);
     const minLength = Math.min(5, maxLength); // Pelo menos 5 caracteres
     
-    const length = Math.floor(Math.random() * (maxLength - minLength + 1)) + minLength;
+    const length = randomInt(minLength, maxLength);
     
     let result = '';
     for (let i = 0; i < length; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+        result += chars.charAt(randomInt(0, chars.length - 1));
     }
     return result;
 }
 
 // Generate random boolean
 function generateBoolean() {
-    return Math.random() < 0.5;
+    return random() < 0.5;
 }
 
-// Generate current timestamp
+// Generate a timestamp spread over the date range (--dates; default: the last year)
 function generateTimestamp() {
-    return { raw: "NOW()" };
+    const { from, to } = currentDateRange();
+    return new Date(from + Math.floor(random() * (to - from + 1))).toISOString();
+}
+
+// Generate a date (YYYY-MM-DD) in the date range
+function generateDate() {
+    return generateTimestamp().slice(0, 10);
+}
+
+function pad(value, size = 2) {
+    return String(value).padStart(size, "0");
+}
+
+// Generate time of day, with time zone offset for timetz
+function generateTime(withTimeZone = false) {
+    const time = `${pad(randomInt(0, 23))}:${pad(randomInt(0, 59))}:${pad(randomInt(0, 59))}`;
+    return withTimeZone ? `${time}+00` : time;
+}
+
+// Generate interval ('3 days 04:05:06')
+function generateInterval() {
+    return `${randomInt(0, 30)} days ${generateTime()}`;
+}
+
+// Generate IPv4 address (inet) or network with zeroed host bits (cidr)
+function generateInet(network = false) {
+    const octets = [randomInt(1, 223), randomInt(0, 255), randomInt(0, 255)];
+    return network ? `${octets.join(".")}.0/24` : `${octets.join(".")}.${randomInt(1, 254)}`;
+}
+
+function randomHex(bytes) {
+    return Array.from({ length: bytes }, () => pad(randomInt(0, 255).toString(16)));
+}
+
+// Generate MAC address (6 bytes, or 8 for macaddr8)
+function generateMacAddress(bytes = 6) {
+    return randomHex(bytes).join(":");
+}
+
+// Generate bytea in hex format ('\x0a1b...'), valid both as parameter and as SQL literal
+function generateBytea(limit = 16) {
+    return `\\x${randomHex(randomInt(1, limit)).join("")}`;
+}
+
+// Generate bit string: exactly `length` bits for bit(n), up to `length` for bit varying(n)
+function generateBits(length = 8, varying = false) {
+    const size = varying ? randomInt(1, length || 8) : length || 1;
+    return Array.from({ length: size }, () => (random() < 0.5 ? "0" : "1")).join("");
+}
+
+function generateWord() {
+    const letters = "abcdefghijklmnopqrstuvwxyz";
+    return Array.from({ length: randomInt(3, 8) }, () => letters.charAt(randomInt(0, letters.length - 1))).join("");
+}
+
+// Generate tsvector ('word word') or tsquery ('word & word')
+function generateTextSearch(query = false) {
+    const words = Array.from({ length: randomInt(2, 4) }, generateWord);
+    return words.join(query ? " & " : " ");
+}
+
+// Generate a small JSON object (as text)
+function generateJson() {
+    return JSON.stringify({ id: randomInt(1, 100000), nome: generateWord(), ativo: generateBoolean() });
+}
+
+// Generate XML document (as text)
+function generateXml() {
+    return `<item><nome>${generateWord()}</nome><valor>${randomInt(1, 1000)}</valor></item>`;
+}
+
+function generatePoint() {
+    return `(${randomInt(-1000, 1000)},${randomInt(-1000, 1000)})`;
+}
+
+// Generate geometric types in their text formats
+function generateGeometry(type) {
+    switch (type) {
+        case "point":
+            return generatePoint();
+        case "line":
+            return `{${randomInt(1, 10)},${randomInt(-10, 10)},${randomInt(-100, 100)}}`;
+        case "lseg":
+            return `[${generatePoint()},${generatePoint()}]`;
+        case "box":
+            return `(${generatePoint()},${generatePoint()})`;
+        case "path":
+            return `[${generatePoint()},${generatePoint()},${generatePoint()}]`;
+        case "polygon":
+            return `(${generatePoint()},${generatePoint()},${generatePoint()})`;
+        case "circle":
+            return `<${generatePoint()},${randomInt(1, 100)}>`;
+        default:
+            return undefined;
+    }
+}
+
+// Generate a non-empty range ('[lower,upper)') for the built-in range types; multiranges wrap it in {}
+function generateRange(type) {
+    const multirange = type.endsWith("multirange");
+    const base = multirange ? type.replace("multirange", "range") : type;
+    let range;
+
+    switch (base) {
+        case "int4range":
+        case "int8range": {
+            const lower = randomInt(1, 1000);
+            range = `[${lower},${lower + randomInt(1, 100)})`;
+            break;
+        }
+        case "numrange": {
+            const lower = generateNumeric(6, 2);
+            range = `[${lower},${(lower + randomInt(1, 100)).toFixed(2)})`;
+            break;
+        }
+        case "daterange":
+        case "tsrange":
+        case "tstzrange": {
+            const start = new Date(generateTimestamp());
+            const end = new Date(start.getTime() + randomInt(1, 30) * ONE_DAY_MS);
+            range = base === "daterange"
+                ? `[${start.toISOString().slice(0, 10)},${end.toISOString().slice(0, 10)})`
+                : `["${start.toISOString()}","${end.toISOString()}")`;
+            break;
+        }
+        default:
+            return undefined;
+    }
+
+    return multirange ? `{${range}}` : range;
+}
+
+// Type name (as in information_schema.data_type) for a pg_type name (udt_name)
+const UDT_TYPES = {
+    int2: "smallint",
+    int4: "integer",
+    int8: "bigint",
+    float4: "real",
+    float8: "double precision",
+    bool: "boolean",
+    bpchar: "character",
+    varchar: "character varying",
+    varbit: "bit varying",
+    timestamp: "timestamp without time zone",
+    timestamptz: "timestamp with time zone",
+    time: "time without time zone",
+    timetz: "time with time zone"
+};
+
+// Quote one element of an array literal
+function arrayElement(value) {
+    if (value === null || value === undefined) {
+        return "NULL";
+    }
+    return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// Generate a one-dimensional array literal ('{"a","b"}') with 1 to 3 elements of the element
+// type (udt_name without the leading "_"); enum arrays use the enum labels
+function generateArray(column) {
+    const elementUdt = (column.udt_name || "_text").replace(/^_/, "");
+    const element = {
+        data_type: UDT_TYPES[elementUdt] || elementUdt,
+        udt_name: elementUdt,
+        character_maximum_length: column.character_maximum_length,
+        numeric_precision: column.numeric_precision,
+        numeric_scale: column.numeric_scale
+    };
+    const labels = column.element_enum_labels;
+
+    const values = Array.from({ length: randomInt(1, 3) }, () =>
+        labels && labels.length > 0
+            ? labels[randomInt(0, labels.length - 1)]
+            : getDefaultValue(element.data_type, null, element.character_maximum_length, element)
+    );
+    return `{${values.map(arrayElement).join(",")}}`;
+}
+
+// Generate a composite literal ('("1","abc")') with one value per field type (format_type
+// names, e.g. "character varying(10)"); array fields are left NULL
+function generateComposite(fieldTypes) {
+    const values = fieldTypes.map(fieldType => {
+        if (fieldType.endsWith("[]")) {
+            return null;
+        }
+        const [, name, size] = fieldType.match(/^(.*?)(?:\((\d+)(?:,\d+)?\))?$/);
+        return getDefaultValue(name, null, size ? Number(size) : null);
+    });
+    return `(${values.map(value => (value === null ? "" : arrayElement(value))).join(",")})`;
+}
+
+// Types from extensions or user-defined (data_type "USER-DEFINED"), by udt_name.
+// Enums are generated from their labels before reaching here (checkConstraints.js).
+function generateUserDefined(column) {
+    const udt = column.udt_name || "";
+
+    const range = generateRange(udt);
+    if (range !== undefined) {
+        return range;
+    }
+
+    switch (udt) {
+        case "citext":
+            return generateString(column.data_limit || 50);
+        case "hstore":
+            return `"${generateWord()}"=>"${generateWord()}"`;
+        case "ltree":
+            return Array.from({ length: randomInt(1, 3) }, generateWord).join(".");
+        default:
+            if (column.udt_type === "c") {
+                return generateComposite(column.composite_fields || []);
+            }
+            logger.warn(`⚠️ Tipo de dados não reconhecido: ${udt}, usando string genérica`);
+            return generateString(10);
+    }
 }
 
 // Generate null value
@@ -53,11 +309,12 @@ function generateNull() {
     return { raw: "NULL" };
 }
 
-// Main function to get default value based on data type
-function getDefaultValue(dataType, fkValue, limit) {
+// Main function to get default value based on data type. `column` (the metadata row) gives
+// precision/scale, lengths and the element type of arrays.
+function getDefaultValue(dataType, fkValue, limit, column = {}) {
     // Se FK value é fornecido, usa ele (PRIORIDADE MÁXIMA)
     if (fkValue !== null && fkValue !== undefined) {
-        console.log(`   🎯 Usando FK value: ${fkValue}`);
+        logger.debug(`   🎯 Usando FK value: ${fkValue}`);
         return fkValue;
     }
     
@@ -70,6 +327,7 @@ function getDefaultValue(dataType, fkValue, limit) {
             
         case "integer":
         case "int4":
+        case "oid":
             return generateInteger(32);
             
         case "bigint":
@@ -82,7 +340,18 @@ function getDefaultValue(dataType, fkValue, limit) {
             
         case "numeric":
         case "decimal":
-            return generateNumeric(limit || 10, 2);
+            return generateNumeric(column.numeric_precision ?? limit, column.numeric_scale ?? 2);
+            
+        case "real":
+        case "float4":
+            return generateFloat(6);
+            
+        case "double precision":
+        case "float8":
+            return generateFloat(15);
+            
+        case "money":
+            return generateMoney();
             
         case "character varying":
         case "varchar":
@@ -93,8 +362,12 @@ function getDefaultValue(dataType, fkValue, limit) {
             
         case "char":
         case "character":
+        case "bpchar":
             return generateString(limit || 10);
             
+        case "name":
+            return generateString(Math.min(limit || 63, 63));
+            
         case "boolean":
         case "bool":
             return generateBoolean();
@@ -103,29 +376,134 @@ function getDefaultValue(dataType, fkValue, limit) {
         case "timestamp without time zone":
         case "timestamp with time zone":
         case "timestamptz":
-        case "date":
             return generateTimestamp();
             
+        case "date":
+            return generateDate();
+            
+        case "time":
+        case "time without time zone":
+            return generateTime(false);
+            
+        case "time with time zone":
+        case "timetz":
+            return generateTime(true);
+            
+        case "interval":
+            return generateInterval();
+            
+        case "inet":
+            return generateInet(false);
+            
+        case "cidr":
+            return generateInet(true);
+            
+        case "macaddr":
+            return generateMacAddress(6);
+            
+        case "macaddr8":
+            return generateMacAddress(8);
+            
+        case "bytea":
+            return generateBytea();
+            
+        case "bit":
+            return generateBits(column.character_maximum_length || 1, false);
+            
+        case "bit varying":
+        case "varbit":
+            return generateBits(column.character_maximum_length || 8, true);
+            
+        case "tsvector":
+            return generateTextSearch(false);
+            
+        case "tsquery":
+            return generateTextSearch(true);
+            
         case "json":
         case "jsonb":
-            return '{"generated": true}'; // JSON mais válido
+            return generateJson();
+            
+        case "xml":
+            return generateXml();
+            
+        case "pg_lsn":
+            return `${randomInt(0, 255).toString(16).toUpperCase()}/${randomInt(0, 0x7fffffff).toString(16).toUpperCase()}`;
             
         case "array":
-            return '{}';
+            return generateArray(column);
             
-        default:
-            console.warn(`⚠️ Tipo de dados não reconhecido: ${dataType}, usando string genérica`);
+        case "user-defined":
+            return generateUserDefined(column);
+            
+        default: {
+            const other = generateGeometry(type) ?? generateRange(type);
+            if (other !== undefined) {
+                return other;
+            }
+            logger.warn(`⚠️ Tipo de dados não reconhecido: ${dataType}, usando string genérica`);
             return generateString(10); // String ao invés de NULL para ser mais útil
+        }
+    }
+}
+
+// Value for a column row from getRequiredColumns: config rule, FK value, name-aware value, then type-based value.
+// Enum labels and CHECK constraints (table or domain) restrict the generated values.
+function generateColumnValue(column, fkValue) {
+    const rule = getColumnRule(column.table_schema, column.table_name, column.column_name);
+    if (rule) {
+        const override = applyColumnRule(rule, column, fkValue);
+        if (override) {
+            return override.value;
+        }
+    }
+
+    if (fkValue !== null && fkValue !== undefined) {
+        return getDefaultValue(column.data_type, fkValue, column.data_limit);
     }
+
+    const constraints = getColumnConstraints(column);
+    if (!hasConstraints(constraints)) {
+        const semantic = generateSemanticValue(column);
+        return semantic !== undefined ? semantic : getDefaultValue(column.data_type, null, column.data_limit, column);
+    }
+
+    // A CHECK on the length also limits name-aware values (names are truncated to fit)
+    const limit = Math.min(column.data_limit || Infinity, constraints.maxLength ?? Infinity);
+    const semantic = generateSemanticValue({ ...column, data_limit: Number.isFinite(limit) ? limit : null });
+    if (semantic !== undefined && satisfiesConstraints(semantic, constraints)) {
+        return semantic;
+    }
+
+    // Explicit lists (enum, IN) and regexes define the value by themselves
+    if (constraints.values || constraints.pattern !== undefined) {
+        const constrained = generateConstrainedValue(column, constraints, column.data_limit);
+        if (constrained !== undefined) {
+            return constrained;
+        }
+    }
+
+    const value = getDefaultValue(column.data_type, null, column.data_limit, column);
+    if (satisfiesConstraints(value, constraints)) {
+        return value;
+    }
+
+    const constrained = generateConstrainedValue(column, constraints, column.data_limit);
+    return constrained !== undefined ? constrained : value;
 }
 
 module.exports = { 
     generateUUID,
     generateInteger,
     generateNumeric, 
+    generateFloat,
     generateString,
     generateBoolean,
     generateTimestamp,
+    generateDate,
+    generateArray,
+    setDateRange,
     generateNull,
-    getDefaultValue 
+    getDefaultValue,
+    generateColumnValue
 };
\ No newline at end of file
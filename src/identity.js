@@ -0,0 +1,77 @@
+const { getIdentityColumns, getIdentityStart, syncIdentitySequence } = require("./queries");
+const { getColumnRule, applyColumnRule } = require("./config");
+const { defineState } = require("./context");
+const logger = require("./logger");
+
+// ========================
+// COLUNAS IDENTITY (--identity-values)
+// ========================
+//
+// Colunas identity (GENERATED ... AS IDENTITY) e geradas (GENERATED ALWAYS AS
+// (...) STORED) ficam fora dos INSERTs: o banco calcula o valor. Com
+// --identity-values, as colunas identity recebem valores explícitos, em
+// sequência a partir do último valor usado (na tabela ou na sequência), ou pela
+// regra da coluna no mocktree.config.*. Os INSERTs usam OVERRIDING SYSTEM VALUE
+// quando a coluna é GENERATED ALWAYS e, no final do seed, a sequência de cada
+// coluna é ressincronizada (setval) com o maior valor da tabela.
+
+// "schema.table.column" -> { schema, table, column, next }, no contexto da execução (ver context.js)
+const state = defineState("identity", () => ({ identities: new Map() }));
+
+// Limpa o controle (início de cada execução)
+function resetIdentityValues() {
+    state().identities.clear();
+}
+
+// Colunas identity que recebem valor explícito em schema.table (vazio sem --identity-values)
+async function getExplicitIdentityColumns(schema, table, options) {
+    const columns = await getIdentityColumns(schema, table);
+
+    if (!options.identityValues) {
+        columns.forEach(col => logger.debug(`   ⏭️ Identity ${col.identity_generation}: ${col.column_name} (valor gerado pelo banco)`));
+        return [];
+    }
+
+    const { identities } = state();
+    for (const col of columns) {
+        const key = `${schema}.${table}.${col.column_name}`;
+        if (!identities.has(key)) {
+            const next = await getIdentityStart(schema, table, col.column_name);
+            identities.set(key, { schema, table, column: col.column_name, next });
+        }
+    }
+
+    if (columns.length > 0) {
+        const described = columns.map(col => `${col.column_name} (a partir de ${identities.get(`${schema}.${table}.${col.column_name}`).next})`);
+        logger.info(`🔢 Valores explícitos nas colunas identity de ${schema}.${table}: ${described.join(', ')}`);
+    }
+    return columns.map(col => ({ ...col, identity_value: true }));
+}
+
+// Valor de uma coluna identity: regra da configuração ou o próximo da sequência do seed
+function identityValue(col) {
+    const rule = getColumnRule(col.table_schema, col.table_name, col.column_name);
+    const override = rule ? applyColumnRule(rule, col) : null;
+    if (override) {
+        return override.value;
+    }
+
+    const identity = state().identities.get(`${col.table_schema}.${col.table_name}.${col.column_name}`);
+    return identity.next++;
+}
+
+// Ressincroniza as sequências das colunas que receberam valores explícitos
+async function syncIdentitySequences() {
+    const results = [];
+    for (const { schema, table, column } of state().identities.values()) {
+        results.push(await syncIdentitySequence(schema, table, column));
+    }
+    return results;
+}
+
+module.exports = {
+    resetIdentityValues,
+    getExplicitIdentityColumns,
+    identityValue,
+    syncIdentitySequences
+};
@@ -1,30 +1,47 @@
-const { getRequiredColumns, getRandomId, insertData, findFKReference } = require("./queries");
-const { getDefaultValue } = require("./generateRandomValues");
-
-// Cache para armazenar IDs inseridos durante a execução
-const insertedIds = new Map(); // key: "schema.table", value: [ids...]
+const { getRequiredColumns, getRandomRow, insertData, insertManyData, maxRowsPerInsert, findFKReference } = require("./queries");
+const { generateColumnValue } = require("./generateRandomValues");
+const { withSavepoint, inTransaction, abortRun, isAborted } = require("./transaction");
+const { isRecording } = require("./sqlScript");
+const { DEFAULT_OPTIONS } = require("./options");
+const { pick } = require("./random");
+const { ensureUniqueRow, ensureUniqueRows, rememberRow } = require("./uniqueValues");
+const { toCachedRow, rowValue } = require("./rows");
+const { isCyclicForeignKey, resolveCyclicColumn, registerDeferredUpdates } = require("./cycles");
+const { getFillColumns, optionalValue } = require("./fill");
+const { getExplicitIdentityColumns, identityValue } = require("./identity");
+const { defineState } = require("./context");
+const logger = require("./logger");
 
 // Sistema inteligente de mapeamento de colunas FK
 // Adicione aqui casos específicos conforme necessário
-const intelligentColumnMapping = new Map([
+const DEFAULT_COLUMN_MAPPINGS = [
     // Exemplo: nome da coluna FK -> nome da coluna PK referenciada
     ['EstadoCivilCaracteristicaId', 'CaracteristicaId'],
     ['EstadoCaracteristicaId', 'CaracteristicaId'],
     ['TipoCaracteristicaId', 'CaracteristicaId'],
     // Sistema vai tentar descobrir automaticamente outros casos
-]);
+];
+
+// Caches e mapeamentos no contexto da execução (ver context.js)
+const state = defineState("insert", () => ({
+    // Linhas inseridas durante a execução
+    insertedRows: new Map(),  // key: "schema.table", value: [{ key, data, ref }...] (ver rows.js)
+    // FKs já descobertas por coluna (evita consultar o catálogo a cada linha)
+    fkReferences: new Map(),  // key: "schema.table.column", value: fkInfo | null
+    columnMappings: new Map(DEFAULT_COLUMN_MAPPINGS)
+}));
 
 // Função inteligente para descobrir relacionamentos FK
-function findChildNodeIntelligent(node, schema, table, column) {
-    // Busca direta na árvore
-    const directResult = findChildNodeDirect(node, schema, table, column);
+function findChildNodeIntelligent(step, column) {
+    // Busca direta nas FKs da etapa
+    const directResult = findChildNodeDirect(step, column);
     if (directResult) return directResult;
     
     // Busca com mapeamento inteligente
-    const mappedColumn = intelligentColumnMapping.get(column);
+    const mappedColumn = state().columnMappings.get(column);
     if (mappedColumn) {
-        console.log(`🧠 Mapeamento inteligente: ${column} -> ${mappedColumn}`);
-        const mappedResult = findChildNodeDirect(node, schema, table, mappedColumn);
+        logger.debug(`🧠 Mapeamento inteligente: ${column} -> ${mappedColumn}`);
+        const mappedResult = findChildNodeDirect(step, mappedColumn);
         if (mappedResult) return mappedResult;
     }
     
@@ -37,9 +54,9 @@ function findChildNodeIntelligent(node, schema, table, column) {
     
     for (const pattern of patterns) {
         if (pattern !== column && pattern.length > 2) {
-            const patternResult = findChildNodeDirect(node, schema, table, pattern);
+            const patternResult = findChildNodeDirect(step, pattern);
             if (patternResult) {
-                console.log(`🔍 Padrão descoberto: ${column} -> ${pattern}`);
+                logger.debug(`🔍 Padrão descoberto: ${column} -> ${pattern}`);
                 return patternResult;
             }
         }
@@ -48,183 +65,412 @@ function findChildNodeIntelligent(node, schema, table, column) {
     return null;
 }
 
-// Busca direta na árvore de nós
-function findChildNodeDirect(node, schema, table, column) {
-    const searchQueue = [...(node.children || [])];
-    
-    while (searchQueue.length > 0) {
-        const child = searchQueue.shift();
-        
-        if (child.from_schema === schema && 
-            child.from_table === table && 
-            child.from_column === column) {
-            return child;
-        }
-        
-        // Adiciona filhos à fila de busca (busca em largura)
-        if (child.children) {
-            searchQueue.push(...child.children);
+// Busca direta nas FKs da etapa do plano (planner.js)
+function findChildNodeDirect(step, column) {
+    for (const fk of step.foreignKeys || []) {
+        const position = fk.columns.indexOf(column);
+        if (position !== -1) {
+            return {
+                to_schema: fk.targetSchema,
+                to_table: fk.targetTable,
+                to_column: fk.targetColumns[position]
+            };
         }
     }
     
     return null;
 }
 
+async function lookupFKReference(schema, table, column) {
+    const { fkReferences } = state();
+    const key = `${schema}.${table}.${column}`;
+    if (!fkReferences.has(key)) {
+        fkReferences.set(key, await findFKReference(schema, table, column));
+    }
+    return fkReferences.get(key);
+}
+
+// Escolhe a linha referenciada: primeiro as inseridas nesta execução, depois o banco.
+// Devolve { source, valueOf(coluna) } ou null se a tabela estiver vazia.
+async function pickReferencedRow(schema, table, columns) {
+    const rows = state().insertedRows.get(`${schema}.${table}`);
+    if (rows && rows.length > 0) {
+        const entry = pick(rows);
+        return { source: 'cache', valueOf: column => rowValue(entry, column) };
+    }
+    
+    const row = await getRandomRow(schema, table, columns);
+    return row ? { source: 'db', valueOf: column => row[column] } : null;
+}
+
+// FK composta: todas as colunas da constraint vêm da mesma linha referenciada,
+// escolhida uma única vez por linha inserida (chosenRows)
+async function resolveCompositeForeignKey(column_name, fkInfo, chosenRows) {
+    if (!chosenRows.has(fkInfo.fk_name)) {
+        chosenRows.set(fkInfo.fk_name, await pickReferencedRow(fkInfo.target_schema, fkInfo.target_table, fkInfo.target_columns));
+    }
+    
+    const referenced = chosenRows.get(fkInfo.fk_name);
+    if (!referenced) {
+        logger.warn(`⚠️ Tabela ${fkInfo.target_schema}.${fkInfo.target_table} está vazia - FK ${fkInfo.fk_name} será NULL`);
+        return null;
+    }
+    
+    const fkValue = referenced.valueOf(fkInfo.target_column);
+    logger.debug(`🧩 FK composta ${fkInfo.fk_name}: ${column_name} = ${fkValue}`);
+    return fkValue;
+}
+
 // Função inteligente para resolver FK
-async function resolveForeignKeyIntelligent(column_name, schema, table, childNode) {
+async function resolveForeignKeyIntelligent(column_name, schema, table, childNode, chosenRows = new Map()) {
     let fkValue = null;
     
     try {
+        const fkInfo = await lookupFKReference(schema, table, column_name);
+        if (fkInfo && fkInfo.source_columns.length > 1) {
+            return await resolveCompositeForeignKey(column_name, fkInfo, chosenRows);
+        }
+        
         if (childNode) {
-            const targetTable = `${childNode.to_schema}.${childNode.to_table}`;
-            
-            // 1. Prioridade: IDs inseridos nesta execução
-            if (insertedIds.has(targetTable) && insertedIds.get(targetTable).length > 0) {
-                const cachedIds = insertedIds.get(targetTable);
-                fkValue = cachedIds[Math.floor(Math.random() * cachedIds.length)];
-                console.log(`🔄 Cache hit: ${column_name} = ${fkValue}`);
-            } 
-            // 2. Busca no banco
-            else {
-                const randomIdResult = await getRandomId(childNode.to_schema, childNode.to_table);
-                if (randomIdResult.length > 0) {
-                    fkValue = randomIdResult[0].Id;
-                    console.log(`🔗 DB hit: ${column_name} = ${fkValue}`);
-                }
+            // 1. Prioridade: linhas inseridas nesta execução; 2. Busca no banco
+            const referenced = await pickReferencedRow(childNode.to_schema, childNode.to_table, [childNode.to_column]);
+            if (referenced) {
+                fkValue = referenced.valueOf(childNode.to_column);
+                logger.debug(referenced.source === 'cache'
+                    ? `🔄 Cache hit: ${column_name} = ${fkValue}`
+                    : `🔗 DB hit: ${column_name} = ${fkValue}`);
             }
         } 
         // 3. Descoberta automática via constraints
         else {
-            console.log(`🔍 Auto-descobrindo FK para: ${column_name}`);
-            const fkInfo = await findFKReference(schema, table, column_name);
+            logger.debug(`🔍 Auto-descobrindo FK para: ${column_name}`);
             
             if (fkInfo) {
-                console.log(`🎯 FK descoberto: ${column_name} -> ${fkInfo.target_schema}.${fkInfo.target_table}.${fkInfo.target_column}`);
-                
-                const targetTable = `${fkInfo.target_schema}.${fkInfo.target_table}`;
+                logger.debug(`🎯 FK descoberto: ${column_name} -> ${fkInfo.target_schema}.${fkInfo.target_table}.${fkInfo.target_column}`);
                 
-                // Verifica cache primeiro
-                if (insertedIds.has(targetTable) && insertedIds.get(targetTable).length > 0) {
-                    const cachedIds = insertedIds.get(targetTable);
-                    fkValue = cachedIds[Math.floor(Math.random() * cachedIds.length)];
-                    console.log(`🔄 Cache hit (descoberto): ${column_name} = ${fkValue}`);
+                const referenced = await pickReferencedRow(fkInfo.target_schema, fkInfo.target_table, [fkInfo.target_column]);
+                if (referenced) {
+                    fkValue = referenced.valueOf(fkInfo.target_column);
+                    logger.debug(referenced.source === 'cache'
+                        ? `🔄 Cache hit (descoberto): ${column_name} = ${fkValue}`
+                        : `🔗 DB hit (descoberto): ${column_name} = ${fkValue}`);
                 } else {
-                    // Busca no banco
-                    const randomIdResult = await getRandomId(fkInfo.target_schema, fkInfo.target_table);
-                    if (randomIdResult.length > 0) {
-                        fkValue = randomIdResult[0].Id;
-                        console.log(`🔗 DB hit (descoberto): ${column_name} = ${fkValue}`);
-                    } else {
-                        console.warn(`⚠️ Tabela ${targetTable} está vazia - FK será NULL`);
-                    }
+                    logger.warn(`⚠️ Tabela ${fkInfo.target_schema}.${fkInfo.target_table} está vazia - FK será NULL`);
                 }
             } else {
-                console.log(`ℹ️ Nenhum FK encontrado para ${column_name} - valor será gerado`);
+                logger.debug(`ℹ️ Nenhum FK encontrado para ${column_name} - valor será gerado`);
             }
         }
     } catch (error) {
-        console.error(`❌ Erro ao resolver FK para ${column_name}:`, error.message);
+        logger.error(`❌ Erro ao resolver FK para ${column_name}:`, error.message);
     }
     
     return fkValue;
 }
 
-async function generateInsert(node) {
-    const results = [];
+// Armazena a linha no cache (inclusive as da tabela principal, usadas por etapas
+// posteriores do plano quando há ciclos)
+function cacheInsertedRow(schema, table, result, log = true) {
+    if (!result.data && !result.ref) return;
     
-    try {
-        // Processa filhos primeiro (ordem de dependência)
-        for (const child of node.children || []) {
-            const childResults = await generateInsert(child);
-            results.push(...childResults);
-        }
-
-        // Insere tabela atual
-        const requiredCols = await getRequiredColumns(node.to_schema, node.to_table);
-        
-        if (requiredCols.length === 0) {
-            console.log(`ℹ️ Nenhuma coluna necessária para ${node.to_schema}.${node.to_table}`);
-            return results;
-        }
+    const { insertedRows } = state();
+    const tableKey = `${schema}.${table}`;
+    if (!insertedRows.has(tableKey)) {
+        insertedRows.set(tableKey, []);
+    }
+    insertedRows.get(tableKey).push(toCachedRow(result));
+    if (log) {
+        logger.debug(`💾 ID cached: ${tableKey} = ${result.key ? result.id : '(sem PK)'}`);
+    }
+}
 
-        console.log(`\n🚀 Preparando INSERT: ${node.to_schema}.${node.to_table}`);
-        
+// Função de montagem das linhas de uma tabela (usada por generateInsert e pelo seed.js).
+// Cada chamador informa:
+//   cyclicForeignKey(col)              -> fkInfo se a FK da coluna fecha um ciclo (senão null)
+//   resolveForeignKey(col, chosenRows) -> valor da FK da coluna, ou null se não houver
+// chosenRows guarda, por linha montada, a linha referenciada de cada FK (FKs compostas).
+function createRowBuilder(requiredCols, { cyclicForeignKey, resolveForeignKey }) {
+    return async () => {
         const columns = [];
         const values = [];
+        const fixed = new Set();      // FKs resolvidas: não são regeradas
+        const deferred = [];          // FKs cíclicas completadas por UPDATE no final
+        const chosenRows = new Map(); // FK -> linha referenciada
 
         for (const col of requiredCols) {
-            // Resolve FK de forma inteligente
-            const childNode = findChildNodeIntelligent(node, node.to_schema, node.to_table, col.column_name);
-            const fkValue = await resolveForeignKeyIntelligent(col.column_name, node.to_schema, node.to_table, childNode);
-
             columns.push(col.column_name);
-            const value = getDefaultValue(col.data_type, fkValue, col.data_limit);
-            values.push(value);
-        }
-
-        if (columns.length > 0) {
-            console.log(`   📝 Executando: ${columns.length} colunas`);
             
-            // Executa INSERT
-            const insertResult = await insertData(node.to_schema, node.to_table, columns, values);
+            // Coluna identity (--identity-values): próximo valor, nunca regerado
+            if (col.identity_value) {
+                fixed.add(col.column_name);
+                values.push(identityValue(col));
+                continue;
+            }
             
-            // Armazena ID no cache se bem-sucedido
-            if (insertResult.success && insertResult.id) {
-                const tableKey = `${node.to_schema}.${node.to_table}`;
-                if (!insertedIds.has(tableKey)) {
-                    insertedIds.set(tableKey, []);
-                }
-                insertedIds.get(tableKey).push(insertResult.id);
-                console.log(`💾 ID cached: ${tableKey} = ${insertResult.id}`);
+            // Coluna opcional (--fill): valor gerado, ou NULL/DEFAULT
+            if (col.fill_ratio !== undefined) {
+                values.push(optionalValue(col));
+                continue;
             }
             
-            results.push(insertResult);
+            // FK que fecha um ciclo: NULL (ou provisória) agora, UPDATE depois
+            const cyclicFk = await cyclicForeignKey(col);
+            const cyclic = cyclicFk ? await resolveCyclicColumn(col, cyclicFk, deferred) : null;
+            if (cyclic) {
+                fixed.add(col.column_name);
+                values.push(cyclic.value);
+                continue;
+            }
             
-            // Pausa para não sobrecarregar o banco
-            await new Promise(resolve => setTimeout(resolve, 50));
+            const fkValue = await resolveForeignKey(col, chosenRows);
+            if (fkValue !== null && fkValue !== undefined) {
+                fixed.add(col.column_name);
+            }
+            values.push(generateColumnValue(col, fkValue));
         }
+        
+        // Usado para regerar colunas repetidas em constraints UNIQUE (FKs são mantidas)
+        const regenerate = (name) => {
+            const col = requiredCols.find(item => item.column_name === name);
+            return fixed.has(name) ? undefined : generateColumnValue(col, null);
+        };
+        
+        return { columns, values, regenerate, deferred };
+    };
+}
+
+// Monta uma linha; valores devolvidos como promise (generate assíncrono, ver config.js) são aguardados
+async function buildResolvedRow(buildRow) {
+    const row = await buildRow();
+    row.values = await Promise.all(row.values);
+    return row;
+}
+
+// Insere uma linha com novas tentativas; os valores são regerados a cada tentativa.
+// Violações de UNIQUE (23505) têm um limite próprio (--unique-retries).
+async function insertRow(schema, table, buildRow, options = DEFAULT_OPTIONS) {
+    const retries = options.retries || 0;
+    const uniqueRetries = options.uniqueRetries ?? DEFAULT_OPTIONS.uniqueRetries;
+    let attempt = 0;
+    let uniqueAttempt = 0;
+    let result = null;
+    
+    while (true) {
+        const row = await buildResolvedRow(buildRow);
+        await ensureUniqueRow(schema, table, row, uniqueRetries);
+        result = await withSavepoint(() => insertData(schema, table, row.columns, row.values));
+        result.attempts = attempt + uniqueAttempt + 1;
+        
+        if (result.success) {
+            cacheInsertedRow(schema, table, result);
+            rememberRow(schema, table, row);
+            if (row.deferred && row.deferred.length > 0) {
+                await registerDeferredUpdates(schema, table, row.deferred, result);
+            }
+            return result;
+        }
+        
+        if (result.errorCode === '23505' && uniqueAttempt < uniqueRetries) {
+            uniqueAttempt++;
+            logger.debug(`🔁 Valor repetido: nova tentativa (${uniqueAttempt}/${uniqueRetries}) para ${schema}.${table}`);
+            continue;
+        }
+        
+        if (attempt >= retries) {
+            break;
+        }
+        attempt++;
+        logger.info(`🔁 Nova tentativa (${attempt}/${retries}) para ${schema}.${table}`);
+    }
+    
+    // Falha definitiva: dentro de transação, a tabela será ignorada (ver runStep em seed.js) ou o seed abortado
+    if (inTransaction()) {
+        if (options.onError === 'skip') {
+            logger.warn(`⏭️ Falha definitiva em ${schema}.${table}: a tabela será desfeita até o SAVEPOINT`);
+        } else {
+            logger.error(`🛑 Falha definitiva em ${schema}.${table}: interrompendo o seed`);
+            abortRun();
+        }
+    }
+    
+    return result;
+}
+
+// Insere um lote em INSERTs de várias linhas (divididos se passarem do limite de
+// parâmetros); se um INSERT falhar (ex.: uma linha viola uma constraint), as linhas
+// dele são inseridas uma a uma, com novas tentativas
+async function insertBatch(schema, table, buildRows, options) {
+    const uniqueRetries = options.uniqueRetries ?? DEFAULT_OPTIONS.uniqueRetries;
+    const rows = [];
+    
+    for (const buildRow of buildRows) {
+        rows.push(await buildResolvedRow(buildRow));
+    }
+    // O lote inteiro é verificado de uma vez; registra já na montagem para que
+    // os lotes seguintes não repitam estas linhas
+    await ensureUniqueRows(schema, table, rows, uniqueRetries);
+    rows.forEach(row => rememberRow(schema, table, row));
+    
+    const results = [];
+    const size = maxRowsPerInsert(rows[0].columns.length);
+    
+    for (let start = 0; start < rows.length && !isAborted(); start += size) {
+        const chunk = rows.slice(start, start + size);
+        const batch = await withSavepoint(() => insertManyData(schema, table, chunk[0].columns, chunk.map(row => row.values)));
+        
+        if (!batch.success) {
+            logger.warn(`⚠️ Lote de ${chunk.length} linha(s) em ${schema}.${table} falhou: inserindo linha a linha`);
+            for (const buildRow of buildRows.slice(start, start + size)) {
+                results.push(await insertRow(schema, table, buildRow, options));
+                if (isAborted()) break;
+            }
+            continue;
+        }
+        
+        for (let i = 0; i < chunk.length; i++) {
+            const result = batch.results[i];
+            cacheInsertedRow(schema, table, result, false);
+            if (chunk[i].deferred && chunk[i].deferred.length > 0) {
+                await registerDeferredUpdates(schema, table, chunk[i].deferred, result);
+            }
+        }
+        logger.debug(`💾 ${chunk.length} linha(s) de ${schema}.${table} no cache`);
+        results.push(...batch.results);
+    }
+    
+    return results;
+}
+
+// Insere várias linhas (uma função de montagem por linha) em lotes de --batch-size
+// linhas por INSERT. Com --batch-size 1 e no dry-run, insere linha a linha.
+async function insertRows(schema, table, buildRows, options = DEFAULT_OPTIONS) {
+    const batchSize = options.batchSize ?? DEFAULT_OPTIONS.batchSize;
+    const results = [];
+    
+    if (batchSize <= 1 || isRecording()) {
+        for (const buildRow of buildRows) {
+            results.push(await insertRow(schema, table, buildRow, options));
+            if (isAborted()) break;
+        }
+        return results;
+    }
+    
+    for (let start = 0; start < buildRows.length && !isAborted(); start += batchSize) {
+        results.push(...await insertBatch(schema, table, buildRows.slice(start, start + batchSize), options));
+    }
+    
+    return results;
+}
+
+// Insere as step.rows linhas da tabela de uma etapa do plano; as tabelas
+// referenciadas já foram inseridas pelas etapas anteriores
+async function generateInsert(step, options = DEFAULT_OPTIONS) {
+    const results = [];
+    const { schema, table } = step;
+    
+    try {
+        // Colunas obrigatórias + FKs, identity com --identity-values e as opcionais escolhidas com --fill
+        const requiredCols = [
+            ...await getRequiredColumns(schema, table),
+            ...await getExplicitIdentityColumns(schema, table, options),
+            ...await getFillColumns(schema, table, options)
+        ];
+        
+        // Só serial/identity/defaults: as linhas são inseridas com DEFAULT VALUES
+        if (requiredCols.length === 0) {
+            logger.info(`ℹ️ Nenhuma coluna necessária para ${schema}.${table}: linhas com os valores padrão`);
+        }
+
+        logger.info(`\n🚀 Preparando INSERT: ${schema}.${table}`);
+        
+        const buildRow = createRowBuilder(requiredCols, {
+            // FK que fecha um ciclo: NULL (ou provisória) agora, UPDATE depois
+            cyclicForeignKey: async (col) => {
+                const fkInfo = await lookupFKReference(schema, table, col.column_name);
+                return isCyclicForeignKey(fkInfo) ? fkInfo : null;
+            },
+            // Resolve FK de forma inteligente
+            resolveForeignKey: (col, chosenRows) => {
+                const childNode = findChildNodeIntelligent(step, col.column_name);
+                return resolveForeignKeyIntelligent(col.column_name, schema, table, childNode, chosenRows);
+            }
+        });
+
+        const count = step.rows ?? 1;
+        logger.info(`   📝 Executando: ${count} linha(s), ${requiredCols.length} colunas`);
+        
+        // Executa os INSERTs (em lotes)
+        results.push(...await insertRows(schema, table, Array.from({ length: count }, () => buildRow), options));
 
     } catch (error) {
-        console.error(`❌ Erro ao processar ${node.to_schema}.${node.to_table}:`, error.message);
+        logger.error(`❌ Erro ao processar ${schema}.${table}:`, error.message);
         // Continua processando outras tabelas
         results.push({ 
             success: false, 
             error: error.message, 
-            table: `${node.to_schema}.${node.to_table}`
+            table: `${schema}.${table}`
         });
     }
 
     return results;
 }
 
+// Linhas de uma tabela já no cache (marca para discardCachedRows)
+function cachedRowCount(tableKey) {
+    const rows = state().insertedRows.get(tableKey);
+    return rows ? rows.length : 0;
+}
+
+// Tira do cache as linhas de uma etapa desfeita por ROLLBACK TO SAVEPOINT
+function discardCachedRows(tableKey, count) {
+    const rows = state().insertedRows.get(tableKey);
+    if (rows) {
+        rows.length = count;
+    }
+}
+
 // Limpa cache (útil para reinicializações)
 function clearCache() {
-    const size = insertedIds.size;
-    insertedIds.clear();
+    const { insertedRows, fkReferences } = state();
+    const size = insertedRows.size;
+    insertedRows.clear();
+    fkReferences.clear();
     if (size > 0) {
-        console.log(`🧹 Cache limpo (${size} tabelas)`);
+        logger.debug(`🧹 Cache limpo (${size} tabelas)`);
     }
 }
 
+// Volta aos mapeamentos padrão (os do mocktree.config.* valem só para a execução)
+function resetColumnMappings() {
+    state().columnMappings = new Map(DEFAULT_COLUMN_MAPPINGS);
+}
+
 // Adiciona mapeamento personalizado dinamicamente
 function addColumnMapping(sourceColumn, targetColumn) {
-    intelligentColumnMapping.set(sourceColumn, targetColumn);
-    console.log(`🔧 Mapeamento adicionado: ${sourceColumn} -> ${targetColumn}`);
+    state().columnMappings.set(sourceColumn, targetColumn);
+    logger.debug(`🔧 Mapeamento adicionado: ${sourceColumn} -> ${targetColumn}`);
 }
 
 // Mostra estatísticas do cache
 function showCacheStats() {
-    console.log(`📊 Cache Statistics:`);
-    console.log(`   📋 Tabelas no cache: ${insertedIds.size}`);
+    const { insertedRows } = state();
+    logger.debug(`📊 Cache Statistics:`);
+    logger.debug(`   📋 Tabelas no cache: ${insertedRows.size}`);
     
-    for (const [table, ids] of insertedIds.entries()) {
-        console.log(`   🔢 ${table}: ${ids.length} IDs`);
+    for (const [table, rows] of insertedRows.entries()) {
+        logger.debug(`   🔢 ${table}: ${rows.length} IDs`);
     }
 }
 
 module.exports = { 
     generateInsert, 
+    createRowBuilder,
+    insertRow, 
+    insertRows,
+    cachedRowCount,
+    discardCachedRows,
     clearCache, 
     addColumnMapping,
+    resetColumnMappings,
     showCacheStats
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Word lists for fictitious data in English (United States)
+module.exports = {
+    firstNames: [
+        "Alice", "Benjamin", "Charlotte", "Daniel", "Emily", "Ethan", "Grace", "Henry",
+        "Isabella", "Jack", "James", "Liam", "Lucas", "Mason", "Mia", "Noah",
+        "Olivia", "Sophia", "William", "Zoe", "Amelia", "Harper", "Logan", "Ella"
+    ],
+    lastNames: [
+        "Anderson", "Brown", "Clark", "Davis", "Garcia", "Harris", "Jackson", "Johnson",
+        "Jones", "Lee", "Lewis", "Martin", "Miller", "Moore", "Robinson", "Smith",
+        "Taylor", "Thomas", "Thompson", "Walker", "White", "Williams", "Wilson", "Young"
+    ],
+    companySuffixes: ["Inc.", "LLC", "Corp.", "Group", "Partners", "Co."],
+    streetTypes: ["Street", "Avenue", "Road", "Lane", "Boulevard", "Drive"],
+    streetNames: [
+        "Maple", "Oak", "Pine", "Cedar", "Elm", "Washington", "Lake", "Hill",
+        "Main", "Park", "Sunset", "River", "Church", "Highland", "Lincoln"
+    ],
+    neighborhoods: [
+        "Downtown", "Midtown", "Riverside", "Hillcrest", "Westwood", "Brookside",
+        "Lakeview", "Oak Park", "Fairview", "Greenwood"
+    ],
+    cities: [
+        { city: "Springfield", state: "Illinois", stateCode: "IL", areaCode: "217", postalPrefix: "627" },
+        { city: "Austin", state: "Texas", stateCode: "TX", areaCode: "512", postalPrefix: "787" },
+        { city: "Portland", state: "Oregon", stateCode: "OR", areaCode: "503", postalPrefix: "972" },
+        { city: "Denver", state: "Colorado", stateCode: "CO", areaCode: "303", postalPrefix: "802" },
+        { city: "Boston", state: "Massachusetts", stateCode: "MA", areaCode: "617", postalPrefix: "021" },
+        { city: "Seattle", state: "Washington", stateCode: "WA", areaCode: "206", postalPrefix: "981" },
+        { city: "Atlanta", state: "Georgia", stateCode: "GA", areaCode: "404", postalPrefix: "303" },
+        { city: "Phoenix", state: "Arizona", stateCode: "AZ", areaCode: "602", postalPrefix: "850" }
+    ],
+    country: "United States",
+    countryCode: "US",
+    // Reserved example domains (RFC 2606): never real mailboxes
+    emailDomains: ["example.com", "example.org", "example.net"],
+    words: [
+        "blue", "river", "stone", "north", "maple", "bright", "cloud", "field", "harbor", "light",
+        "ocean", "pixel", "summit", "forest", "spark", "valley", "urban", "silver", "swift", "prime"
+    ]
+};
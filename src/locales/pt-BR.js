@@ -0,0 +1,48 @@
+// Listas de palavras para dados fictícios em português (Brasil)
+module.exports = {
+    firstNames: [
+        "Ana", "Beatriz", "Bruno", "Camila", "Carlos", "Daniel", "Eduarda", "Fernanda",
+        "Felipe", "Gabriel", "Gustavo", "Helena", "Isabela", "João", "Júlia", "Larissa",
+        "Leonardo", "Lucas", "Luiza", "Marcos", "Maria", "Mariana", "Mateus", "Natália",
+        "Paulo", "Pedro", "Rafael", "Renata", "Rodrigo", "Sofia", "Thiago", "Vitória"
+    ],
+    lastNames: [
+        "Almeida", "Alves", "Araújo", "Barbosa", "Cardoso", "Carvalho", "Castro", "Costa",
+        "Dias", "Fernandes", "Ferreira", "Gomes", "Lima", "Martins", "Melo", "Moreira",
+        "Nascimento", "Oliveira", "Pereira", "Ribeiro", "Rocha", "Rodrigues", "Santos",
+        "Silva", "Soares", "Sousa", "Teixeira", "Vieira"
+    ],
+    companySuffixes: ["Ltda", "S.A.", "ME", "EIRELI", "Comércio", "Serviços"],
+    streetTypes: ["Rua", "Avenida", "Travessa", "Alameda", "Praça"],
+    streetNames: [
+        "das Flores", "Brasil", "XV de Novembro", "Sete de Setembro", "Getúlio Vargas",
+        "Santos Dumont", "Tiradentes", "das Palmeiras", "São João", "Rio Branco",
+        "Marechal Deodoro", "Dom Pedro II", "dos Andradas", "Paulista", "Afonso Pena"
+    ],
+    neighborhoods: [
+        "Centro", "Jardim América", "Vila Nova", "Boa Vista", "Santa Cecília", "Liberdade",
+        "Campo Belo", "Bela Vista", "Jardim das Acácias", "Vila Mariana", "Copacabana", "Savassi"
+    ],
+    cities: [
+        { city: "São Paulo", state: "São Paulo", stateCode: "SP", areaCode: "11", postalPrefix: "01" },
+        { city: "Campinas", state: "São Paulo", stateCode: "SP", areaCode: "19", postalPrefix: "13" },
+        { city: "Rio de Janeiro", state: "Rio de Janeiro", stateCode: "RJ", areaCode: "21", postalPrefix: "20" },
+        { city: "Belo Horizonte", state: "Minas Gerais", stateCode: "MG", areaCode: "31", postalPrefix: "30" },
+        { city: "Curitiba", state: "Paraná", stateCode: "PR", areaCode: "41", postalPrefix: "80" },
+        { city: "Porto Alegre", state: "Rio Grande do Sul", stateCode: "RS", areaCode: "51", postalPrefix: "90" },
+        { city: "Florianópolis", state: "Santa Catarina", stateCode: "SC", areaCode: "48", postalPrefix: "88" },
+        { city: "Brasília", state: "Distrito Federal", stateCode: "DF", areaCode: "61", postalPrefix: "70" },
+        { city: "Salvador", state: "Bahia", stateCode: "BA", areaCode: "71", postalPrefix: "40" },
+        { city: "Recife", state: "Pernambuco", stateCode: "PE", areaCode: "81", postalPrefix: "50" },
+        { city: "Fortaleza", state: "Ceará", stateCode: "CE", areaCode: "85", postalPrefix: "60" },
+        { city: "Vitória", state: "Espírito Santo", stateCode: "ES", areaCode: "27", postalPrefix: "29" }
+    ],
+    country: "Brasil",
+    countryCode: "BR",
+    // Domínios reservados para exemplos: nunca geram e-mails reais
+    emailDomains: ["exemplo.com.br", "teste.com.br", "example.com"],
+    words: [
+        "casa", "sol", "mar", "verde", "rio", "campo", "loja", "norte", "serra", "porto",
+        "flor", "pedra", "vale", "luz", "lago", "praia", "mundo", "vida", "sabor", "arte"
+    ]
+};
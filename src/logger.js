@@ -0,0 +1,143 @@
+const fs = require("fs");
+const util = require("util");
+const { defineState } = require("./context");
+
+// ========================
+// LOGS (--quiet, --verbose, --log-format, --log-file)
+// ========================
+//
+// Todos os módulos registram mensagens por aqui, em quatro níveis:
+//
+//   error  falhas (INSERT que falhou, erro de conexão...)
+//   warn   situações que alteram o resultado (valor que continua NULL, tabela ignorada...)
+//   info   progresso por tabela e relatório final (padrão)
+//   debug  detalhes por linha e por coluna (colunas escolhidas, cache, SQL executado...)
+//
+// --quiet mostra só warn e error; --verbose inclui debug. Com --log-format json,
+// cada mensagem vira uma linha JSON ({ time, level, msg, ...contexto }) sem os
+// emojis do início. --log-file ARQUIVO grava também em arquivo (no mesmo formato,
+// a partir de info, ou debug com --verbose), independente do --quiet.
+//
+// output() é para o resultado do comando (ajuda, plano, listas): sai sempre.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const DEFAULT_SETTINGS = {
+    level: process.env.NODE_ENV === 'development' ? 'debug' : 'info',
+    format: 'text',   // 'text' | 'json'
+    file: null        // Caminho do arquivo de log (opcional)
+};
+
+// Configuração do log no contexto da execução (ver context.js)
+const state = defineState("logger", () => ({
+    settings: { ...DEFAULT_SETTINGS },
+    fileLevel: DEFAULT_SETTINGS.level,
+    fields: {}        // Campos incluídos em cada linha JSON (ex.: runId)
+}));
+
+// Aplica as opções de log; sem argumentos, volta ao padrão
+function configureLogger(options = {}) {
+    const current = state();
+    current.settings = {
+        level: options.level || DEFAULT_SETTINGS.level,
+        format: options.format || DEFAULT_SETTINGS.format,
+        file: options.file || null
+    };
+    current.fileLevel = LEVELS[current.settings.level] >= LEVELS.debug ? 'debug' : 'info';
+    current.fields = {};
+}
+
+// Nível a partir das flags da linha de comando
+function levelFromOptions(options) {
+    if (options.verbose) return 'debug';
+    if (options.quiet) return 'warn';
+    return DEFAULT_SETTINGS.level;
+}
+
+function setLogContext(fields) {
+    const current = state();
+    current.fields = { ...current.fields, ...fields };
+}
+
+function isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[state().settings.level];
+}
+
+// Emojis, espaços e quebras de linha do início das mensagens de texto
+const DECORATION = /^[\s\p{Extended_Pictographic}\u{FE0F}\u{200D}]+/u;
+
+function formatLine(level, message) {
+    const { settings, fields } = state();
+    if (settings.format === 'json') {
+        // Linhas só de separadores ("=====") não têm conteúdo
+        if (/^[\s=-]*$/.test(message)) {
+            return null;
+        }
+        return JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            msg: message.replace(DECORATION, "").trimEnd(),
+            ...fields
+        });
+    }
+    return message;
+}
+
+function write(level, args, always = false) {
+    const { settings, fileLevel } = state();
+    const toConsole = always || isLevelEnabled(level);
+    const toFile = settings.file && LEVELS[level] <= LEVELS[fileLevel];
+    if (!toConsole && !toFile) {
+        return;
+    }
+
+    const line = formatLine(level, util.format(...args));
+    if (line === null) {
+        return;
+    }
+    if (toConsole) {
+        const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+        stream.write(line + "\n");
+    }
+    if (toFile) {
+        try {
+            fs.appendFileSync(settings.file, line + "\n");
+        } catch (error) {
+            process.stderr.write(`⚠️ Não foi possível gravar em ${settings.file}: ${error.message}\n`);
+            settings.file = null;
+        }
+    }
+}
+
+function error(...args) {
+    write('error', args);
+}
+
+function warn(...args) {
+    write('warn', args);
+}
+
+function info(...args) {
+    write('info', args);
+}
+
+function debug(...args) {
+    write('debug', args);
+}
+
+function output(...args) {
+    write('info', args, true);
+}
+
+module.exports = {
+    LEVELS,
+    configureLogger,
+    levelFromOptions,
+    setLogContext,
+    isLevelEnabled,
+    error,
+    warn,
+    info,
+    debug,
+    output
+};
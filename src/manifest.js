@@ -0,0 +1,292 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const {
+    getUniqueConstraints,
+    getTableColumns,
+    getCurrentDatabase,
+    deleteRows,
+    deleteRowByValues,
+    clearColumns,
+    maxRowsPerInsert
+} = require("./queries");
+const { beginTransaction, commitTransaction, rollbackTransaction, deferConstraint } = require("./transaction");
+const logger = require("./logger");
+
+// ========================
+// MANIFESTO DA EXECUÇÃO E CLEANUP
+// ========================
+//
+// Cada seed que grava no banco gera um manifesto JSON com o id da execução e a
+// chave (PK ou UNIQUE) de cada linha criada, tabela por tabela, na ordem de
+// inserção. "mocktree cleanup <run-id>" remove exatamente essas linhas, na ordem
+// inversa, dentro de uma transação: se alguma linha estiver referenciada por
+// dados de fora da execução, nada é removido.
+//
+// Formato:
+//   {
+//     version, runId, database, target, seed, createdAt,
+//     tables: [{ table, schema, name, keyColumns, byKey, rows: [[valores da chave]] }],
+//     cycles: [{ name, schema, table, columns, nullable, deferrable }]
+//   }
+//
+// byKey = false: a tabela não tem PK nem UNIQUE utilizável, e keyColumns traz
+// todas as colunas da linha que têm igualdade (cada linha é removida pela
+// igualdade de todas elas; json, xml, point... ficam de fora).
+
+const MANIFEST_VERSION = 1;
+
+// Tipos sem operador de igualdade (IS NOT DISTINCT FROM falharia no cleanup)
+const NON_COMPARABLE_TYPES = new Set(["json", "xml", "point", "path", "polygon"]);
+const DEFAULT_MANIFEST_DIR = path.join(".mocktree", "runs");
+
+// Id da execução: data/hora (UTC) + sufixo aleatório, ex.: 20250101T120000-a1b2c3
+function createRunId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function manifestPath(runId, dir = DEFAULT_MANIFEST_DIR) {
+    return path.join(dir, `${runId}.json`);
+}
+
+// Chave que identifica as linhas: a PK ou, sem ela, uma UNIQUE sem NULL nas linhas inseridas
+async function chooseKeyColumns(schema, table, rows) {
+    const constraints = await getUniqueConstraints(schema, table);
+    const candidates = [...constraints.filter(c => c.primary), ...constraints.filter(c => !c.primary)];
+    const key = candidates.find(constraint =>
+        rows.every(row => constraint.columns.every(column => row[column] !== null && row[column] !== undefined))
+    );
+    return key ? key.columns : null;
+}
+
+// Colunas que identificam as linhas de uma tabela sem chave: as que podem ser comparadas
+// com = (em arrays, vale o tipo do elemento)
+async function comparableColumns(schema, table, rows) {
+    const types = new Map((await getTableColumns(schema, table)).map(col => [col.column_name, col.udt_name.replace(/^_/, "")]));
+    return Object.keys(rows[0]).filter(column => !NON_COMPARABLE_TYPES.has(types.get(column)));
+}
+
+// Monta o manifesto a partir dos resultados dos INSERTs (na ordem das etapas do plano).
+// Devolve null se nenhuma linha foi criada.
+async function buildManifest(runId, plan, results, seed) {
+    const rowsByTable = new Map();
+    for (const result of results) {
+        if (!result.success || !result.data) continue;
+        if (!rowsByTable.has(result.table)) {
+            rowsByTable.set(result.table, []);
+        }
+        rowsByTable.get(result.table).push(result.data);
+    }
+
+    const tables = [];
+    for (const step of plan.steps) {
+        const rows = rowsByTable.get(step.key);
+        if (!rows) continue;
+
+        const keyColumns = await chooseKeyColumns(step.schema, step.table, rows);
+        const columns = keyColumns || await comparableColumns(step.schema, step.table, rows);
+        if (columns.length === 0) {
+            logger.warn(`⚠️ ${step.key} não tem PK, UNIQUE nem colunas comparáveis: as linhas não entram no manifesto`);
+            continue;
+        }
+        if (!keyColumns) {
+            logger.warn(`⚠️ ${step.key} não tem PK nem UNIQUE: o cleanup vai comparar as colunas ${columns.join(', ')} de cada linha`);
+        }
+
+        tables.push({
+            table: step.key,
+            schema: step.schema,
+            name: step.table,
+            keyColumns: columns,
+            byKey: Boolean(keyColumns),
+            rows: rows.map(row => columns.map(column => row[column]))
+        });
+    }
+
+    if (tables.length === 0) {
+        return null;
+    }
+
+    return {
+        version: MANIFEST_VERSION,
+        runId,
+        database: await getCurrentDatabase(),
+        target: plan.target,
+        seed,
+        createdAt: new Date().toISOString(),
+        tables,
+        cycles: plan.cycles.map(cycle => ({
+            name: cycle.name,
+            schema: cycle.sourceSchema,
+            table: cycle.source,
+            columns: cycle.columns,
+            nullable: cycle.nullable,
+            deferrable: cycle.deferrable
+        }))
+    };
+}
+
+function saveManifest(manifest, dir = DEFAULT_MANIFEST_DIR) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = manifestPath(manifest.runId, dir);
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+    return file;
+}
+
+function readManifest(runId, dir = DEFAULT_MANIFEST_DIR) {
+    if (!/^[\w-]+$/.test(runId)) {
+        throw new Error(`Id de execução inválido: '${runId}'`);
+    }
+
+    const file = manifestPath(runId, dir);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Manifesto da execução '${runId}' não encontrado em ${dir} (use 'mocktree cleanup' para listar)`);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Erro ao ler o manifesto ${file}: ${error.message}`);
+    }
+
+    if (manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.tables)) {
+        throw new Error(`Manifesto inválido ou de versão incompatível: ${file}`);
+    }
+    return manifest;
+}
+
+function removeManifest(runId, dir = DEFAULT_MANIFEST_DIR) {
+    fs.rmSync(manifestPath(runId, dir), { force: true });
+}
+
+// Manifestos disponíveis, do mais recente para o mais antigo
+function listManifests(dir = DEFAULT_MANIFEST_DIR) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith(".json"))
+        .map(file => {
+            try {
+                return readManifest(path.basename(file, ".json"), dir);
+            } catch (error) {
+                logger.warn(`⚠️ ${error.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function countRows(manifest) {
+    return manifest.tables.reduce((total, entry) => total + entry.rows.length, 0);
+}
+
+// Divide as chaves em grupos que cabem no limite de parâmetros de um comando
+function chunkKeys(keys, keyColumns) {
+    const size = maxRowsPerInsert(keyColumns.length);
+    const chunks = [];
+    for (let start = 0; start < keys.length; start += size) {
+        chunks.push(keys.slice(start, start + size));
+    }
+    return chunks;
+}
+
+// Ciclos de FK: anula as FKs que aceitam NULL e adia as DEFERRABLE, para que a
+// ordem inversa de inserção não esbarre nas referências criadas pelos UPDATEs
+async function releaseCycles(manifest) {
+    for (const cycle of manifest.cycles || []) {
+        const entry = manifest.tables.find(item => item.table === cycle.table);
+        if (!entry) continue;
+
+        if (cycle.deferrable) {
+            await deferConstraint(cycle.schema, cycle.name);
+        } else if (cycle.nullable && entry.byKey) {
+            for (const keys of chunkKeys(entry.rows, entry.keyColumns)) {
+                const result = await clearColumns(entry.schema, entry.name, cycle.columns, entry.keyColumns, keys);
+                if (!result.success) return false;
+            }
+        }
+    }
+    return true;
+}
+
+// Remove as linhas de uma tabela do manifesto (da última inserida para a primeira)
+async function deleteTableRows(entry) {
+    const rows = [...entry.rows].reverse();
+    let deleted = 0;
+
+    if (entry.byKey) {
+        for (const keys of chunkKeys(rows, entry.keyColumns)) {
+            const result = await deleteRows(entry.schema, entry.name, entry.keyColumns, keys);
+            if (!result.success) return { success: false, deleted };
+            deleted += result.rowCount;
+        }
+    } else {
+        for (const values of rows) {
+            const result = await deleteRowByValues(entry.schema, entry.name, entry.keyColumns, values);
+            if (!result.success) return { success: false, deleted };
+            deleted += result.rowCount;
+        }
+    }
+
+    return { success: true, deleted };
+}
+
+// Remove as linhas da execução na ordem inversa de inserção, tudo ou nada
+async function cleanupRun(manifest) {
+    const database = await getCurrentDatabase();
+    if (manifest.database !== database) {
+        throw new Error(`A execução ${manifest.runId} foi feita no banco '${manifest.database}', mas a conexão atual é com '${database}'`);
+    }
+
+    logger.info(`🧹 Removendo ${countRows(manifest)} linha(s) da execução ${manifest.runId} (${manifest.target}, ${manifest.createdAt})`);
+    const summary = { runId: manifest.runId, deleted: 0, missing: 0, success: false };
+
+    await beginTransaction();
+    try {
+        if (!await releaseCycles(manifest)) {
+            await rollbackTransaction();
+            return summary;
+        }
+
+        for (const entry of [...manifest.tables].reverse()) {
+            const result = await deleteTableRows(entry);
+            if (!result.success) {
+                logger.error(`🛑 Falha ao remover linhas de ${entry.table}: nada foi removido`);
+                await rollbackTransaction();
+                summary.deleted = 0;
+                summary.missing = 0;
+                return summary;
+            }
+
+            const missing = entry.rows.length - result.deleted;
+            summary.deleted += result.deleted;
+            summary.missing += missing;
+            logger.info(`🗑️ ${entry.table}: ${result.deleted} linha(s) removida(s)${missing > 0 ? ` (${missing} já não existiam)` : ''}`);
+        }
+
+        await commitTransaction();
+    } catch (error) {
+        await rollbackTransaction();
+        throw error;
+    }
+
+    summary.success = true;
+    return summary;
+}
+
+module.exports = {
+    DEFAULT_MANIFEST_DIR,
+    createRunId,
+    buildManifest,
+    saveManifest,
+    readManifest,
+    removeManifest,
+    listManifests,
+    countRows,
+    cleanupRun
+};
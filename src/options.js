@@ -0,0 +1,248 @@
+// ========================
+// OPÇÕES DE EXECUÇÃO
+// ========================
+
+const DEFAULT_OPTIONS = {
+    rows: 1,          // Quantidade de linhas na tabela principal
+    parentRows: 1,    // Quantidade de linhas por dependência (FASE 1)
+    perParent: null,  // Fan-out: { min, max } filhos por registro pai
+    levels: 1,        // Níveis da hierarquia em tabelas autorreferenciadas
+    children: null,   // Tabelas filhas: { all, tables: [{ name, perParent }] } (ver parseChildren)
+    schema: null,     // Schema da tabela alvo (null = procura em todos)
+    dryRun: false,    // Gera um script .sql em vez de executar os INSERTs
+    output: null,     // Arquivo do script do dry-run
+    transaction: false, // Envolve todo o seed em BEGIN/COMMIT
+    rollback: false,  // Executa tudo e desfaz no final (valida o schema)
+    retries: 0,       // Novas tentativas por INSERT que falhar
+    batchSize: 500,   // Linhas por INSERT de várias linhas (1 = linha a linha)
+    uniqueRetries: 10, // Tentativas de gerar valores únicos (UNIQUE/PK) por linha
+    onError: null,    // 'abort' | 'skip' (padrão: abort em --transaction)
+    seed: null,       // Seed do gerador pseudoaleatório (dados reproduzíveis)
+    locale: "pt-BR",  // Idioma/região dos dados semânticos (nomes, telefones...)
+    dates: null,      // Intervalo das datas/timestamps gerados: { from, to } em ms (padrão: último ano)
+    configFile: null, // Caminho do mocktree.config.* (padrão: procura no diretório atual)
+    config: null,     // Configuração já carregada (regras por coluna)
+    env: null,        // Perfil de conexão da seção "environments" da configuração (padrão: MOCKTREE_ENV ou .env)
+    poolSize: null,   // Conexões do pool (padrão: DB_POOL_SIZE, poolSize do perfil ou 4)
+    connection: null, // Conexão resolvida a partir do perfil ou do .env (ver connection.js)
+    fill: null,       // Proporção (0 a 1) das linhas em que as colunas anuláveis recebem valor
+    fillDefaults: false, // --fill também sobrescreve as colunas com default
+    identityValues: false, // Valores explícitos nas colunas identity (OVERRIDING SYSTEM VALUE + setval)
+    snapshot: null,   // Snapshot JSON da estrutura do banco (dispensa a introspecção)
+    manifestDir: null, // Diretório dos manifestos das execuções (padrão: .mocktree/runs)
+    report: null,     // Arquivo do relatório JSON da execução (ver report.js)
+    reportJunit: null, // Arquivo do relatório em JUnit XML
+    quiet: false,     // Só avisos e erros no console
+    verbose: false,   // Inclui os detalhes por linha e por coluna (nível debug)
+    logFormat: "text", // 'text' | 'json' (uma linha JSON por mensagem)
+    logFile: null,    // Arquivo que também recebe os logs
+    help: false
+};
+
+// Converte "1-5" ou "3" em { min, max }
+function parseRange(text) {
+    const match = String(text).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+
+    if (!match) {
+        throw new Error(`Intervalo inválido: '${text}' (use N ou MIN-MAX)`);
+    }
+
+    const min = parseInt(match[1], 10);
+    const max = match[2] !== undefined ? parseInt(match[2], 10) : min;
+
+    if (max < min) {
+        throw new Error(`Intervalo inválido: '${text}' (MAX menor que MIN)`);
+    }
+
+    return { min, max };
+}
+
+// Filhos por registro pai quando --children não informa o intervalo
+const DEFAULT_CHILDREN_PER_PARENT = { min: 1, max: 3 };
+
+// Converte "all", "all:2-4" ou "itens:1-5,pedido_tags" na seleção de tabelas filhas
+function parseChildren(text, flag) {
+    const children = { all: false, perParent: DEFAULT_CHILDREN_PER_PARENT, tables: [] };
+
+    for (const item of parseText(text, flag).split(",")) {
+        const [name, range] = item.trim().split(":");
+        if (!name) {
+            throw new Error(`Valor inválido para ${flag}: '${text}' (use all ou TABELA[:MIN-MAX],...)`);
+        }
+
+        const perParent = range !== undefined ? parseRange(range) : null;
+        if (name === "all") {
+            children.all = true;
+            children.perParent = perParent || DEFAULT_CHILDREN_PER_PARENT;
+        } else {
+            children.tables.push({ name, perParent });
+        }
+    }
+
+    return children;
+}
+
+// Converte texto em inteiro positivo
+function parsePositiveInt(text, flag) {
+    const value = Number(text);
+
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Valor inválido para ${flag}: '${text}' (esperado inteiro >= 1)`);
+    }
+
+    return value;
+}
+
+// Converte texto em inteiro >= 0
+function parseNonNegativeInt(text, flag) {
+    const value = Number(text);
+
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Valor inválido para ${flag}: '${text}' (esperado inteiro >= 0)`);
+    }
+
+    return value;
+}
+
+// Converte "0.3" ou "30%" em proporção entre 0 e 1
+function parseRatio(text, flag) {
+    const match = String(text).trim().match(/^(\d+(?:\.\d+)?)(%?)$/);
+    const value = match ? Number(match[1]) / (match[2] ? 100 : 1) : NaN;
+
+    if (!(value >= 0 && value <= 1)) {
+        throw new Error(`Valor inválido para ${flag}: '${text}' (use uma proporção entre 0 e 1, ex.: 0.3 ou 30%)`);
+    }
+
+    return value;
+}
+
+// Converte "2024-01-01..2024-12-31" em { from, to } (ms); o fim inclui o dia inteiro
+function parseDateRange(text, flag) {
+    const [start, end] = parseText(text, flag).split("..");
+    const from = Date.parse(start);
+    const to = end !== undefined && /^\d{4}-\d{2}-\d{2}$/.test(end.trim())
+        ? Date.parse(end) + 24 * 60 * 60 * 1000 - 1
+        : Date.parse(end);
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        throw new Error(`Valor inválido para ${flag}: '${text}' (use INICIO..FIM, ex.: 2024-01-01..2024-12-31)`);
+    }
+    if (to < from) {
+        throw new Error(`Valor inválido para ${flag}: '${text}' (FIM antes de INICIO)`);
+    }
+
+    return { from, to };
+}
+
+// Aceita apenas um dos valores listados
+function parseChoice(choices) {
+    return (text, flag) => {
+        if (!choices.includes(text)) {
+            throw new Error(`Valor inválido para ${flag}: '${text}' (use ${choices.join(' ou ')})`);
+        }
+        return text;
+    };
+}
+
+// Converte texto não vazio
+function parseText(text, flag) {
+    if (text === undefined || String(text).trim() === '' || String(text).startsWith('--')) {
+        throw new Error(`A opção ${flag} exige um valor`);
+    }
+
+    return String(text).trim();
+}
+
+// Flags booleanas: --flag liga; com valor, só --flag=true ou --flag=false
+function parseBoolean(text, flag) {
+    if (text === "true" || text === "false") {
+        return text === "true";
+    }
+    throw new Error(`Valor inválido para ${flag}: '${text}' (use ${flag}, ${flag}=true ou ${flag}=false)`);
+}
+
+// Definição das flags aceitas: nome -> { key, parse } (sem parse = booleana)
+const FLAGS = {
+    "--rows": { key: "rows", parse: parsePositiveInt },
+    "--parent-rows": { key: "parentRows", parse: parsePositiveInt },
+    "--per-parent": { key: "perParent", parse: parseRange },
+    "--levels": { key: "levels", parse: parsePositiveInt },
+    "--children": { key: "children", parse: parseChildren },
+    "--schema": { key: "schema", parse: parseText },
+    "--dry-run": { key: "dryRun" },
+    "--output": { key: "output", parse: parseText },
+    "-o": { key: "output", parse: parseText },
+    "--transaction": { key: "transaction" },
+    "--rollback": { key: "rollback" },
+    "--retries": { key: "retries", parse: parseNonNegativeInt },
+    "--batch-size": { key: "batchSize", parse: parsePositiveInt },
+    "--unique-retries": { key: "uniqueRetries", parse: parseNonNegativeInt },
+    "--on-error": { key: "onError", parse: parseChoice(["abort", "skip"]) },
+    "--seed": { key: "seed", parse: parseText },
+    "--locale": { key: "locale", parse: parseChoice(["pt-BR", "en"]) },
+    "--dates": { key: "dates", parse: parseDateRange },
+    "--config": { key: "configFile", parse: parseText },
+    "-c": { key: "configFile", parse: parseText },
+    "--env": { key: "env", parse: parseText },
+    "--pool-size": { key: "poolSize", parse: parsePositiveInt },
+    "--fill": { key: "fill", parse: parseRatio },
+    "--fill-defaults": { key: "fillDefaults" },
+    "--identity-values": { key: "identityValues" },
+    "--snapshot": { key: "snapshot", parse: parseText },
+    "--manifest-dir": { key: "manifestDir", parse: parseText },
+    "--report": { key: "report", parse: parseText },
+    "--report-junit": { key: "reportJunit", parse: parseText },
+    "--quiet": { key: "quiet" },
+    "-q": { key: "quiet" },
+    "--verbose": { key: "verbose" },
+    "-v": { key: "verbose" },
+    "--log-format": { key: "logFormat", parse: parseChoice(["text", "json"]) },
+    "--log-file": { key: "logFile", parse: parseText },
+    "--help": { key: "help" },
+    "-h": { key: "help" }
+};
+
+// Separa argumentos posicionais das flags e valida cada valor
+function parseArgs(argv = process.argv.slice(2)) {
+    const options = { ...DEFAULT_OPTIONS };
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith("-") || arg === "-") {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [flag, inlineValue] = arg.split(/=(.*)/s);
+        const definition = FLAGS[flag];
+
+        if (!definition) {
+            throw new Error(`Opção desconhecida: ${flag}`);
+        }
+
+        if (!definition.parse) {
+            options[definition.key] = inlineValue === undefined ? true : parseBoolean(inlineValue, flag);
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            throw new Error(`A opção ${flag} exige um valor`);
+        }
+        options[definition.key] = definition.parse(value, flag);
+    }
+
+    return { positionals, options };
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    parseArgs,
+    parseRange,
+    parsePositiveInt,
+    parseChildren,
+    parseRatio,
+    parseDateRange
+};
@@ -0,0 +1,175 @@
+const { randomInt, pick } = require("./random");
+
+// ========================
+// GERAÇÃO A PARTIR DE REGEX ("pattern" no arquivo de configuração)
+// ========================
+//
+// Suporta o subconjunto útil para dados fictícios: literais, escapes
+// (\d \w \s \. ...), classes [a-z0-9_], ".", grupos com alternância (a|b)
+// e quantificadores ? * + {n} {n,} {n,m}. Âncoras ^ e $ são ignoradas.
+
+const MAX_REPEAT = 5; // limite para *, + e {n,}
+
+const DIGITS = "0123456789";
+const LOWER = "abcdefghijklmnopqrstuvwxyz";
+const UPPER = LOWER.toUpperCase();
+const WORD = UPPER + LOWER + DIGITS + "_";
+const PRINTABLE = UPPER + LOWER + DIGITS;
+
+const ESCAPES = {
+    d: DIGITS,
+    w: WORD,
+    s: " "
+};
+
+function parsePattern(pattern) {
+    let pos = 0;
+
+    const fail = (message) => {
+        throw new Error(`Pattern inválido '${pattern}' (posição ${pos}): ${message}`);
+    };
+
+    function parseAlternation() {
+        const options = [parseSequence()];
+        while (pattern[pos] === "|") {
+            pos++;
+            options.push(parseSequence());
+        }
+        return { type: "alt", options };
+    }
+
+    function parseSequence() {
+        const items = [];
+        while (pos < pattern.length && pattern[pos] !== "|" && pattern[pos] !== ")") {
+            const atom = parseAtom();
+            if (atom) {
+                items.push({ atom, ...parseQuantifier() });
+            }
+        }
+        return items;
+    }
+
+    function parseAtom() {
+        const char = pattern[pos++];
+
+        switch (char) {
+            case "^":
+            case "$":
+                return null;
+            case ".":
+                return { type: "set", chars: PRINTABLE };
+            case "(": {
+                // Grupos sem captura "(?:" são tratados como grupos normais
+                if (pattern.startsWith("?:", pos)) pos += 2;
+                const group = parseAlternation();
+                if (pattern[pos] !== ")") fail("')' esperado");
+                pos++;
+                return group;
+            }
+            case "[":
+                return parseClass();
+            case "\\":
+                return parseEscape();
+            default:
+                return { type: "set", chars: char };
+        }
+    }
+
+    function parseEscape() {
+        const char = pattern[pos++];
+        if (char === undefined) fail("escape incompleto");
+        return { type: "set", chars: ESCAPES[char] || char };
+    }
+
+    function parseClass() {
+        if (pattern[pos] === "^") fail("classes negadas [^...] não são suportadas");
+
+        let chars = "";
+        while (pos < pattern.length && pattern[pos] !== "]") {
+            let char = pattern[pos++];
+
+            if (char === "\\") {
+                const escaped = pattern[pos++];
+                chars += ESCAPES[escaped] || escaped;
+                continue;
+            }
+
+            // Intervalo a-z
+            if (pattern[pos] === "-" && pattern[pos + 1] !== undefined && pattern[pos + 1] !== "]") {
+                const end = pattern[pos + 1];
+                pos += 2;
+                for (let code = char.charCodeAt(0); code <= end.charCodeAt(0); code++) {
+                    chars += String.fromCharCode(code);
+                }
+                continue;
+            }
+
+            chars += char;
+        }
+
+        if (pattern[pos] !== "]") fail("']' esperado");
+        pos++;
+        if (chars.length === 0) fail("classe vazia");
+        return { type: "set", chars };
+    }
+
+    function parseQuantifier() {
+        const char = pattern[pos];
+
+        if (char === "?") { pos++; return { min: 0, max: 1 }; }
+        if (char === "*") { pos++; return { min: 0, max: MAX_REPEAT }; }
+        if (char === "+") { pos++; return { min: 1, max: MAX_REPEAT }; }
+
+        if (char === "{") {
+            const match = pattern.slice(pos).match(/^\{(\d+)(,(\d*))?\}/);
+            if (!match) fail("quantificador {n,m} inválido");
+            pos += match[0].length;
+
+            const min = parseInt(match[1], 10);
+            const max = match[2] === undefined ? min
+                : match[3] === "" ? min + MAX_REPEAT
+                : parseInt(match[3], 10);
+            if (max < min) fail("quantificador com máximo menor que o mínimo");
+            return { min, max };
+        }
+
+        return { min: 1, max: 1 };
+    }
+
+    const ast = parseAlternation();
+    if (pos < pattern.length) fail("')' sem '(' correspondente");
+    return ast;
+}
+
+function generateNode(node) {
+    if (node.type === "set") {
+        return node.chars.charAt(randomInt(0, node.chars.length - 1));
+    }
+
+    // Alternância: escolhe uma das sequências
+    const sequence = pick(node.options);
+    let result = "";
+    for (const { atom, min, max } of sequence) {
+        const times = randomInt(min, max);
+        for (let i = 0; i < times; i++) {
+            result += generateNode(atom);
+        }
+    }
+    return result;
+}
+
+// Cache dos patterns já analisados
+const parsed = new Map();
+
+// Gera uma string que casa com o pattern
+function generateFromPattern(pattern) {
+    if (!parsed.has(pattern)) {
+        parsed.set(pattern, parsePattern(pattern));
+    }
+    return generateNode(parsed.get(pattern));
+}
+
+module.exports = {
+    parsePattern,
+    generateFromPattern
+};
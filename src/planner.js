@@ -0,0 +1,343 @@
+const { getForeignKeys, getReferencingForeignKeys, getUniqueConstraints } = require("./queries");
+const { DEFAULT_OPTIONS } = require("./options");
+const logger = require("./logger");
+
+// ========================
+// PLANO DE INSERÇÃO (GRAFO DE DEPENDÊNCIAS)
+// ========================
+//
+// Monta o grafo a partir da tabela alvo (tabelas como nós, FKs como arestas),
+// quebra os ciclos e calcula a ordem topológica. Cada tabela aparece uma única
+// vez no plano, mesmo que seja referenciada por vários caminhos. O mesmo plano
+// é executado pelo seed e exibido pelo comando "plan".
+//
+// Com --children, as tabelas que referenciam a alvo (FKs de entrada) entram como
+// etapas 'child', depois da alvo; as dependências delas entram no mesmo grafo.
+//
+// Formato:
+//   {
+//     target: "schema.tabela",
+//     steps: [{
+//         key, schema, table, role: 'dependency' | 'target' | 'child', rows, perParent, dependsOn, foreignKeys,
+//         parent, parentForeignKey, junction: { foreignKey, target } | null   (só em 'child')
+//     }],
+//     cycles: [{ name, source, sourceSchema, sourceTable, target, columns, nullable, deferrable }]
+//   }
+
+function tableKey(schema, table) {
+    return `${schema}.${table}`;
+}
+
+// Agrupa as linhas de getForeignKeys (uma por coluna) em uma entrada por constraint.
+// O nome da constraint só é único dentro da tabela: a chave inclui a tabela de origem.
+function groupForeignKeys(rows) {
+    const byName = new Map();
+
+    for (const row of rows) {
+        const key = `${row.source_schema}.${row.source_table}.${row.fk_name}`;
+        if (!byName.has(key)) {
+            byName.set(key, {
+                name: row.fk_name,
+                source: tableKey(row.source_schema, row.source_table),
+                sourceSchema: row.source_schema,
+                sourceTable: row.source_table,
+                target: tableKey(row.target_schema, row.target_table),
+                targetSchema: row.target_schema,
+                targetTable: row.target_table,
+                columns: row.source_columns,
+                targetColumns: row.target_columns,
+                nullable: true,
+                deferrable: row.deferrable,
+                cyclic: false
+            });
+        }
+        // A FK só aceita NULL se todas as colunas aceitarem
+        if (!row.nullable) {
+            byName.get(key).nullable = false;
+        }
+    }
+
+    return [...byName.values()];
+}
+
+// Percorre as FKs a partir das tabelas iniciais (busca em largura), visitando cada tabela uma vez
+async function buildDependencyGraph(roots, nodes = new Map()) {
+    const queue = [...roots];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        const key = tableKey(current.schema, current.table);
+        if (nodes.has(key)) continue;
+
+        const foreignKeys = groupForeignKeys(await getForeignKeys(current.table, current.schema));
+        nodes.set(key, { key, schema: current.schema, table: current.table, foreignKeys });
+
+        for (const fk of foreignKeys) {
+            if (!nodes.has(fk.target)) {
+                queue.push({ schema: fk.targetSchema, table: fk.targetTable });
+            }
+        }
+    }
+
+    return nodes;
+}
+
+// Tabelas filhas escolhidas em --children (uma FK por tabela, a primeira pelo nome)
+async function selectChildren(schema, table, children) {
+    const available = [];
+    for (const fk of groupForeignKeys(await getReferencingForeignKeys(schema, table))) {
+        // Autorreferência não é filha: a hierarquia é feita com --levels
+        if (fk.source !== fk.target && !available.some(item => item.source === fk.source)) {
+            available.push(fk);
+        }
+    }
+
+    if (children.all) {
+        return available.map(fk => ({ fk, perParent: children.perParent }));
+    }
+
+    return children.tables.map(item => {
+        const fk = available.find(candidate => candidate.sourceTable === item.name || candidate.source === item.name);
+        if (!fk) {
+            const names = available.map(candidate => candidate.source).join(', ') || 'nenhuma';
+            throw new Error(`A tabela '${item.name}' não referencia ${tableKey(schema, table)} (filhas disponíveis: ${names})`);
+        }
+        return { fk, perParent: item.perParent || children.perParent };
+    });
+}
+
+// Tabela de junção (N:N): PK ou UNIQUE formada só por colunas de duas ou mais FKs,
+// uma delas a FK para o pai. Devolve a FK do outro lado, ou null.
+async function findJunctionForeignKey(node, parentFkName) {
+    const constraints = await getUniqueConstraints(node.schema, node.table);
+
+    for (const constraint of constraints) {
+        const covered = node.foreignKeys.filter(fk => fk.columns.every(column => constraint.columns.includes(column)));
+        const coveredColumns = new Set(covered.flatMap(fk => fk.columns));
+
+        if (covered.length >= 2 &&
+            constraint.columns.every(column => coveredColumns.has(column)) &&
+            covered.some(fk => fk.name === parentFkName)) {
+            return covered.find(fk => fk.name !== parentFkName);
+        }
+    }
+
+    return null;
+}
+
+// Componentes fortemente conexos (Tarjan), ignorando as FKs já marcadas como cíclicas
+function stronglyConnected(nodes) {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    function visit(key) {
+        index.set(key, counter);
+        lowLink.set(key, counter);
+        counter++;
+        stack.push(key);
+        onStack.add(key);
+
+        for (const fk of nodes.get(key).foreignKeys) {
+            if (fk.cyclic || !nodes.has(fk.target)) continue;
+            if (!index.has(fk.target)) {
+                visit(fk.target);
+                lowLink.set(key, Math.min(lowLink.get(key), lowLink.get(fk.target)));
+            } else if (onStack.has(fk.target)) {
+                lowLink.set(key, Math.min(lowLink.get(key), index.get(fk.target)));
+            }
+        }
+
+        if (lowLink.get(key) === index.get(key)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== key);
+            components.push(component);
+        }
+    }
+
+    for (const key of nodes.keys()) {
+        if (!index.has(key)) visit(key);
+    }
+    return components;
+}
+
+// Quebra os ciclos marcando FKs como cíclicas (NULL + UPDATE, ou DEFERRABLE).
+// Prefere FKs que aceitam NULL, depois as DEFERRABLE.
+function breakCycles(nodes) {
+    const broken = [];
+    const rank = fk => (fk.nullable ? 0 : fk.deferrable ? 1 : 2);
+
+    for (const node of nodes.values()) {
+        for (const fk of node.foreignKeys) {
+            if (fk.target === node.key) {
+                fk.cyclic = true;
+                broken.push(fk);
+            }
+        }
+    }
+
+    let components = stronglyConnected(nodes).filter(component => component.length > 1);
+    while (components.length > 0) {
+        for (const component of components) {
+            const members = new Set(component);
+            const candidates = component
+                .flatMap(key => nodes.get(key).foreignKeys)
+                .filter(fk => !fk.cyclic && members.has(fk.target))
+                .sort((a, b) => rank(a) - rank(b) || `${a.source}.${a.name}`.localeCompare(`${b.source}.${b.name}`));
+
+            candidates[0].cyclic = true;
+            broken.push(candidates[0]);
+        }
+        components = stronglyConnected(nodes).filter(component => component.length > 1);
+    }
+
+    return broken;
+}
+
+// Ordem topológica (Kahn): uma tabela entra depois de todas as que ela referencia
+function topologicalOrder(nodes) {
+    const order = [];
+    const placed = new Set();
+    let pending = [...nodes.keys()].sort();
+
+    while (pending.length > 0) {
+        const ready = pending.filter(key =>
+            nodes.get(key).foreignKeys.every(fk => fk.cyclic || placed.has(fk.target))
+        );
+
+        if (ready.length === 0) {
+            throw new Error(`Dependências circulares não resolvidas entre: ${pending.join(', ')}`);
+        }
+
+        ready.forEach(key => {
+            placed.add(key);
+            order.push(key);
+        });
+        pending = pending.filter(key => !placed.has(key));
+    }
+
+    return order;
+}
+
+// Tabela de junção: cada registro pai precisa de até perParent.max linhas distintas do
+// outro lado. Dependências recebem essas linhas; a tabela alvo precisa tê-las em --rows.
+function reserveJunctionRows(steps) {
+    for (const child of steps.filter(step => step.junction)) {
+        const other = steps.find(step => step.key === child.junction.target);
+        const needed = child.perParent.max;
+
+        if (!other || other.rows === null || other.rows >= needed) continue;
+
+        if (other.role === 'dependency') {
+            logger.info(`🔀 ${other.key}: ${needed} linha(s) (em vez de ${other.rows}) para os pares distintos de ${child.key}`);
+            other.rows = needed;
+        } else if (!other.perParent) {
+            throw new Error(`${child.key} precisa de até ${needed} linha(s) distintas de ${other.key} por registro pai, mas só ${other.rows} serão inseridas (aumente --rows ou reduza o intervalo de --children)`);
+        }
+    }
+}
+
+// Monta o plano para a tabela alvo ({ schema, table } de findTableInDatabase)
+async function buildPlan(tableInfo, options = DEFAULT_OPTIONS) {
+    const nodes = await buildDependencyGraph([{ schema: tableInfo.schema, table: tableInfo.table }]);
+    const target = tableKey(tableInfo.schema, tableInfo.table);
+
+    // Filhas que já são dependências da alvo (ciclos) são preenchidas como dependências
+    const children = new Map();
+    for (const child of options.children ? await selectChildren(tableInfo.schema, tableInfo.table, options.children) : []) {
+        if (nodes.has(child.fk.source)) {
+            logger.warn(`⚠️ ${child.fk.source} já é dependência de ${target}: ignorada como tabela filha`);
+            continue;
+        }
+        children.set(child.fk.source, child);
+    }
+    await buildDependencyGraph([...children.values()].map(({ fk }) => ({ schema: fk.sourceSchema, table: fk.sourceTable })), nodes);
+
+    const cycles = breakCycles(nodes);
+    const steps = [];
+
+    for (const key of topologicalOrder(nodes)) {
+        const node = nodes.get(key);
+        const step = {
+            key,
+            schema: node.schema,
+            table: node.table,
+            role: 'dependency',
+            rows: options.parentRows,
+            perParent: null,
+            dependsOn: [...new Set(node.foreignKeys.filter(fk => !fk.cyclic).map(fk => fk.target))],
+            foreignKeys: node.foreignKeys
+        };
+
+        if (key === target) {
+            Object.assign(step, { role: 'target', rows: options.rows, perParent: options.perParent });
+        } else if (children.has(key)) {
+            const { fk, perParent } = children.get(key);
+            const junction = await findJunctionForeignKey(node, fk.name);
+            Object.assign(step, {
+                role: 'child',
+                rows: null,
+                perParent,
+                parent: target,
+                parentForeignKey: fk.name,
+                junction: junction ? { foreignKey: junction.name, target: junction.target } : null
+            });
+        }
+
+        steps.push(step);
+    }
+
+    reserveJunctionRows(steps);
+
+    return {
+        target,
+        steps,
+        cycles: cycles.map(fk => ({
+            name: fk.name,
+            source: fk.source,
+            sourceSchema: fk.sourceSchema,
+            sourceTable: fk.sourceTable,
+            target: fk.target,
+            columns: fk.columns,
+            nullable: fk.nullable,
+            deferrable: fk.deferrable
+        }))
+    };
+}
+
+// Exibe o plano no console
+function printPlan(plan) {
+    logger.output(`\n🗺️ Plano de inserção para ${plan.target} (${plan.steps.length} tabela(s))`);
+
+    plan.steps.forEach((step, i) => {
+        const label = step.role === 'target' ? ' 🎯 alvo'
+            : step.role === 'child' ? ` 👶 filha (${step.parentForeignKey})` : '';
+        const deps = step.dependsOn.length > 0 ? ` ← ${step.dependsOn.join(', ')}` : '';
+        const rows = step.perParent ? `${step.perParent.min}-${step.perParent.max} linha(s) por registro pai` : `${step.rows} linha(s)`;
+        logger.output(`   ${i + 1}. ${step.key}${label}: ${rows}${deps}`);
+        if (step.junction) {
+            logger.output(`      🔀 tabela de junção com ${step.junction.target} (pares distintos via ${step.junction.foreignKey})`);
+        }
+    });
+
+    if (plan.cycles.length > 0) {
+        logger.output(`🔁 Ciclos quebrados:`);
+        plan.cycles.forEach(cycle => {
+            const strategy = cycle.nullable ? 'NULL + UPDATE' : cycle.deferrable ? 'DEFERRABLE + UPDATE' : 'linhas existentes';
+            logger.output(`   ${cycle.name}: ${cycle.source} (${cycle.columns.join(', ')}) -> ${cycle.target} [${strategy}]`);
+        });
+    }
+}
+
+module.exports = {
+    buildPlan,
+    printPlan
+};
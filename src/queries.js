@@ -1,4 +1,15 @@
 const { client } = require("./db");
+const { isRecording, recordInsert, recordUpdate, recordSequenceSync, formatLiteral } = require("./sqlScript");
+const { pick } = require("./random");
+const { getSchemaModel } = require("./schemaModel");
+const { rowKey, keyId } = require("./rows");
+const logger = require("./logger");
+
+// Quantidade máxima de candidatos lidos para sortear uma FK em JS
+const RANDOM_ROW_SAMPLE = 500;
+
+// Limite de parâmetros ($1...$N) por comando no protocolo do PostgreSQL
+const MAX_QUERY_PARAMETERS = 65535;
 
 // ========================
 // FUNÇÕES DE DESCOBERTA INTELIGENTE
@@ -23,105 +34,99 @@ async function discoverAllSchemas() {
         const res = await client.query(query);
         return res.rows.map(row => row.schema_name);
     } catch (error) {
-        console.error('❌ Erro ao descobrir schemas:', error.message);
+        logger.error('❌ Erro ao descobrir schemas:', error.message);
         return ['public']; // fallback
     }
 }
 
-// Encontra uma tabela em qualquer schema do banco
-async function findTableInDatabase(tableName) {
-    const query = `
-        SELECT table_schema as schema, table_name as table
-        FROM information_schema.tables
-        WHERE table_name ILIKE $1
-            AND table_schema NOT IN ('information_schema', 'pg_catalog')
-            AND table_type = 'BASE TABLE'
-        ORDER BY 
-            CASE WHEN table_name = $1 THEN 1 ELSE 2 END,  -- Prioriza match exato
-            table_schema;
-    `;
-    
+// Converte um padrão ILIKE (% e _) em expressão regular
+function ilikeToRegExp(pattern) {
+    const source = pattern
+        .split("")
+        .map(char => char === "%" ? ".*" : char === "_" ? "." : char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("");
+    return new RegExp(`^${source}$`, "i");
+}
+
+// Colunas de uma tabela no modelo (ordem da tabela)
+async function getTableColumns(schema, table) {
+    const model = await getSchemaModel();
+    return model.columns[`${schema}.${table}`] || [];
+}
+
+// Colunas de FK de uma tabela
+async function getForeignKeyColumns(schema, table) {
+    const model = await getSchemaModel();
+    return new Set(model.foreignKeys
+        .filter(fk => fk.source_schema === schema && fk.source_table === table)
+        .map(fk => fk.source_column));
+}
+
+// Encontra uma tabela em qualquer schema do banco (ou apenas no schema informado)
+async function findTableInDatabase(tableName, schema = null) {
     try {
-        const res = await client.query(query, [tableName]);
+        const model = await getSchemaModel();
+        const pattern = ilikeToRegExp(tableName);
+        
+        const matches = model.tables
+            .filter(item => pattern.test(item.table) && (schema === null || item.schema === schema))
+            // Prioriza match exato
+            .sort((a, b) => (a.table === tableName ? 0 : 1) - (b.table === tableName ? 0 : 1) ||
+                (a.schema < b.schema ? -1 : a.schema > b.schema ? 1 : 0));
         
-        if (res.rows.length === 0) {
+        if (matches.length === 0) {
             return null;
         }
         
         // Se encontrou múltiplas, mostra as opções
-        if (res.rows.length > 1) {
-            console.log(`🔍 Múltiplas tabelas encontradas para '${tableName}':`);
-            res.rows.forEach((row, index) => {
-                console.log(`   ${index + 1}. ${row.schema}.${row.table}`);
+        if (matches.length > 1) {
+            logger.info(`🔍 Múltiplas tabelas encontradas para '${tableName}':`);
+            matches.forEach((row, index) => {
+                logger.info(`   ${index + 1}. ${row.schema}.${row.table}`);
             });
-            console.log(`📌 Usando: ${res.rows[0].schema}.${res.rows[0].table}`);
+            logger.info(`📌 Usando: ${matches[0].schema}.${matches[0].table}`);
         }
         
-        return res.rows[0];
+        return { schema: matches[0].schema, table: matches[0].table };
     } catch (error) {
-        console.error(`❌ Erro ao procurar tabela ${tableName}:`, error.message);
+        logger.error(`❌ Erro ao procurar tabela ${tableName}:`, error.message);
         return null;
     }
 }
 
+// Classifica o default da coluna
+function defaultType(column) {
+    const value = column.column_default;
+    if (column.is_identity) return 'auto_identity';
+    if (column.is_generated) return 'auto_generated';
+    if (value === null || value === undefined) return 'no_default';
+    if (value.includes('nextval')) return 'auto_increment';
+    if (value.includes('gen_random_uuid')) return 'auto_uuid';
+    if (value.includes('now()')) return 'auto_timestamp';
+    return 'has_default';
+}
+
 // Analisa a estrutura completa de uma tabela
 async function analyzeTableStructure(schema, table) {
-    const query = `
-        SELECT 
-            column_name,
-            data_type,
-            is_nullable,
-            column_default,
-            character_maximum_length,
-            numeric_precision,
-            datetime_precision,
-            CASE 
-                WHEN column_default LIKE '%nextval%' THEN 'auto_increment'
-                WHEN column_default LIKE '%gen_random_uuid%' THEN 'auto_uuid'
-                WHEN column_default LIKE '%now()%' THEN 'auto_timestamp'
-                WHEN column_default IS NOT NULL THEN 'has_default'
-                ELSE 'no_default'
-            END as default_type
-        FROM information_schema.columns
-        WHERE table_schema = $1 AND table_name = $2
-        ORDER BY ordinal_position;
-    `;
-    
     try {
-        const res = await client.query(query, [schema, table]);
+        const columns = (await getTableColumns(schema, table))
+            .map(col => ({ ...col, default_type: defaultType(col) }));
         
-        const analysis = {
-            totalColumns: res.rows.length,
-            requiredColumns: res.rows.filter(col => 
+        return {
+            totalColumns: columns.length,
+            requiredColumns: columns.filter(col => 
                 col.is_nullable === 'NO' && 
-                !col.default_type.startsWith('auto_') && 
                 col.default_type === 'no_default'
             ),
-            fkColumns: [],
-            autoColumns: res.rows.filter(col => col.default_type.startsWith('auto_')),
-            optionalColumns: res.rows.filter(col => 
+            fkColumns: [...await getForeignKeyColumns(schema, table)],
+            autoColumns: columns.filter(col => col.default_type.startsWith('auto_')),
+            optionalColumns: columns.filter(col => 
                 col.is_nullable === 'YES' || 
                 col.default_type !== 'no_default'
             )
         };
-        
-        // Descobre FKs da tabela
-        const fkQuery = `
-            SELECT DISTINCT kcu.column_name
-            FROM information_schema.table_constraints AS tc
-            JOIN information_schema.key_column_usage AS kcu
-                ON tc.constraint_name = kcu.constraint_name
-            WHERE tc.constraint_type = 'FOREIGN KEY'
-                AND kcu.table_schema = $1
-                AND kcu.table_name = $2;
-        `;
-        
-        const fkRes = await client.query(fkQuery, [schema, table]);
-        analysis.fkColumns = fkRes.rows.map(row => row.column_name);
-        
-        return analysis;
     } catch (error) {
-        console.error(`❌ Erro ao analisar tabela ${schema}.${table}:`, error.message);
+        logger.error(`❌ Erro ao analisar tabela ${schema}.${table}:`, error.message);
         return {
             totalColumns: 0,
             requiredColumns: [],
@@ -158,185 +163,257 @@ async function typeScanner() {
         const res = await client.query(query);
         return res.rows;
     } catch (error) {
-        console.error('❌ Erro no typeScanner:', error.message);
+        logger.error('❌ Erro no typeScanner:', error.message);
         throw error;
     }
 }
 
-async function getForeignKeys(table) {
+// FKs (uma linha por coluna, ver schemaModel.js) que satisfazem o filtro
+async function filterForeignKeys(predicate) {
+    const model = await getSchemaModel();
+    return model.foreignKeys.filter(predicate);
+}
+
+async function getForeignKeys(table, schema = null) {
     // Tenta encontrar a tabela primeiro
-    const tableInfo = await findTableInDatabase(table);
+    const tableInfo = await findTableInDatabase(table, schema);
     
     if (!tableInfo) {
-        console.warn(`⚠️ Tabela '${table}' não encontrada para buscar FKs`);
+        logger.warn(`⚠️ Tabela '${table}' não encontrada para buscar FKs`);
         return [];
     }
     
-    const query = `
-        SELECT
-            kcu.table_schema AS source_schema,
-            kcu.table_name AS source_table,
-            kcu.column_name AS source_column,
-            ccu.table_schema AS target_schema,
-            ccu.table_name AS target_table,
-            ccu.column_name AS target_column,
-            tc.constraint_name AS fk_name
-        FROM information_schema.table_constraints AS tc
-        JOIN information_schema.key_column_usage AS kcu
-            ON tc.constraint_name = kcu.constraint_name
-        JOIN information_schema.constraint_column_usage AS ccu
-            ON tc.constraint_name = ccu.constraint_name
-        WHERE tc.constraint_type = 'FOREIGN KEY'
-            AND kcu.table_schema = $1
-            AND kcu.table_name = $2;
-    `;
-    
-    try {
-        const res = await client.query(query, [tableInfo.schema, tableInfo.table]);
-        return res.rows;
-    } catch (error) {
-        console.error(`❌ Erro ao buscar FKs da tabela ${table}:`, error.message);
-        return [];
-    }
+    return filterForeignKeys(fk => fk.source_schema === tableInfo.schema && fk.source_table === tableInfo.table);
+}
+
+// FKs de outras tabelas que apontam para esta (dependências reversas)
+async function getReferencingForeignKeys(schema, table) {
+    return filterForeignKeys(fk => fk.target_schema === schema && fk.target_table === table);
 }
 
 // Descobre FK para uma coluna específica
 async function findFKReference(schema, table, column) {
-    const query = `
-        SELECT
-            kcu.table_schema AS source_schema,
-            kcu.table_name AS source_table,
-            kcu.column_name AS source_column,
-            ccu.table_schema AS target_schema,
-            ccu.table_name AS target_table,
-            ccu.column_name AS target_column,
-            tc.constraint_name AS fk_name
-        FROM information_schema.table_constraints AS tc
-        JOIN information_schema.key_column_usage AS kcu
-            ON tc.constraint_name = kcu.constraint_name
-        JOIN information_schema.constraint_column_usage AS ccu
-            ON tc.constraint_name = ccu.constraint_name
-        WHERE tc.constraint_type = 'FOREIGN KEY'
-            AND kcu.table_schema = $1
-            AND kcu.table_name = $2
-            AND kcu.column_name = $3;
-    `;
-    
-    try {
-        const res = await client.query(query, [schema, table, column]);
-        return res.rows.length > 0 ? res.rows[0] : null;
-    } catch (error) {
-        console.error(`❌ Erro ao descobrir FK para ${schema}.${table}.${column}:`, error.message);
-        return null;
+    const rows = await filterForeignKeys(fk => 
+        fk.source_schema === schema && fk.source_table === table && fk.source_column === column
+    );
+    return rows.length > 0 ? rows[0] : null;
+}
+
+// UUIDs aleatórios são gerados pelo PRNG (reproduzíveis com --seed)
+const RANDOM_UUID_DEFAULT = /(gen_random_uuid|uuid_generate_v4)\(/i;
+
+// Tamanho usado na geração dos valores, conforme o tipo
+function dataLimit(column) {
+    switch (column.data_type) {
+        case 'character varying':
+        case 'character':
+            return column.character_maximum_length;
+        case 'numeric':
+            return column.numeric_precision;
+        case 'integer':
+            return 32;
+        case 'bigint':
+            return 64;
+        case 'smallint':
+            return 16;
+        case 'timestamp with time zone':
+        case 'timestamp without time zone':
+            return column.datetime_precision;
+        default:
+            return null;
     }
 }
 
+// Colunas da tabela com o tamanho de geração (data_limit) e a classificação
+// (column_type): 'fk', 'required', 'uuid' (default aleatório), 'identity',
+// 'generated' (GENERATED ALWAYS AS (...) STORED) ou 'optional'.
+// Identity e colunas geradas não têm column_default, mas o banco calcula o valor.
+async function classifyColumns(schema, table) {
+    const fkColumns = await getForeignKeyColumns(schema, table);
+    
+    const columnType = (col) => {
+        if (col.is_generated) return 'generated';
+        if (col.is_identity) return 'identity';
+        if (fkColumns.has(col.column_name)) return 'fk';
+        if (col.is_nullable === 'NO' && col.column_default === null) return 'required';
+        if (col.data_type === 'uuid' && RANDOM_UUID_DEFAULT.test(col.column_default || '')) return 'uuid';
+        return 'optional';
+    };
+    
+    return (await getTableColumns(schema, table))
+        .map(col => ({ ...col, data_limit: dataLimit(col), column_type: columnType(col) }));
+}
+
 // Busca colunas inteligente - adapta-se à estrutura da tabela
 async function getRequiredColumns(schema, table) {
-    const query = `
-        SELECT 
-            c.column_name, 
-            c.data_type,
-            CASE 
-                WHEN c.data_type IN ('character varying', 'character', 'varchar', 'char') 
-                    THEN c.character_maximum_length
-                WHEN c.data_type IN ('numeric', 'decimal') 
-                    THEN c.numeric_precision
-                WHEN c.data_type IN ('integer') 
-                    THEN 32
-                WHEN c.data_type IN ('bigint') 
-                    THEN 64
-                WHEN c.data_type IN ('smallint') 
-                    THEN 16
-                WHEN c.data_type IN ('timestamp', 'timestamp with time zone', 'timestamp without time zone') 
-                    THEN c.datetime_precision
-                ELSE NULL
-            END AS data_limit,
-            c.column_default,
-            c.is_nullable,
-            CASE 
-                WHEN fk.column_name IS NOT NULL THEN 'fk'
-                WHEN c.is_nullable = 'NO' AND c.column_default IS NULL THEN 'required'
-                ELSE 'optional'
-            END as column_type
-        FROM information_schema.columns c
-        LEFT JOIN (
-            SELECT DISTINCT kcu.column_name
-            FROM information_schema.table_constraints AS tc
-            JOIN information_schema.key_column_usage AS kcu
-                ON tc.constraint_name = kcu.constraint_name
-            WHERE tc.constraint_type = 'FOREIGN KEY'
-                AND kcu.table_schema = $1
-                AND kcu.table_name = $2
-        ) fk ON c.column_name = fk.column_name
-        WHERE c.table_schema = $1
-            AND c.table_name = $2
-            AND (
-                (c.is_nullable = 'NO' AND c.column_default IS NULL) OR  -- Colunas obrigatórias
-                fk.column_name IS NOT NULL  -- Todas as FKs
+    // IDs uuid primeiro, FKs depois, outros por último
+    const rank = (col) => 
+        /id$/i.test(col.column_name) && col.data_type === 'uuid' ? 1 : 
+        col.column_type === 'fk' ? 2 : 3;
+    
+    const columns = await classifyColumns(schema, table);
+    const rows = columns
+        // Colunas obrigatórias, todas as FKs e UUIDs aleatórios
+        .filter(col => ['fk', 'required', 'uuid'].includes(col.column_type))
+        .sort((a, b) => rank(a) - rank(b) || (a.column_name < b.column_name ? -1 : a.column_name > b.column_name ? 1 : 0));
+    
+    logger.debug(`📋 Colunas necessárias para ${schema}.${table}:`);
+    rows.forEach(row => {
+        const icon = row.column_type === 'fk' ? '🔗' : 
+                    row.column_type === 'required' ? '❗' : 
+                    row.column_type === 'uuid' ? '🆔' : '📝';
+        const type = row.column_type === 'fk' ? 'FK' : 
+                    row.column_type === 'required' ? 'Obrigatória' : 
+                    row.column_type === 'uuid' ? 'UUID' : 'Opcional';
+        const dataType = row.data_type === 'USER-DEFINED' ? row.udt_name : (row.domain_name || row.data_type);
+        logger.debug(`   ${icon} ${type}: ${row.column_name} (${dataType})`);
+    });
+    
+    // Colunas geradas ficam com o valor calculado pelo banco (identity: ver identity.js)
+    columns
+        .filter(col => col.column_type === 'generated')
+        .forEach(col => logger.debug(`   ⏭️ Gerada: ${col.column_name} (valor calculado pelo banco)`));
+    
+    return rows;
+}
+
+// Colunas que o seed normalmente deixa de fora: anuláveis sem default e colunas com
+// default. Identity e colunas geradas nunca entram (o banco calcula o valor).
+async function getOptionalColumns(schema, table) {
+    return (await classifyColumns(schema, table))
+        .filter(col => col.column_type === 'optional')
+        .sort((a, b) => a.ordinal_position - b.ordinal_position);
+}
+
+// Colunas identity da tabela (GENERATED ALWAYS/BY DEFAULT AS IDENTITY), na ordem da tabela
+async function getIdentityColumns(schema, table) {
+    return (await classifyColumns(schema, table))
+        .filter(col => col.column_type === 'identity')
+        .sort((a, b) => a.ordinal_position - b.ordinal_position);
+}
+
+// Primeiro valor livre de uma coluna identity: depois do maior valor da tabela e
+// do último valor entregue pela sequência
+async function getIdentityStart(schema, table, column) {
+    const res = await client.query(
+        `SELECT GREATEST(
+            (SELECT MAX("${column}") FROM "${schema}"."${table}"),
+            (
+                SELECT s.last_value
+                FROM pg_catalog.pg_sequences s
+                WHERE format('%I.%I', s.schemaname, s.sequencename)::regclass
+                    = pg_catalog.pg_get_serial_sequence($1, $2)::regclass
             )
-        ORDER BY 
-            CASE 
-                WHEN c.column_name ILIKE '%id' AND c.data_type = 'uuid' THEN 1  -- IDs primeiro
-                WHEN fk.column_name IS NOT NULL THEN 2  -- FKs depois
-                ELSE 3  -- Outros por último
-            END,
-            c.column_name;
-    `;
+        ) AS last_value;`,
+        [`"${schema}"."${table}"`, column]
+    );
+    return Number(res.rows[0].last_value ?? 0) + 1;
+}
+
+// Ressincroniza a sequência de uma coluna identity com o maior valor da tabela,
+// para que os próximos INSERTs sem a coluna não colidam com os valores explícitos.
+// No dry-run, o setval vai para o final do script.
+async function syncIdentitySequence(schema, table, column) {
+    const sequence = `pg_catalog.pg_get_serial_sequence(${formatLiteral(`"${schema}"."${table}"`)}, ${formatLiteral(column)})`;
+    const syncSQL = `SELECT pg_catalog.setval(${sequence}, MAX("${column}")) FROM "${schema}"."${table}";`;
+    
+    if (isRecording()) {
+        recordSequenceSync(syncSQL);
+        logger.debug(`📝 setval registrado no script: ${schema}.${table}.${column}`);
+        return { success: true, sql: syncSQL };
+    }
     
     try {
-        const res = await client.query(query, [schema, table]);
-        
-        console.log(`📋 Colunas necessárias para ${schema}.${table}:`);
-        res.rows.forEach(row => {
-            const icon = row.column_type === 'fk' ? '🔗' : 
-                        row.column_type === 'required' ? '❗' : '📝';
-            const type = row.column_type === 'fk' ? 'FK' : 
-                        row.column_type === 'required' ? 'Obrigatória' : 'Opcional';
-            console.log(`   ${icon} ${type}: ${row.column_name} (${row.data_type})`);
-        });
-        
-        return res.rows;
+        const res = await client.query(syncSQL);
+        logger.info(`🔢 Sequência de ${schema}.${table}.${column} ressincronizada (próximo valor: ${Number(res.rows[0].setval) + 1})`);
+        return { success: true, sql: syncSQL };
     } catch (error) {
-        console.error(`❌ Erro ao buscar colunas de ${schema}.${table}:`, error.message);
-        throw error;
+        logger.error(`❌ Erro ao ressincronizar a sequência de ${schema}.${table}.${column}: ${error.message}`);
+        return { success: false, error: error.message, sql: syncSQL };
     }
 }
 
-// Busca ID aleatório - inteligente para diferentes convenções
-async function getRandomId(schema, table) {
-    // Lista de possíveis nomes de coluna ID
-    const idColumnNames = ['Id', 'id', 'ID', `${table}Id`, `${table}_id`, 'uuid', 'pk'];
-    
-    for (const idCol of idColumnNames) {
-        try {
-            const query = `SELECT "${idCol}" as Id FROM "${schema}"."${table}" ORDER BY random() LIMIT 1;`;
-            const res = await client.query(query);
-            
-            if (res.rows && res.rows.length > 0) {
-                return res.rows;
-            }
-        } catch (error) {
-            // Tenta próximo nome de coluna
-            continue;
-        }
-    }
+// Colunas GENERATED ALWAYS AS IDENTITY só aceitam valor explícito com OVERRIDING SYSTEM VALUE
+async function overridingClause(schema, table, columns) {
+    const always = (await getTableColumns(schema, table))
+        .some(col => col.identity_generation === 'ALWAYS' && columns.includes(col.column_name));
+    return always ? " OVERRIDING SYSTEM VALUE" : "";
+}
+
+// Sorteia uma linha existente com as colunas referenciadas por uma FK (todas da mesma linha).
+// Linhas com alguma dessas colunas NULL são ignoradas, pois não satisfazem a FK.
+async function getRandomRow(schema, table, columns) {
+    const select = columns.map(column => `"${column}"`).join(", ");
+    const notNull = columns.map(column => `"${column}" IS NOT NULL`).join(" AND ");
+    const order = columns.map((_, i) => i + 1).join(", ");
     
-    // Se não encontrou nenhuma coluna ID específica, pega a primeira coluna da primeira linha
     try {
-        const query = `SELECT * FROM "${schema}"."${table}" ORDER BY random() LIMIT 1;`;
-        const res = await client.query(query);
-        
-        if (res.rows && res.rows.length > 0) {
-            const firstColumn = Object.keys(res.rows[0])[0];
-            return [{ Id: res.rows[0][firstColumn] }];
+        const res = await client.query(
+            `SELECT ${select} FROM "${schema}"."${table}" WHERE ${notNull} ORDER BY ${order} LIMIT ${RANDOM_ROW_SAMPLE};`
+        );
+        if (res.rows.length > 0) {
+            return pick(res.rows);
         }
     } catch (error) {
-        console.error(`❌ Erro final ao buscar ID em ${schema}.${table}:`, error.message);
+        logger.error(`❌ Erro ao buscar linha em ${schema}.${table}:`, error.message);
+    }
+    
+    logger.warn(`⚠️ Nenhum registro encontrado em ${schema}.${table}`);
+    return null;
+}
+
+// Colunas da chave primária (pg_index), na ordem da PK; [] se a tabela não tem PK
+async function getPrimaryKey(schema, table) {
+    const primary = (await getUniqueConstraints(schema, table)).find(constraint => constraint.primary);
+    return primary ? primary.columns : [];
+}
+
+// Lista as constraints/índices UNIQUE (incluindo a PK) com as colunas de cada um.
+// Índices parciais ou de expressão são ignorados.
+async function getUniqueConstraints(schema, table) {
+    const model = await getSchemaModel();
+    return model.uniqueConstraints[`${schema}.${table}`] || [];
+}
+
+// Verifica, numa única consulta, quais combinações de valores já existem na tabela.
+// Devolve um booleano por combinação, na ordem. Um EXISTS por combinação (e não
+// "(colunas) IN (VALUES ...)") para que os parâmetros recebam o tipo das colunas.
+async function findExistingValues(schema, table, columns, tuples) {
+    const found = [];
+    const size = maxRowsPerInsert(columns.length);
+
+    for (let start = 0; start < tuples.length; start += size) {
+        const chunk = tuples.slice(start, start + size);
+        const queryValues = [];
+        const checks = chunk.map(values => {
+            const conditions = columns.map((column, i) => {
+                queryValues.push(values[i]);
+                return `"${column}" = $${queryValues.length}`;
+            });
+            return `EXISTS (SELECT 1 FROM "${schema}"."${table}" WHERE ${conditions.join(" AND ")})`;
+        });
+        const res = await client.query(`SELECT ARRAY[${checks.join(", ")}] AS found;`, queryValues);
+        found.push(...res.rows[0].found);
     }
+    return found;
+}
+
+// Modo dry-run: registra o INSERT no script em vez de executá-lo
+async function recordInsertData(schema, table, columns, values) {
+    const keyColumns = await getPrimaryKey(schema, table);
+    const overriding = Boolean(await overridingClause(schema, table, columns));
+    const { name, key, sql } = recordInsert(schema, table, columns, values, keyColumns, overriding);
     
-    console.warn(`⚠️ Nenhum registro encontrado em ${schema}.${table}`);
-    return [];
+    logger.debug(`📝 INSERT registrado no script (${name}): ${schema}.${table}`);
+    return { 
+        success: true, 
+        id: keyId(key), 
+        key,
+        sql, 
+        table: `${schema}.${table}`,
+        ref: name,
+        dryRun: true
+    };
 }
 
 // Verifica se tabela tem dados
@@ -345,13 +422,31 @@ async function tableHasData(schema, table) {
         const res = await client.query(`SELECT 1 FROM "${schema}"."${table}" LIMIT 1;`);
         return res.rows.length > 0;
     } catch (error) {
-        console.error(`❌ Erro ao verificar dados em ${schema}.${table}:`, error.message);
+        logger.error(`❌ Erro ao verificar dados em ${schema}.${table}:`, error.message);
         return false;
     }
 }
 
+// Análise inteligente do erro
+function explainInsertError(error) {
+    if (error.code === '23503') {
+        logger.error(`   💡 Problema de Foreign Key`);
+        if (error.detail) {
+            logger.error(`   🔍 Detalhe: ${error.detail}`);
+        }
+    } else if (error.code === '23505') {
+        logger.error(`   💡 Violação de constraint UNIQUE`);
+    } else if (error.code === '23514') {
+        logger.error(`   💡 Violação de constraint CHECK`);
+    }
+}
+
 // Executa INSERT com tratamento inteligente de erros
 async function insertData(schema, table, columns, values) {
+    if (isRecording()) {
+        return recordInsertData(schema, table, columns, values);
+    }
+    
     const insertColumns = [];
     const placeholders = [];
     const queryValues = [];
@@ -370,83 +465,275 @@ async function insertData(schema, table, columns, values) {
         }
     });
 
-    const insertSQL = `INSERT INTO "${schema}"."${table}" (${insertColumns.join(", ")}) VALUES (${placeholders.join(", ")}) RETURNING *;`;
+    const overriding = await overridingClause(schema, table, columns);
+    const insertSQL = columns.length === 0
+        ? `INSERT INTO "${schema}"."${table}" DEFAULT VALUES RETURNING *;`
+        : `INSERT INTO "${schema}"."${table}" (${insertColumns.join(", ")})${overriding} VALUES (${placeholders.join(", ")}) RETURNING *;`;
     
+    const started = Date.now();
     try {
-        console.log(`📝 Executando INSERT em: ${schema}.${table}`);
+        logger.debug(`📝 Executando INSERT em: ${schema}.${table}`);
         
         const result = await client.query(insertSQL, queryValues);
+        const durationMs = Date.now() - started;
         
         if (result.rows && result.rows.length > 0) {
-            // Tenta encontrar a coluna ID dinamicamente
             const row = result.rows[0];
-            let insertedId = null;
+            const key = rowKey(await getPrimaryKey(schema, table), row);
             
-            // Procura por diferentes padrões de ID
-            const idPatterns = ['Id', 'id', 'ID', `${table}Id`, `${table}_id`];
-            for (const pattern of idPatterns) {
-                if (row[pattern] !== undefined) {
-                    insertedId = row[pattern];
-                    break;
-                }
-            }
-            
-            // Se não encontrou, usa a primeira coluna
-            if (!insertedId) {
-                const firstColumn = Object.keys(row)[0];
-                insertedId = row[firstColumn];
-            }
-            
-            console.log(`✅ INSERT executado com sucesso! ID: ${insertedId}`);
+            logger.debug(key ? `✅ INSERT executado com sucesso! ID: ${keyId(key)}` : `✅ INSERT executado com sucesso!`);
             return { 
                 success: true, 
-                id: insertedId, 
+                id: keyId(key), 
+                key,
                 sql: insertSQL, 
                 table: `${schema}.${table}`,
-                data: row
+                data: row,
+                durationMs
             };
         } else {
-            console.log(`✅ INSERT executado com sucesso!`);
-            return { success: true, sql: insertSQL, table: `${schema}.${table}` };
+            logger.debug(`✅ INSERT executado com sucesso!`);
+            return { success: true, sql: insertSQL, table: `${schema}.${table}`, durationMs };
         }
     } catch (error) {
-        console.error(`❌ Erro ao executar INSERT em ${schema}.${table}:`);
-        console.error(`   🚨 Erro: ${error.message}`);
+        logger.error(`❌ Erro ao executar INSERT em ${schema}.${table}:`);
+        logger.error(`   🚨 Erro: ${error.message}`);
+        explainInsertError(error);
         
-        // Análise inteligente do erro
-        if (error.code === '23503') {
-            console.error(`   💡 Problema de Foreign Key`);
-            if (error.detail) {
-                console.error(`   🔍 Detalhe: ${error.detail}`);
+        return { 
+            success: false, 
+            error: error.message, 
+            sql: insertSQL, 
+            params: queryValues,
+            table: `${schema}.${table}`,
+            errorCode: error.code,
+            errorDetail: error.detail,
+            durationMs: Date.now() - started
+        };
+    }
+}
+
+// Quantas linhas cabem em um único INSERT respeitando o limite de parâmetros
+function maxRowsPerInsert(columnCount) {
+    return Math.max(1, Math.floor(MAX_QUERY_PARAMETERS / Math.max(columnCount, 1)));
+}
+
+// Tipo de uma coluna para os casts do INSERT em lote: o domain, se houver, ou o tipo
+// (sem typmod: o tamanho é validado pelo INSERT, em vez de o cast truncar o valor)
+function castType(column) {
+    return column.domain_name
+        ? `"${column.domain_schema}"."${column.domain_name}"`
+        : `"${column.udt_schema}"."${column.udt_name}"`;
+}
+
+// INSERT de várias linhas com as mesmas colunas, numerado pela ordem das linhas:
+//   INSERT ... SELECT colunas FROM (VALUES (..., 1), (..., 2)) ... ORDER BY ordinal RETURNING *
+// O PostgreSQL não garante a ordem do RETURNING num INSERT ... VALUES; no SELECT, o ORDER BY
+// define a ordem das linhas inseridas. Fora do VALUES do INSERT os parâmetros não recebem o
+// tipo da coluna, então cada valor leva um cast (e DEFAULT vira a expressão do default).
+// Um único comando (tudo ou nada); use maxRowsPerInsert para dividir lotes grandes.
+// Devolve { success, results: [um resultado por linha, na ordem], error, errorCode }.
+async function insertManyData(schema, table, columns, rows) {
+    const insertColumns = columns.map(column => `"${column}"`).join(", ");
+    const tableColumns = new Map((await getTableColumns(schema, table)).map(column => [column.column_name, column]));
+    const queryValues = [];
+    
+    const tuples = rows.map((values, row) => {
+        const placeholders = values.map((val, i) => {
+            const column = tableColumns.get(columns[i]);
+            const cast = column ? `::${castType(column)}` : "";
+            if (val && typeof val === "object" && val.raw) {
+                const raw = val.raw === "DEFAULT" && column && column.column_default ? column.column_default : val.raw;
+                return `(${raw})${cast}`;
             }
-        } else if (error.code === '23505') {
-            console.error(`   💡 Violação de constraint UNIQUE`);
-        } else if (error.code === '23514') {
-            console.error(`   💡 Violação de constraint CHECK`);
-        }
+            if (val === null || val === undefined) {
+                return `NULL${cast}`;
+            }
+            queryValues.push(val);
+            return `$${queryValues.length}${cast}`;
+        });
+        return `(${[...placeholders, row + 1].join(", ")})`;
+    });
+    
+    // Sem colunas (só serial/identity/defaults): N linhas iguais, com os valores padrão
+    const overriding = await overridingClause(schema, table, columns);
+    const insertSQL = columns.length === 0
+        ? `INSERT INTO "${schema}"."${table}" SELECT FROM generate_series(1, ${rows.length}) RETURNING *;`
+        : `INSERT INTO "${schema}"."${table}" (${insertColumns})${overriding} SELECT ${insertColumns} FROM (VALUES ${tuples.join(", ")}) AS input(${insertColumns}, mocktree_ordinal) ORDER BY mocktree_ordinal RETURNING *;`;
+    
+    const started = Date.now();
+    try {
+        logger.info(`📦 Executando INSERT em lote: ${rows.length} linha(s) em ${schema}.${table}`);
+        const result = await client.query(insertSQL, queryValues);
+        const durationMs = Date.now() - started;
+        const keyColumns = await getPrimaryKey(schema, table);
         
+        // As linhas do RETURNING vêm na ordem do ORDER BY, a das linhas informadas (durationMs: o lote inteiro)
+        const results = result.rows.map(row => {
+            const key = rowKey(keyColumns, row);
+            return { success: true, id: keyId(key), key, sql: insertSQL, table: `${schema}.${table}`, data: row, durationMs, batchRows: rows.length };
+        });
+        
+        logger.debug(`✅ Lote inserido com sucesso! (${results.length} linha(s))`);
+        return { success: true, results, table: `${schema}.${table}` };
+    } catch (error) {
+        logger.error(`❌ Erro no INSERT em lote em ${schema}.${table}:`);
+        logger.error(`   🚨 Erro: ${error.message}`);
+        explainInsertError(error);
+        
+        return {
+            success: false,
+            results: [],
+            error: error.message,
+            table: `${schema}.${table}`,
+            errorCode: error.code,
+            errorDetail: error.detail
+        };
+    }
+}
+
+// Atualiza uma linha identificada pela chave (usado para fechar ciclos de FK)
+async function updateRow(schema, table, setColumns, setValues, keyColumns, keyValues) {
+    if (isRecording()) {
+        const { sql } = recordUpdate(schema, table, setColumns, setValues, keyColumns, keyValues);
+        logger.debug(`📝 UPDATE registrado no script: ${schema}.${table}`);
+        return { success: true, sql, table: `${schema}.${table}`, dryRun: true };
+    }
+    
+    const queryValues = [];
+    const param = (val) => {
+        if (val && typeof val === "object" && val.raw) {
+            return val.raw;
+        }
+        queryValues.push(val);
+        return `$${queryValues.length}`;
+    };
+    
+    const assignments = setColumns.map((column, i) => `"${column}" = ${param(setValues[i])}`);
+    const conditions = keyColumns.map((column, i) => `"${column}" = ${param(keyValues[i])}`);
+    const updateSQL = `UPDATE "${schema}"."${table}" SET ${assignments.join(", ")} WHERE ${conditions.join(" AND ")};`;
+    
+    const started = Date.now();
+    try {
+        logger.debug(`📝 Executando UPDATE em: ${schema}.${table}`);
+        const result = await client.query(updateSQL, queryValues);
+        logger.debug(`✅ UPDATE executado com sucesso! (${result.rowCount} linha(s))`);
+        return { success: true, sql: updateSQL, table: `${schema}.${table}`, durationMs: Date.now() - started };
+    } catch (error) {
+        logger.error(`❌ Erro ao executar UPDATE em ${schema}.${table}:`);
+        logger.error(`   🚨 Erro: ${error.message}`);
         return { 
             success: false, 
             error: error.message, 
-            sql: insertSQL, 
+            sql: updateSQL, 
             table: `${schema}.${table}`,
-            errorCode: error.code
+            errorCode: error.code,
+            errorDetail: error.detail,
+            durationMs: Date.now() - started
         };
     }
 }
 
+// Condição "(col1, col2) IN (($1, $2), ...)" para as chaves informadas
+function keyCondition(keyColumns, keys, queryValues) {
+    const columns = keyColumns.map(column => `"${column}"`).join(", ");
+    const tuples = keys.map(key => {
+        const placeholders = key.map(val => {
+            queryValues.push(val);
+            return `$${queryValues.length}`;
+        });
+        return `(${placeholders.join(", ")})`;
+    });
+    return `(${columns}) IN (${tuples.join(", ")})`;
+}
+
+// Remove as linhas identificadas pelas chaves (cleanup de uma execução).
+// Use maxRowsPerInsert(keyColumns.length) para dividir listas grandes.
+async function deleteRows(schema, table, keyColumns, keys) {
+    const queryValues = [];
+    const deleteSQL = `DELETE FROM "${schema}"."${table}" WHERE ${keyCondition(keyColumns, keys, queryValues)};`;
+    
+    try {
+        const result = await client.query(deleteSQL, queryValues);
+        return { success: true, rowCount: result.rowCount, table: `${schema}.${table}` };
+    } catch (error) {
+        logger.error(`❌ Erro ao executar DELETE em ${schema}.${table}:`);
+        logger.error(`   🚨 Erro: ${error.message}`);
+        if (error.code === '23503') {
+            logger.error(`   💡 Outras linhas (fora desta execução) referenciam as linhas removidas`);
+            if (error.detail) {
+                logger.error(`   🔍 Detalhe: ${error.detail}`);
+            }
+        }
+        return { success: false, rowCount: 0, error: error.message, table: `${schema}.${table}`, errorCode: error.code };
+    }
+}
+
+// Tabela sem PK nem UNIQUE: remove uma única linha com todos os valores iguais
+async function deleteRowByValues(schema, table, columns, values) {
+    const conditions = columns.map((column, i) => `"${column}" IS NOT DISTINCT FROM $${i + 1}`);
+    const deleteSQL = `DELETE FROM "${schema}"."${table}" WHERE ctid = (SELECT ctid FROM "${schema}"."${table}" WHERE ${conditions.join(" AND ")} LIMIT 1);`;
+    
+    try {
+        const result = await client.query(deleteSQL, values);
+        return { success: true, rowCount: result.rowCount, table: `${schema}.${table}` };
+    } catch (error) {
+        logger.error(`❌ Erro ao executar DELETE em ${schema}.${table}:`);
+        logger.error(`   🚨 Erro: ${error.message}`);
+        return { success: false, rowCount: 0, error: error.message, table: `${schema}.${table}`, errorCode: error.code };
+    }
+}
+
+// Anula colunas (FKs de ciclos) das linhas identificadas pelas chaves, antes do DELETE
+async function clearColumns(schema, table, columns, keyColumns, keys) {
+    const queryValues = [];
+    const assignments = columns.map(column => `"${column}" = NULL`);
+    const updateSQL = `UPDATE "${schema}"."${table}" SET ${assignments.join(", ")} WHERE ${keyCondition(keyColumns, keys, queryValues)};`;
+    
+    try {
+        const result = await client.query(updateSQL, queryValues);
+        return { success: true, rowCount: result.rowCount, table: `${schema}.${table}` };
+    } catch (error) {
+        logger.error(`❌ Erro ao executar UPDATE em ${schema}.${table}:`);
+        logger.error(`   🚨 Erro: ${error.message}`);
+        return { success: false, rowCount: 0, error: error.message, table: `${schema}.${table}`, errorCode: error.code };
+    }
+}
+
+// Nome do banco conectado (gravado no manifesto e conferido no cleanup)
+async function getCurrentDatabase() {
+    const res = await client.query("SELECT current_database() AS name;");
+    return res.rows[0].name;
+}
+
 module.exports = { 
     // Funções de descoberta
     discoverAllSchemas,
     findTableInDatabase,
     analyzeTableStructure,
+    getTableColumns,
     
     // Funções principais
     typeScanner, 
-    getForeignKeys, 
+    getForeignKeys,
+    getReferencingForeignKeys, 
     getRequiredColumns, 
-    getRandomId, 
+    getOptionalColumns,
+    getIdentityColumns,
+    getIdentityStart,
+    syncIdentitySequence,
+    getRandomRow,
     insertData,
+    insertManyData,
+    maxRowsPerInsert,
+    updateRow,
+    deleteRows,
+    deleteRowByValues,
+    clearColumns,
+    getCurrentDatabase,
+    getPrimaryKey,
+    getUniqueConstraints,
+    findExistingValues,
     findFKReference,
     tableHasData
 };
\ No newline at end of file
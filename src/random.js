@@ -0,0 +1,111 @@
+const { defineState } = require("./context");
+
+// ========================
+// GERADOR PSEUDOALEATÓRIO COM SEED
+// ========================
+//
+// Todos os valores aleatórios (geradores de dados e escolha de FKs) passam
+// por aqui. Com --seed, duas execuções contra o mesmo schema produzem
+// exatamente os mesmos dados.
+
+// Estado do PRNG no contexto da execução (ver context.js)
+const state = defineState("random", () => ({
+    seed: null,
+    seeded: false,    // true quando a seed veio do usuário (--seed)
+    next: mulberry32(newSeed())
+}));
+
+// PRNG mulberry32: rápido, 32 bits de estado, suficiente para dados fictícios
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Converte texto em seed numérica (FNV-1a)
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function newSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Define a seed; sem valor, sorteia uma nova (que pode ser exibida para reproduzir a execução)
+function setSeed(seed = null) {
+    const current = state();
+    current.seeded = seed !== null && seed !== undefined;
+    current.seed = current.seeded ? String(seed) : String(newSeed());
+
+    const numeric = /^\d+$/.test(current.seed) ? Number(current.seed) : hashSeed(current.seed);
+    current.next = mulberry32(numeric);
+    return current.seed;
+}
+
+function getSeed() {
+    return state().seed;
+}
+
+function isSeeded() {
+    return state().seeded;
+}
+
+// Número em [0, 1)
+function random() {
+    return state().next();
+}
+
+// Inteiro em [min, max]
+function randomInt(min, max) {
+    return Math.floor(random() * (max - min + 1)) + min;
+}
+
+// Elemento aleatório de uma lista
+function pick(items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+// N elementos distintos de uma lista (Fisher-Yates parcial)
+function sample(items, count) {
+    const copy = [...items];
+    const n = Math.min(count, copy.length);
+    for (let i = 0; i < n; i++) {
+        const j = i + Math.floor(random() * (copy.length - i));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy.slice(0, n);
+}
+
+// UUID v4 gerado a partir do PRNG
+function randomUUID() {
+    const hex = [];
+    for (let i = 0; i < 32; i++) {
+        hex.push(Math.floor(random() * 16).toString(16));
+    }
+    hex[12] = "4";
+    hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+
+    const s = hex.join("");
+    return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+}
+
+module.exports = {
+    setSeed,
+    getSeed,
+    isSeeded,
+    random,
+    randomInt,
+    pick,
+    sample,
+    randomUUID
+};
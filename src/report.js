@@ -0,0 +1,277 @@
+const fs = require("fs");
+const path = require("path");
+
+// ========================
+// RELATÓRIO ESTRUTURADO (--report / --report-junit)
+// ========================
+//
+// O RELATÓRIO FINAL do console só traz contadores. Com --report run.json, cada
+// tabela planejada e cada INSERT executado (ou registrado no dry-run) vão para
+// um JSON, com a chave gerada, o tempo, o SQL e o código/detalhe do erro do
+// PostgreSQL, para comparar execuções. Com --report-junit run.xml, o mesmo
+// resultado sai em JUnit XML (um testsuite por tabela, um testcase por linha),
+// para o CI anotar as falhas. Uma execução que não chega aos INSERTs (tabela
+// não encontrada, erro inesperado) também gera o relatório, com o motivo em
+// "error" e, no JUnit, um testcase com <error>.
+//
+// Formato do JSON:
+//   {
+//     version, runId, target, seed, dryRun, transaction, aborted, startedAt, finishedAt, durationMs, error,
+//     totals: { inserts, successful, failed, updates, failedUpdates },
+//     tables: [{ table, role, dependsOn, rows, perParent, inserted, failed }],
+//     inserts: [{ table, success, id, key, attempts, durationMs, batchRows, statement, error, errorCode, errorDetail, params }],
+//     updates: [{ table, success, durationMs, statement, error, errorCode, errorDetail, params }],
+//     statements: [SQL de cada comando]
+//   }
+//
+// "statement" é a posição do SQL em statements: as linhas de um INSERT em lote
+// compartilham o mesmo comando, que aparece uma única vez.
+
+const REPORT_VERSION = 1;
+
+// No dry-run, chaves são referências à CTE: vão como SQL (ex.: (SELECT "id" FROM r1))
+function reportValue(value) {
+    return value && typeof value === "object" && value.raw ? value.raw : value;
+}
+
+function reportKey(key) {
+    if (!key) {
+        return null;
+    }
+    return Object.fromEntries(Object.entries(key).map(([column, value]) => [column, reportValue(value)]));
+}
+
+// Guarda cada SQL uma vez e devolve a posição dele na lista
+function statementIndex(statements, sql) {
+    if (!sql) {
+        return null;
+    }
+    if (!statements.has(sql)) {
+        statements.set(sql, statements.size);
+    }
+    return statements.get(sql);
+}
+
+function errorFields(result) {
+    return result.success ? {} : {
+        error: result.error || null,
+        errorCode: result.errorCode || null,
+        errorDetail: result.errorDetail || null,
+        params: result.params || null
+    };
+}
+
+// Monta o relatório a partir do resumo devolvido por seedTable
+function buildReport(summary) {
+    const statements = new Map();
+
+    const inserts = summary.results.map(result => ({
+        table: result.table || null,
+        success: Boolean(result.success),
+        id: reportValue(result.id ?? null),
+        key: reportKey(result.key),
+        attempts: result.attempts ?? 1,
+        durationMs: result.durationMs ?? null,
+        batchRows: result.batchRows ?? 1,
+        statement: statementIndex(statements, result.sql),
+        ...errorFields(result)
+    }));
+
+    const updates = summary.updateResults.map(result => ({
+        table: result.table || null,
+        success: Boolean(result.success),
+        durationMs: result.durationMs ?? null,
+        statement: statementIndex(statements, result.sql),
+        ...errorFields(result)
+    }));
+
+    const tables = summary.steps.map(step => ({
+        table: step.key,
+        role: step.role,
+        dependsOn: step.dependsOn,
+        rows: step.rows,
+        perParent: step.perParent,
+        inserted: inserts.filter(insert => insert.table === step.key && insert.success).length,
+        failed: inserts.filter(insert => insert.table === step.key && !insert.success).length
+    }));
+
+    return {
+        version: REPORT_VERSION,
+        runId: summary.runId,
+        target: summary.table,
+        seed: summary.seed,
+        dryRun: summary.dryRun,
+        transaction: summary.transaction,
+        aborted: summary.aborted,
+        startedAt: summary.startedAt,
+        finishedAt: summary.finishedAt,
+        durationMs: Date.parse(summary.finishedAt) - Date.parse(summary.startedAt),
+        error: null,
+        totals: {
+            inserts: summary.totalInserts,
+            successful: summary.successfulInserts,
+            failed: summary.failedInserts,
+            updates: summary.updates,
+            failedUpdates: summary.failedUpdates
+        },
+        tables,
+        inserts,
+        updates,
+        statements: [...statements.keys()]
+    };
+}
+
+// Relatório de uma execução interrompida antes dos INSERTs: sem tabelas nem linhas,
+// com o motivo em error
+function buildFailedReport({ target, seed = null, dryRun = false, startedAt, error }) {
+    const finishedAt = new Date().toISOString();
+    return {
+        version: REPORT_VERSION,
+        runId: null,
+        target,
+        seed,
+        dryRun: Boolean(dryRun),
+        transaction: null,
+        aborted: false,
+        startedAt,
+        finishedAt,
+        durationMs: Date.parse(finishedAt) - Date.parse(startedAt),
+        error,
+        totals: { inserts: 0, successful: 0, failed: 0, updates: 0, failedUpdates: 0 },
+        tables: [],
+        inserts: [],
+        updates: [],
+        statements: []
+    };
+}
+
+// ========================
+// JUNIT XML
+// ========================
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        // Caracteres de controle não são válidos em XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+// Tempo de uma linha: num INSERT em lote, a parte dela no tempo do comando
+function caseTime(item) {
+    return (item.durationMs || 0) / (item.batchRows || 1);
+}
+
+function renderTestCase(report, classname, name, item) {
+    const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}" time="${seconds(caseTime(item))}"`;
+    if (item.success) {
+        return `${open}/>`;
+    }
+
+    const details = [
+        item.errorDetail ? `Detalhe: ${item.errorDetail}` : null,
+        item.statement !== null ? report.statements[item.statement] : null,
+        item.params && item.params.length > 0 ? `Parâmetros: ${JSON.stringify(item.params)}` : null
+    ].filter(Boolean).join("\n\n");
+
+    return [
+        `${open}>`,
+        `      <failure message="${escapeXml(item.error || "falha")}" type="${escapeXml(item.errorCode || "error")}">${escapeXml(details)}</failure>`,
+        "    </testcase>"
+    ].join("\n");
+}
+
+function renderSuite(report, name, cases) {
+    const failures = cases.filter(item => !item.item.success).length;
+    const time = cases.reduce((total, { item }) => total + caseTime(item), 0);
+    return [
+        `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="0" time="${seconds(time)}">`,
+        ...cases.map(({ classname, name: caseName, item }) => renderTestCase(report, classname, caseName, item)),
+        "  </testsuite>"
+    ].join("\n");
+}
+
+// Execução interrompida: um testcase com <error> no lugar dos INSERTs
+function renderRunError(report) {
+    const time = seconds(report.durationMs);
+    return [
+        `  <testsuite name="${escapeXml(report.target)}" tests="1" failures="0" errors="1" time="${time}">`,
+        `    <testcase classname="mocktree.${escapeXml(report.target)}" name="seed" time="${time}">`,
+        `      <error message="${escapeXml(report.error)}" type="error"/>`,
+        "    </testcase>",
+        "  </testsuite>"
+    ].join("\n");
+}
+
+// Um testsuite por tabela (testcase por linha) e um para os UPDATEs dos ciclos de FK
+function renderJUnit(report) {
+    const suites = new Map();
+    report.tables.forEach(entry => suites.set(entry.table, []));
+
+    report.inserts.forEach(insert => {
+        const table = insert.table || report.target;
+        if (!suites.has(table)) {
+            suites.set(table, []);
+        }
+        const cases = suites.get(table);
+        const name = `INSERT #${cases.length + 1}${insert.id !== null ? ` (${insert.id})` : ''}`;
+        cases.push({ classname: `mocktree.${table}`, name, item: insert });
+    });
+
+    if (report.updates.length > 0) {
+        suites.set("ciclos de FK", report.updates.map((update, i) => ({
+            classname: `mocktree.${update.table}`,
+            name: `UPDATE #${i + 1}`,
+            item: update
+        })));
+    }
+
+    const rendered = [...suites.entries()]
+        .filter(([, cases]) => cases.length > 0)
+        .map(([name, cases]) => renderSuite(report, name, cases));
+    const errors = report.error ? 1 : 0;
+    if (report.error) {
+        rendered.push(renderRunError(report));
+    }
+    const tests = report.inserts.length + report.updates.length + errors;
+    const failures = report.totals.failed + report.totals.failedUpdates;
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<testsuites name="mocktree seed ${escapeXml(report.target)}" tests="${tests}" failures="${failures}" errors="${errors}" time="${seconds(report.durationMs)}" timestamp="${report.startedAt}">`,
+        ...rendered,
+        "</testsuites>"
+    ].join("\n") + "\n";
+}
+
+// ========================
+// GRAVAÇÃO
+// ========================
+
+function writeFile(file, content) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+function saveReport(report, file) {
+    return writeFile(file, JSON.stringify(report, null, 2) + "\n");
+}
+
+function saveJUnitReport(report, file) {
+    return writeFile(file, renderJUnit(report));
+}
+
+module.exports = {
+    buildReport,
+    buildFailedReport,
+    renderJUnit,
+    saveReport,
+    saveJUnitReport
+};
@@ -0,0 +1,65 @@
+const { columnRef } = require("./sqlScript");
+
+// ========================
+// LINHAS INSERIDAS (CACHE)
+// ========================
+//
+// As linhas inseridas ficam em cache como { key, data, ref }: key é a chave
+// primária completa ({ coluna: valor } com todas as colunas da PK, ou null
+// se a tabela não tem PK); data é a linha devolvida pelo RETURNING *; no
+// dry-run não há linha real, e ref aponta para o INSERT do script ("rN").
+
+// Chave primária da linha a partir das colunas da PK (pg_index)
+function rowKey(keyColumns, row) {
+    if (!keyColumns || keyColumns.length === 0) {
+        return null;
+    }
+    return Object.fromEntries(keyColumns.map(column => [column, row[column]]));
+}
+
+// "ID" exibido nos logs e no relatório: o valor da PK simples ou a tupla da PK composta
+function keyId(key) {
+    if (!key) {
+        return null;
+    }
+    const values = Object.values(key);
+    return values.length === 1 ? values[0] : `(${values.map(String).join(", ")})`;
+}
+
+// Entrada do cache a partir do resultado do INSERT
+function toCachedRow(result) {
+    return { key: result.key || null, data: result.data || null, ref: result.ref || null };
+}
+
+// Valor de uma coluna de uma linha do cache (no dry-run, referência ao INSERT do script)
+function rowValue(entry, column) {
+    if (entry.data && column in entry.data) {
+        return entry.data[column];
+    }
+    if (entry.ref) {
+        return columnRef(entry.ref, column);
+    }
+    if (entry.key && column in entry.key) {
+        return entry.key[column];
+    }
+    return null;
+}
+
+// Verifica se duas entradas do cache são a mesma linha (mesmo INSERT do script ou mesma PK)
+function sameRow(a, b) {
+    if (a.ref || b.ref) {
+        return a.ref === b.ref;
+    }
+    if (a.key && b.key) {
+        return JSON.stringify(a.key) === JSON.stringify(b.key);
+    }
+    return a.data === b.data;
+}
+
+module.exports = {
+    rowKey,
+    keyId,
+    toCachedRow,
+    rowValue,
+    sameRow
+};
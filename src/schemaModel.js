@@ -0,0 +1,291 @@
+const fs = require("fs");
+const { parallelQuery } = require("./db");
+const { defineState } = require("./context");
+const logger = require("./logger");
+
+// ========================
+// MODELO DO SCHEMA (METADADOS EM MEMÓRIA)
+// ========================
+//
+// A estrutura do banco (tabelas, colunas, tipos, defaults, PK, FKs, UNIQUE, CHECK,
+// identity/generated) é lida uma única vez, em poucas consultas ao pg_catalog, e
+// mantida em memória. As funções de metadados de queries.js consultam este modelo.
+// O modelo pode ser salvo em um snapshot JSON (comando "snapshot") e carregado com
+// --snapshot, dispensando a introspecção nas execuções seguintes.
+
+const SNAPSHOT_VERSION = 1;
+
+// Modelo ativo no contexto da execução (ver context.js)
+const state = defineState("schemaModel", () => ({ model: null }));
+
+// Filtro das tabelas de usuário (sem schemas do sistema)
+const USER_TABLES = `
+    c.relkind IN ('r', 'p')
+    AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+    AND n.nspname NOT LIKE 'pg_toast%'
+    AND n.nspname NOT LIKE 'pg_temp%'
+`;
+
+const TABLES_QUERY = `
+    SELECT n.nspname AS schema, c.relname AS table
+    FROM pg_catalog.pg_class c
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    WHERE ${USER_TABLES}
+    ORDER BY n.nspname, c.relname;
+`;
+
+// Colunas no mesmo formato do information_schema.columns (data_type, udt_name,
+// domain_name...), montadas a partir do pg_catalog. Em domains, o tipo base
+// (bt) define data_type e udt_*; o typmod do domain vale quando a coluna não tem.
+const COLUMNS_QUERY = `
+    SELECT
+        n.nspname AS table_schema,
+        c.relname AS table_name,
+        a.attname AS column_name,
+        a.attnum AS ordinal_position,
+        CASE
+            WHEN bt.typcategory = 'A' THEN 'ARRAY'
+            WHEN bt.typtype IN ('e', 'c', 'r', 'm') OR bn.nspname <> 'pg_catalog' THEN 'USER-DEFINED'
+            WHEN bt.typname = 'bpchar' THEN 'character'
+            ELSE btrim(pg_catalog.format_type(bt.oid, -1), '"')
+        END AS data_type,
+        CASE
+            WHEN et.typname IN ('varchar', 'bpchar', 'bit', 'varbit') AND m.typmod > 0
+                THEN CASE WHEN et.typname IN ('bit', 'varbit') THEN m.typmod ELSE m.typmod - 4 END
+        END AS character_maximum_length,
+        CASE
+            WHEN et.typname = 'int2' THEN 16
+            WHEN et.typname = 'int4' THEN 32
+            WHEN et.typname = 'int8' THEN 64
+            WHEN et.typname = 'float4' THEN 24
+            WHEN et.typname = 'float8' THEN 53
+            WHEN et.typname = 'numeric' AND m.typmod >= 0 THEN ((m.typmod - 4) >> 16) & 65535
+        END AS numeric_precision,
+        CASE
+            WHEN et.typname IN ('int2', 'int4', 'int8') THEN 0
+            WHEN et.typname = 'numeric' AND m.typmod >= 0 THEN (m.typmod - 4) & 65535
+        END AS numeric_scale,
+        CASE
+            WHEN bt.typname = 'date' THEN 0
+            WHEN bt.typname IN ('time', 'timetz', 'timestamp', 'timestamptz')
+                THEN CASE WHEN m.typmod >= 0 THEN m.typmod ELSE 6 END
+            WHEN bt.typname = 'interval'
+                THEN CASE WHEN m.typmod >= 0 THEN m.typmod & 65535 ELSE 6 END
+        END AS datetime_precision,
+        -- Colunas GENERATED ... STORED guardam a expressão em pg_attrdef, mas não têm default
+        CASE WHEN a.attgenerated = '' THEN pg_catalog.pg_get_expr(d.adbin, d.adrelid) END AS column_default,
+        CASE WHEN a.attnotnull OR (t.typtype = 'd' AND t.typnotnull) THEN 'NO' ELSE 'YES' END AS is_nullable,
+        pg_catalog.col_description(c.oid, a.attnum) AS column_comment,
+        bn.nspname AS udt_schema,
+        bt.typname AS udt_name,
+        bt.typtype AS udt_type,
+        CASE WHEN t.typtype = 'd' THEN tn.nspname END AS domain_schema,
+        CASE WHEN t.typtype = 'd' THEN t.typname END AS domain_name,
+        a.attidentity <> '' AS is_identity,
+        CASE a.attidentity WHEN 'a' THEN 'ALWAYS' WHEN 'd' THEN 'BY DEFAULT' END AS identity_generation,
+        a.attgenerated <> '' AS is_generated,
+        -- Rótulos do enum, na ordem declarada
+        (
+            SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder)
+            FROM pg_catalog.pg_enum e
+            WHERE e.enumtypid = bt.oid
+        ) AS enum_labels,
+        -- Em colunas ARRAY de enum, os rótulos do enum dos elementos
+        (
+            SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder)
+            FROM pg_catalog.pg_enum e
+            WHERE bt.typcategory = 'A' AND e.enumtypid = bt.typelem
+        ) AS element_enum_labels,
+        -- Em tipos compostos, o tipo de cada campo (format_type), na ordem
+        (
+            SELECT array_agg(pg_catalog.format_type(ca.atttypid, ca.atttypmod) ORDER BY ca.attnum)
+            FROM pg_catalog.pg_attribute ca
+            WHERE bt.typtype = 'c' AND ca.attrelid = bt.typrelid AND ca.attnum > 0 AND NOT ca.attisdropped
+        ) AS composite_fields,
+        -- CHECKs de coluna única da tabela e do domain da coluna
+        (
+            SELECT array_agg(pg_catalog.pg_get_constraintdef(con.oid) ORDER BY con.conname)
+            FROM pg_catalog.pg_constraint con
+            WHERE con.contype = 'c'
+                AND (
+                    (con.conrelid = c.oid AND con.conkey = ARRAY[a.attnum])
+                    OR (t.typtype = 'd' AND con.contypid = t.oid)
+                )
+        ) AS check_constraints
+    FROM pg_catalog.pg_attribute a
+    JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    JOIN pg_catalog.pg_type t ON t.oid = a.atttypid
+    JOIN pg_catalog.pg_namespace tn ON tn.oid = t.typnamespace
+    JOIN pg_catalog.pg_type bt ON bt.oid = CASE WHEN t.typtype = 'd' THEN t.typbasetype ELSE t.oid END
+    JOIN pg_catalog.pg_namespace bn ON bn.oid = bt.typnamespace
+    CROSS JOIN LATERAL (
+        SELECT CASE WHEN a.atttypmod >= 0 THEN a.atttypmod ELSE t.typtypmod END AS typmod
+    ) m
+    -- Tipo dos elementos em colunas ARRAY (tamanho, precisão e escala valem para eles)
+    CROSS JOIN LATERAL (
+        SELECT CASE WHEN bt.typcategory = 'A' THEN substr(bt.typname, 2) ELSE bt.typname END AS typname
+    ) et
+    LEFT JOIN pg_catalog.pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    WHERE a.attnum > 0
+        AND NOT a.attisdropped
+        AND ${USER_TABLES}
+    ORDER BY n.nspname, c.relname, a.attnum;
+`;
+
+// FKs a partir de pg_constraint: uma linha por par de colunas, pareando conkey/confkey
+// pela posição (FKs compostas não viram produto cartesiano). Cada linha também traz
+// todas as colunas da constraint em source_columns/target_columns.
+const FOREIGN_KEYS_QUERY = `
+    SELECT
+        sn.nspname AS source_schema,
+        st.relname AS source_table,
+        sa.attname AS source_column,
+        tn.nspname AS target_schema,
+        tt.relname AS target_table,
+        ta.attname AS target_column,
+        con.conname AS fk_name,
+        con.condeferrable AS deferrable,
+        NOT sa.attnotnull AS nullable,
+        k.position::int AS position,
+        (
+            SELECT array_agg(a.attname::text ORDER BY u.ord)
+            FROM unnest(con.conkey) WITH ORDINALITY AS u(attnum, ord)
+            JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = u.attnum
+        ) AS source_columns,
+        (
+            SELECT array_agg(a.attname::text ORDER BY u.ord)
+            FROM unnest(con.confkey) WITH ORDINALITY AS u(attnum, ord)
+            JOIN pg_catalog.pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = u.attnum
+        ) AS target_columns
+    FROM pg_catalog.pg_constraint con
+    JOIN pg_catalog.pg_class st ON st.oid = con.conrelid
+    JOIN pg_catalog.pg_namespace sn ON sn.oid = st.relnamespace
+    JOIN pg_catalog.pg_class tt ON tt.oid = con.confrelid
+    JOIN pg_catalog.pg_namespace tn ON tn.oid = tt.relnamespace
+    CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(source_attnum, target_attnum, position)
+    JOIN pg_catalog.pg_attribute sa ON sa.attrelid = con.conrelid AND sa.attnum = k.source_attnum
+    JOIN pg_catalog.pg_attribute ta ON ta.attrelid = con.confrelid AND ta.attnum = k.target_attnum
+    WHERE con.contype = 'f'
+    ORDER BY con.conname, k.position;
+`;
+
+// Índices UNIQUE (incluindo a PK) com as colunas de cada um.
+// Índices parciais ou de expressão são ignorados.
+const UNIQUE_QUERY = `
+    SELECT
+        n.nspname AS schema,
+        c.relname AS table,
+        ic.relname AS constraint_name,
+        ix.indisprimary AS is_primary,
+        array_agg(a.attname::text ORDER BY k.ordinality) AS columns
+    FROM pg_catalog.pg_index ix
+    JOIN pg_catalog.pg_class ic ON ic.oid = ix.indexrelid
+    JOIN pg_catalog.pg_class c ON c.oid = ix.indrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    CROSS JOIN LATERAL unnest(ix.indkey::smallint[]) WITH ORDINALITY AS k(attnum, ordinality)
+    JOIN pg_catalog.pg_attribute a ON a.attrelid = c.oid AND a.attnum = k.attnum
+    WHERE ix.indisunique
+        AND ix.indpred IS NULL
+        AND ix.indexprs IS NULL
+        AND ${USER_TABLES}
+    GROUP BY n.nspname, c.relname, ic.relname, ix.indisprimary
+    ORDER BY n.nspname, c.relname, ix.indisprimary DESC, ic.relname;
+`;
+
+function tableKey(schema, table) {
+    return `${schema}.${table}`;
+}
+
+// Agrupa linhas por "schema.tabela"
+function groupByTable(rows, schemaField, tableField, map = row => row) {
+    const grouped = {};
+    for (const row of rows) {
+        const key = tableKey(row[schemaField], row[tableField]);
+        (grouped[key] = grouped[key] || []).push(map(row));
+    }
+    return grouped;
+}
+
+// Lê toda a estrutura do banco
+async function introspectSchema() {
+    const started = Date.now();
+
+    // Consultas independentes: em paralelo quando há um pool
+    const [tables, columns, foreignKeys, unique, database] = await Promise.all([
+        parallelQuery(TABLES_QUERY),
+        parallelQuery(COLUMNS_QUERY),
+        parallelQuery(FOREIGN_KEYS_QUERY),
+        parallelQuery(UNIQUE_QUERY),
+        parallelQuery(`SELECT current_database() AS name;`)
+    ]);
+
+    const model = {
+        version: SNAPSHOT_VERSION,
+        database: database.rows[0].name,
+        createdAt: new Date().toISOString(),
+        tables: tables.rows.map(row => ({ schema: row.schema, table: row.table })),
+        columns: groupByTable(columns.rows, "table_schema", "table_name"),
+        foreignKeys: foreignKeys.rows,
+        uniqueConstraints: groupByTable(unique.rows, "schema", "table", row => ({
+            name: row.constraint_name,
+            primary: row.is_primary,
+            columns: row.columns
+        }))
+    };
+
+    logger.info(`🗂️ Estrutura do banco carregada: ${model.tables.length} tabela(s), ${columns.rows.length} coluna(s), ${new Set(model.foreignKeys.map(fk => fk.fk_name)).size} FK(s) (${Date.now() - started} ms)`);
+    return model;
+}
+
+// Modelo ativo; na primeira chamada, lê a estrutura do banco
+async function getSchemaModel() {
+    const current = state();
+    if (!current.model) {
+        current.model = await introspectSchema();
+    }
+    return current.model;
+}
+
+// Modelo ativo já carregado, sem consultar o banco (null se ainda não foi lido)
+function getLoadedSchemaModel() {
+    return state().model;
+}
+
+// Usa um modelo já carregado (ex.: snapshot); null volta a ler do banco na próxima chamada
+function useSchemaModel(model) {
+    state().model = model;
+    return model;
+}
+
+function saveSchemaSnapshot(file, model) {
+    fs.writeFileSync(file, JSON.stringify(model, null, 2));
+}
+
+function readSchemaSnapshot(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Snapshot não encontrado: ${file}`);
+    }
+
+    let model;
+    try {
+        model = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Erro ao ler o snapshot ${file}: ${error.message}`);
+    }
+
+    if (model.version !== SNAPSHOT_VERSION || !Array.isArray(model.tables) || !model.columns) {
+        throw new Error(`Snapshot inválido ou de versão incompatível: ${file} (gere novamente com 'mocktree snapshot')`);
+    }
+
+    logger.info(`🗂️ Estrutura lida do snapshot ${file} (banco ${model.database}, gerado em ${model.createdAt})`);
+    return model;
+}
+
+module.exports = {
+    getSchemaModel,
+    getLoadedSchemaModel,
+    useSchemaModel,
+    saveSchemaSnapshot,
+    readSchemaSnapshot
+};
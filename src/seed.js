@@ -0,0 +1,618 @@
+const { buildPlan } = require("./planner");
+const { 
+    generateInsert, 
+    createRowBuilder,
+    insertRows, 
+    cachedRowCount, 
+    discardCachedRows, 
+    clearCache, 
+    addColumnMapping, 
+    resetColumnMappings 
+} = require("./insert");
+const { toCachedRow, rowValue } = require("./rows");
+const { 
+    resetCycles, 
+    markCyclicForeignKey,
+    isCyclicForeignKey, 
+    isSelfReference, 
+    applyDeferredUpdates,
+    pendingUpdateCount,
+    discardPendingUpdates
+} = require("./cycles");
+const { 
+    getRequiredColumns, 
+    getRandomRow,
+    findFKReference, 
+    findTableInDatabase,
+    analyzeTableStructure
+} = require("./queries");
+const { setDateRange } = require("./generateRandomValues");
+const { DEFAULT_OPTIONS } = require("./options");
+const { randomInt, sample, setSeed } = require("./random");
+const { setLocale } = require("./semanticValues");
+const { useConfig } = require("./config");
+const { startRecording, finishRecording } = require("./sqlScript");
+const { createRunId, buildManifest } = require("./manifest");
+const { getFillColumns } = require("./fill");
+const { resetIdentityValues, getExplicitIdentityColumns, syncIdentitySequences } = require("./identity");
+const { resetUniqueTracking } = require("./uniqueValues");
+const { 
+    beginTransaction, 
+    commitTransaction, 
+    rollbackTransaction, 
+    inTransaction,
+    withSavepoint,
+    isAborted, 
+    resetAbort 
+} = require("./transaction");
+const logger = require("./logger");
+
+// Escolhe uma linha do cache distribuindo as linhas entre todas as disponíveis
+function pickSpread(rows, index) {
+    return rows[index % rows.length];
+}
+
+// Calcula quantas linhas inserir e quais pais (fan-out) cada linha recebe
+function planMainRows(fkColumns, insertedRows, options) {
+    const { rows, perParent } = options;
+    
+    if (!perParent) {
+        return Array.from({ length: rows }, () => ({ parents: [] }));
+    }
+    
+    // O fan-out usa a primeira FK que possui IDs no cache
+    const parentColumn = fkColumns.find(fk => insertedRows.has(fk.targetTable));
+    
+    if (!parentColumn) {
+        logger.warn(`⚠️ Fan-out ignorado: nenhuma dependência com IDs no cache`);
+        return Array.from({ length: rows }, () => ({ parents: [] }));
+    }
+    
+    const plan = [];
+    for (const parentRow of insertedRows.get(parentColumn.targetTable)) {
+        const children = randomInt(perParent.min, perParent.max);
+        for (let i = 0; i < children; i++) {
+            plan.push({ parents: [{ fkName: parentColumn.fkName, row: parentRow }] });
+        }
+    }
+    
+    logger.info(`🌳 Fan-out: ${plan.length} linhas distribuídas entre ${insertedRows.get(parentColumn.targetTable).length} registros de ${parentColumn.targetTable}`);
+    return plan;
+}
+
+// Linhas de uma tabela filha: MIN-MAX por registro pai. Em tabelas de junção, cada
+// linha liga o pai a uma linha diferente do outro lado (pares distintos).
+function planChildRows(step, insertedRows) {
+    const parentRows = insertedRows.get(step.parent) || [];
+    const { min, max } = step.perParent;
+    const plan = [];
+    
+    if (parentRows.length === 0) {
+        logger.warn(`⚠️ Nenhuma linha de ${step.parent} inserida: ${step.key} ignorada`);
+        return plan;
+    }
+    
+    const others = step.junction ? insertedRows.get(step.junction.target) || [] : [];
+    if (step.junction && others.length < max) {
+        logger.warn(`⚠️ Apenas ${others.length} linha(s) de ${step.junction.target}: no máximo ${others.length} par(es) por registro pai`);
+    }
+    
+    for (const parentRow of parentRows) {
+        const parent = { fkName: step.parentForeignKey, row: parentRow };
+        const count = randomInt(min, max);
+        
+        if (step.junction) {
+            sample(others, count).forEach(other => {
+                plan.push({ parents: [parent, { fkName: step.junction.foreignKey, row: other }] });
+            });
+        } else {
+            for (let i = 0; i < count; i++) {
+                plan.push({ parents: [parent] });
+            }
+        }
+    }
+    
+    logger.info(`🌳 ${plan.length} linha(s) de ${step.key} distribuídas entre ${parentRows.length} registro(s) de ${step.parent}`);
+    return plan;
+}
+
+// Descobre as FKs das colunas uma única vez, antes de repetir os INSERTs
+async function describeForeignKeys(schema, table, requiredCols, insertedRows) {
+    const fkColumns = [];
+    
+    for (const col of requiredCols) {
+        const fkInfo = await findFKReference(schema, table, col.column_name);
+        
+        if (fkInfo) {
+            const targetTable = `${fkInfo.target_schema}.${fkInfo.target_table}`;
+            logger.debug(`🔍 FK detectado: ${col.column_name} -> ${targetTable}.${fkInfo.target_column}`);
+            
+            if (!insertedRows.has(targetTable) || insertedRows.get(targetTable).length === 0) {
+                logger.warn(`⚠️ Nenhum ID disponível no cache para ${targetTable}`);
+            }
+            fkColumns.push({
+                column: col.column_name,
+                fkName: fkInfo.fk_name,
+                targetTable,
+                targetSchema: fkInfo.target_schema,
+                targetName: fkInfo.target_table,
+                targetColumn: fkInfo.target_column,
+                targetColumns: fkInfo.target_columns,
+                fkInfo
+            });
+        }
+    }
+    
+    return fkColumns;
+}
+
+// Insere as linhas planejadas (rowPlan: [{ parents: [{ fkName, row }] }]) em schema.table
+async function insertPlannedRows(schema, table, requiredCols, fkColumns, rowPlan, insertedRows, options) {
+    const results = [];
+    logger.debug(`   📋 Inserindo ${rowPlan.length} linha(s) nas colunas: ${requiredCols.map(col => col.column_name).join(', ')}`);
+    
+    // Hierarquia (--levels): a FK autorreferenciada aponta para uma linha do nível anterior
+    const selfFk = fkColumns.find(fk => isCyclicForeignKey(fk.fkInfo) && isSelfReference(fk.fkInfo));
+    const levels = selfFk ? Math.min(options.levels || 1, rowPlan.length) : 1;
+    const levelRows = Array.from({ length: levels }, () => []);
+    if (levels > 1) {
+        logger.info(`🌲 Hierarquia: ${rowPlan.length} linha(s) em ${levels} níveis via ${selfFk.column}`);
+    }
+    
+    // Monta as linhas de cada nível depois que o nível anterior foi inserido
+    const buildRowAt = (rowIndex, level) => {
+        const { parents } = rowPlan[rowIndex];
+        const hierarchyParent = level > 0 && levelRows[level - 1].length > 0
+            ? pickSpread(levelRows[level - 1], rowIndex)
+            : null;
+        
+        const fkOf = col => fkColumns.find(item => item.column === col.column_name);
+        const isHierarchyFk = fk => Boolean(hierarchyParent) && fk.fkName === selfFk.fkName;
+        
+        return createRowBuilder(requiredCols, {
+            // FK que fecha um ciclo (raízes da hierarquia): NULL (ou provisória) agora, UPDATE depois
+            cyclicForeignKey: (col) => {
+                const fk = fkOf(col);
+                return fk && isCyclicForeignKey(fk.fkInfo) && !isHierarchyFk(fk) ? fk.fkInfo : null;
+            },
+            // Todas as colunas de uma FK (composta ou não) vêm da mesma linha referenciada
+            resolveForeignKey: async (col, chosenRows) => {
+                const fk = fkOf(col);
+                if (!fk) {
+                    return null;
+                }
+                
+                if (isHierarchyFk(fk)) {
+                    return rowValue(hierarchyParent, fk.targetColumn);
+                }
+                const parent = parents.find(item => item.fkName === fk.fkName);
+                if (parent) {
+                    return rowValue(parent.row, fk.targetColumn);
+                }
+                if (insertedRows.has(fk.targetTable) && insertedRows.get(fk.targetTable).length > 0) {
+                    // Usa linha do cache, espalhando as linhas entre as disponíveis
+                    return rowValue(pickSpread(insertedRows.get(fk.targetTable), rowIndex), fk.targetColumn);
+                }
+                
+                // Sem linhas nesta execução: usa uma linha já existente no banco
+                if (!chosenRows.has(fk.fkName)) {
+                    chosenRows.set(fk.fkName, await getRandomRow(fk.targetSchema, fk.targetName, fk.targetColumns));
+                }
+                const row = chosenRows.get(fk.fkName);
+                return row ? row[fk.targetColumn] : null;
+            }
+        });
+    };
+    
+    for (let level = 0; level < levels && !isAborted(); level++) {
+        const buildRows = [];
+        for (let rowIndex = 0; rowIndex < rowPlan.length; rowIndex++) {
+            if (Math.floor(rowIndex * levels / rowPlan.length) === level) {
+                buildRows.push(buildRowAt(rowIndex, level));
+            }
+        }
+        
+        const levelResults = await insertRows(schema, table, buildRows, options);
+        results.push(...levelResults);
+        levelResults.filter(result => result.success).forEach(result => levelRows[level].push(toCachedRow(result)));
+    }
+    
+    return results;
+}
+
+// Função inteligente para inserir na tabela principal
+async function insertMainTable(tableName, insertedRows, options = DEFAULT_OPTIONS) {
+    logger.info(`\n🎯 INSERINDO NA TABELA PRINCIPAL: ${tableName}`);
+    
+    const results = [];
+    
+    try {
+        // Descobre automaticamente onde está a tabela
+        const tableInfo = await findTableInDatabase(tableName, options.schema);
+        
+        if (!tableInfo) {
+            logger.error(`❌ Tabela '${tableName}' não encontrada no banco de dados`);
+            return results;
+        }
+        
+        const { schema, table } = tableInfo;
+        logger.debug(`✅ Tabela encontrada: ${schema}.${table}`);
+        
+        // Analisa a estrutura da tabela
+        const analysis = await analyzeTableStructure(schema, table);
+        logger.debug(`📊 Análise da tabela:`);
+        logger.debug(`   📋 Colunas obrigatórias: ${analysis.requiredColumns.length}`);
+        logger.debug(`   🔗 Colunas FK: ${analysis.fkColumns.length}`);
+        logger.debug(`   ⚡ Colunas auto-geradas: ${analysis.autoColumns.length}`);
+        
+        // Busca todas as colunas necessárias (obrigatórias + FKs importantes) e as opcionais do --fill
+        const requiredCols = [
+            ...await getRequiredColumns(schema, table),
+            ...await getExplicitIdentityColumns(schema, table, options),
+            ...await getFillColumns(schema, table, options)
+        ];
+        
+        // Só serial/identity/defaults: as linhas são inseridas com DEFAULT VALUES
+        if (requiredCols.length === 0) {
+            logger.info(`ℹ️ Nenhuma coluna precisa ser preenchida para ${schema}.${table}: linhas com os valores padrão`);
+        }
+        
+        const fkColumns = await describeForeignKeys(schema, table, requiredCols, insertedRows);
+        const rowPlan = planMainRows(fkColumns, insertedRows, options);
+        results.push(...await insertPlannedRows(schema, table, requiredCols, fkColumns, rowPlan, insertedRows, options));
+        
+    } catch (error) {
+        logger.error(`❌ Erro ao inserir na tabela principal ${tableName}:`, error.message);
+        results.push({ success: false, error: error.message });
+    }
+    
+    return results;
+}
+
+// Insere as linhas de uma tabela filha (etapa 'child' do plano) para cada registro pai
+async function insertChildTable(step, insertedRows, options = DEFAULT_OPTIONS) {
+    logger.info(`\n👶 INSERINDO NA TABELA FILHA: ${step.key} (${step.perParent.min}-${step.perParent.max} por registro de ${step.parent})`);
+    
+    const results = [];
+    
+    try {
+        const requiredCols = [
+            ...await getRequiredColumns(step.schema, step.table),
+            ...await getExplicitIdentityColumns(step.schema, step.table, options),
+            ...await getFillColumns(step.schema, step.table, options)
+        ];
+        const fkColumns = await describeForeignKeys(step.schema, step.table, requiredCols, insertedRows);
+        const rowPlan = planChildRows(step, insertedRows);
+        results.push(...await insertPlannedRows(step.schema, step.table, requiredCols, fkColumns, rowPlan, insertedRows, options));
+    } catch (error) {
+        logger.error(`❌ Erro ao inserir na tabela filha ${step.key}:`, error.message);
+        results.push({ success: false, error: error.message, table: step.key });
+    }
+    
+    return results;
+}
+
+// Resolve a política de falha: só aborta por padrão em --transaction sem --rollback
+function resolveOnError(options) {
+    if (options.onError) {
+        return options.onError;
+    }
+    return options.transaction && !options.rollback ? 'abort' : 'skip';
+}
+
+// Executa o fluxo completo: dependências (FASE 1) e tabela principal (FASE 2)
+async function seedTable(tableName, options = DEFAULT_OPTIONS) {
+    // O dry-run já gera o script entre BEGIN/COMMIT; --rollback implica transação
+    const useTransaction = !options.dryRun && Boolean(options.transaction || options.rollback);
+    options = { ...options, onError: resolveOnError(options) };
+    
+    // Limpa cache antes de começar
+    clearCache();
+    resetUniqueTracking();
+    resetCycles();
+    resetIdentityValues();
+    resetAbort();
+    
+    const seed = setSeed(options.seed);
+    setLocale(options.locale);
+    setDateRange(options.dates);
+    
+    const config = useConfig(options.config);
+    resetColumnMappings();
+    Object.entries(config.columnMappings).forEach(([source, target]) => addColumnMapping(source, target));
+    logger.info(`🎲 Seed: ${seed} (use --seed ${seed} para reproduzir estes dados)`);
+    
+    logger.info(`\n🎯 PROCESSANDO TABELA: ${tableName}`);
+    
+    // Verifica se a tabela existe
+    const tableInfo = await findTableInDatabase(tableName, options.schema);
+    if (!tableInfo) {
+        const location = options.schema ? ` no schema '${options.schema}'` : '';
+        logger.error(`❌ Tabela '${tableName}' não foi encontrada${location} no banco de dados`);
+        logger.info(`💡 Verifique o nome da tabela e tente novamente`);
+        return null;
+    }
+    
+    logger.info(`🔍 Montando o plano de inserção a partir das FKs...`);
+    const plan = await buildPlan(tableInfo, options);
+    
+    // FKs escolhidas pelo planner para quebrar os ciclos: NULL (ou provisórias) + UPDATE
+    plan.cycles.forEach(cycle => {
+        markCyclicForeignKey(cycle.sourceSchema, cycle.sourceTable, cycle.name);
+        logger.info(`🔁 Ciclo detectado: ${cycle.source} -> ${cycle.target} (FK ${cycle.name})`);
+    });
+    
+    if (options.dryRun) {
+        logger.info(`📝 Modo dry-run: os INSERTs serão gravados em um script SQL, sem alterar o banco`);
+        startRecording(`seed de ${tableInfo.schema}.${tableInfo.table}`);
+    }
+    
+    const summary = {
+        table: tableName,
+        runId: createRunId(),
+        dryRun: Boolean(options.dryRun),
+        sql: null,
+        seed,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        steps: plan.steps,   // Etapas do plano (tabelas planejadas, na ordem de inserção)
+        transaction: null,   // 'committed' | 'rolled back' quando roda em transação
+        aborted: false,
+        totalInserts: 0,
+        successfulInserts: 0,
+        failedInserts: 0,
+        updates: 0,          // UPDATEs que fecharam ciclos de FK
+        failedUpdates: 0,
+        mainTableCount: 0,
+        childTableCount: 0,  // Linhas inseridas nas tabelas filhas (--children)
+        manifest: null,      // Linhas criadas no banco, para o "mocktree cleanup" (ver manifest.js)
+        results: [],         // Resultado de cada INSERT (SQL, chave, tempo, erro)
+        updateResults: []    // Resultado de cada UPDATE de ciclo de FK
+    };
+    logger.setLogContext({ runId: summary.runId });
+    
+    if (useTransaction) {
+        await beginTransaction();
+    }
+    
+    try {
+        await runPhases(tableName, plan, options, summary);
+    } catch (error) {
+        if (useTransaction) {
+            await rollbackTransaction();
+        }
+        throw error;
+    }
+    
+    summary.aborted = isAborted();
+    
+    if (useTransaction) {
+        if (options.rollback) {
+            logger.info(`\n🧪 Modo --rollback: desfazendo tudo que foi inserido`);
+            await rollbackTransaction();
+            summary.transaction = 'rolled back';
+        } else if (summary.aborted || ((summary.failedInserts > 0 || summary.failedUpdates > 0) && options.onError !== 'skip')) {
+            logger.error(`\n🛑 Falhas durante o seed: desfazendo a transação inteira`);
+            await rollbackTransaction();
+            summary.transaction = 'rolled back';
+        } else {
+            await commitTransaction();
+            summary.transaction = 'committed';
+        }
+    }
+    
+    // --identity-values: setval não é desfeito por ROLLBACK, então só roda se os dados ficaram
+    if (summary.transaction !== 'rolled back') {
+        await syncIdentitySequences();
+    }
+    
+    if (options.dryRun) {
+        summary.sql = finishRecording();
+    } else if (summary.transaction !== 'rolled back') {
+        summary.manifest = await buildManifest(summary.runId, plan, summary.results, seed);
+    }
+    
+    summary.finishedAt = new Date().toISOString();
+    return summary;
+}
+
+// Contabiliza resultados de INSERT no resumo
+function trackResults(summary, results) {
+    summary.results.push(...results);
+    summary.totalInserts += results.length;
+    results.forEach(result => {
+        if (result.success) {
+            summary.successfulInserts++;
+        } else {
+            summary.failedInserts++;
+        }
+    });
+}
+
+// Guarda as linhas inseridas com sucesso para as etapas seguintes
+function cacheRows(insertedRows, results) {
+    results.forEach(result => {
+        if (result.success && result.table && (result.data || result.ref)) {
+            if (!insertedRows.has(result.table)) {
+                insertedRows.set(result.table, []);
+            }
+            insertedRows.get(result.table).push(toCachedRow(result));
+        }
+    });
+}
+
+// Insere uma etapa do plano (uma tabela). Com --transaction a etapa inteira fica num
+// SAVEPOINT: se uma linha falhar de vez, a tabela é desfeita e tentada de novo
+// (--retries); esgotadas as tentativas, --on-error skip a ignora e o seed continua.
+async function runStep(step, insert, options) {
+    if (!inTransaction()) {
+        return insert();
+    }
+    
+    const retries = options.retries || 0;
+    for (let attempt = 0; ; attempt++) {
+        const cached = cachedRowCount(step.key);
+        const pending = pendingUpdateCount();
+        const { success, results } = await withSavepoint(async () => {
+            const results = await insert();
+            return { success: results.every(result => result.success), results };
+        });
+        
+        if (success) {
+            return results;
+        }
+        
+        // As linhas desfeitas saem do cache e não recebem os UPDATEs de ciclo
+        discardCachedRows(step.key, cached);
+        discardPendingUpdates(pending);
+        
+        if (isAborted()) {
+            return results;
+        }
+        if (attempt < retries) {
+            logger.info(`🔁 ${step.key} desfeita até o SAVEPOINT: nova tentativa da tabela (${attempt + 1}/${retries})`);
+            continue;
+        }
+        
+        logger.warn(`⏭️ ${step.key} desfeita até o SAVEPOINT e ignorada`);
+        return results.map(result => result.success
+            ? { ...result, success: false, error: `desfeita com a tabela ${step.key} (--on-error skip)` }
+            : result);
+    }
+}
+
+// Executa as etapas do plano na ordem topológica: dependências (FASE 1), tabela principal (FASE 2)
+// e tabelas filhas (FASE 3). Tabelas que só dependem da principal (por um ciclo quebrado ou
+// por uma filha) vêm depois dela.
+async function runPhases(tableName, plan, options, summary) {
+    // Map para rastrear as linhas inseridas
+    const insertedRows = new Map();
+    const dependencies = plan.steps.filter(step => step.role === 'dependency');
+    
+    if (dependencies.length > 0) {
+        logger.info(`📊 Plano com ${dependencies.length} dependência(s): ${dependencies.map(step => step.key).join(', ')}`);
+    } else {
+        logger.info("ℹ️ Nenhuma dependência FK encontrada");
+    }
+    
+    let phase = 0;
+    for (const step of plan.steps) {
+        if (step.role === 'dependency' && phase === 0) {
+            phase = 1;
+            logger.info("\n🚀 FASE 1: Inserindo dependências...\n");
+        }
+        
+        if (step.role === 'target') {
+            phase = 2;
+            // FASE 2: Inserir na tabela principal
+            logger.info(`\n🚀 FASE 2: Inserindo na tabela principal...`);
+            const mainResults = await runStep(step, () => insertMainTable(tableName, insertedRows, options), options);
+            trackResults(summary, mainResults);
+            cacheRows(insertedRows, mainResults);
+            reportMainTable(summary, mainResults);
+        } else if (step.role === 'child') {
+            if (phase < 3) {
+                phase = 3;
+                logger.info(`\n🚀 FASE 3: Inserindo tabelas filhas...`);
+            }
+            const childResults = await runStep(step, () => insertChildTable(step, insertedRows, options), options);
+            trackResults(summary, childResults);
+            cacheRows(insertedRows, childResults);
+            summary.childTableCount += childResults.filter(result => result.success).length;
+        } else {
+            const deps = step.dependsOn.length > 0 ? ` (depende de ${step.dependsOn.join(', ')})` : '';
+            logger.info(`\n📋 Dependência: ${step.key}${deps}`);
+            
+            const results = await runStep(step, () => generateInsert(step, options), options);
+            trackResults(summary, results);
+            cacheRows(insertedRows, results);
+        }
+        
+        if (isAborted()) {
+            return;
+        }
+    }
+    
+    // Ciclos de FK: as colunas deixadas NULL (ou provisórias) recebem UPDATE agora
+    const updateResults = await applyDeferredUpdates(insertedRows);
+    summary.updateResults.push(...updateResults);
+    summary.updates += updateResults.filter(result => result.success).length;
+    summary.failedUpdates += updateResults.filter(result => !result.success).length;
+}
+
+// Resultado da tabela principal no console
+function reportMainTable(summary, mainResults) {
+    const mainSuccesses = mainResults.filter(result => result.success);
+    summary.mainTableCount = mainSuccesses.length;
+    
+    if (mainSuccesses.length > 0) {
+        logger.info(`🎉 Tabela principal inserida com sucesso! (${mainSuccesses.length}/${mainResults.length} linhas)`);
+        const ids = mainSuccesses.filter(result => result.id).map(result => result.id);
+        if (ids.length > 0) {
+            logger.debug(`   🆔 IDs gerados: ${ids.join(', ')}`);
+        }
+    }
+}
+
+// Relatório final no console
+function printReport(summary) {
+    const { table, runId, manifest, dryRun, transaction, aborted, totalInserts, successfulInserts, failedInserts, updates, failedUpdates, mainTableCount, childTableCount } = summary;
+    const action = dryRun ? "registrados no script" : "executados com sucesso";
+    
+    logger.info("\n" + "=".repeat(60));
+    logger.info("📊 RELATÓRIO FINAL");
+    logger.info("=".repeat(60));
+    logger.info(`🎯 Tabela alvo: ${table}`);
+    logger.info(`✅ INSERTs ${action}: ${successfulInserts}`);
+    logger.info(`❌ INSERTs com falha: ${failedInserts}`);
+    logger.info(`📈 Total processado: ${totalInserts}`);
+    if (updates > 0 || failedUpdates > 0) {
+        logger.info(`🔁 UPDATEs de ciclos de FK: ${updates}${failedUpdates > 0 ? ` (${failedUpdates} com falha)` : ''}`);
+    }
+    
+    if (successfulInserts > 0) {
+        const dependenciesCount = successfulInserts - mainTableCount - childTableCount;
+        
+        logger.info("\n🎊 RESUMO DOS SUCESSOS:");
+        if (dependenciesCount > 0) {
+            logger.info(`   📋 Dependências inseridas: ${dependenciesCount}`);
+        }
+        if (mainTableCount > 0) {
+            logger.info(`   🎯 Tabela principal inserida: ${mainTableCount}`);
+        }
+        if (childTableCount > 0) {
+            logger.info(`   👶 Tabelas filhas inseridas: ${childTableCount}`);
+        }
+        if (dryRun) {
+            logger.info(`\n📝 Total: ${successfulInserts} registros no script (nenhum dado gravado no banco)`);
+        } else if (transaction === 'rolled back') {
+            logger.info(`\n↩️ Total: ${successfulInserts} registros inseridos e desfeitos (ROLLBACK)`);
+        } else {
+            logger.info(`\n🚀 Total: ${successfulInserts} registros criados no banco!`);
+        }
+    }
+    
+    if (failedInserts > 0) {
+        logger.warn(`\n⚠️ Atenção: ${failedInserts} INSERTs falharam`);
+        logger.warn(`💡 Verifique os logs acima para detalhes dos erros`);
+    }
+    
+    if (aborted) {
+        logger.warn(`🛑 Seed interrompido na primeira falha definitiva (--on-error abort)`);
+    }
+    if (transaction) {
+        logger.info(`🔒 Transação: ${transaction === 'committed' ? 'COMMIT' : 'ROLLBACK'}`);
+    }
+    if (manifest) {
+        logger.info(`🧾 Execução: ${runId} (para remover estes dados: mocktree cleanup ${runId})`);
+    }
+    
+    logger.info("=".repeat(60));
+}
+
+module.exports = {
+    seedTable,
+    insertMainTable,
+    insertChildTable,
+    printReport
+};
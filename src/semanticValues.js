@@ -0,0 +1,258 @@
+const { randomInt, pick } = require("./random");
+const { defineState } = require("./context");
+
+// ========================
+// GERAÇÃO SEMÂNTICA (PELO NOME/COMENTÁRIO DA COLUNA)
+// ========================
+//
+// Antes de cair na geração por tipo, olha o nome da coluna (e o comentário,
+// se houver) para produzir e-mails, nomes, telefones, CPF/CNPJ válidos,
+// CEPs, URLs e endereços. As listas de palavras ficam em src/locales.
+
+const LOCALES = {
+    "pt-BR": require("./locales/pt-BR"),
+    "en": require("./locales/en")
+};
+
+const TEXT_TYPES = ["character varying", "varchar", "text", "character", "char", "citext"];
+
+// Locale no contexto da execução (ver context.js)
+const state = defineState("locale", () => ({ name: "pt-BR" }));
+
+function setLocale(name = "pt-BR") {
+    if (!LOCALES[name]) {
+        throw new Error(`Locale não suportado: '${name}' (disponíveis: ${Object.keys(LOCALES).join(', ')})`);
+    }
+    state().name = name;
+}
+
+function getLocale() {
+    return state().name;
+}
+
+function words() {
+    return LOCALES[getLocale()];
+}
+
+// Remove acentos e caracteres que não cabem em e-mails/URLs
+function slugify(text, separator = ".") {
+    const slug = text
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, separator);
+    return separator ? slug.split(separator).filter(Boolean).join(separator) : slug;
+}
+
+function digits(count) {
+    let result = "";
+    for (let i = 0; i < count; i++) {
+        result += randomInt(0, 9);
+    }
+    return result;
+}
+
+// ========================
+// DOCUMENTOS BRASILEIROS (COM DÍGITO VERIFICADOR)
+// ========================
+
+function checkDigit(numbers, weights) {
+    const sum = numbers.reduce((acc, n, i) => acc + n * weights[i], 0);
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+}
+
+function generateCPF() {
+    let base;
+    do {
+        base = digits(9).split("").map(Number);
+    } while (base.every(n => n === base[0])); // 111.111.111-xx é rejeitado pelos validadores
+
+    const d1 = checkDigit(base, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+    const d2 = checkDigit([...base, d1], [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+    const plain = [...base, d1, d2].join("");
+
+    return [
+        `${plain.slice(0, 3)}.${plain.slice(3, 6)}.${plain.slice(6, 9)}-${plain.slice(9)}`,
+        plain
+    ];
+}
+
+function generateCNPJ() {
+    const base = [...digits(8).split("").map(Number), 0, 0, 0, 1];
+    const d1 = checkDigit(base, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+    const d2 = checkDigit([...base, d1], [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+    const plain = [...base, d1, d2].join("");
+
+    return [
+        `${plain.slice(0, 2)}.${plain.slice(2, 5)}.${plain.slice(5, 8)}/${plain.slice(8, 12)}-${plain.slice(12)}`,
+        plain
+    ];
+}
+
+// ========================
+// GERADORES POR CATEGORIA
+// ========================
+// Cada gerador devolve candidatos do mais completo ao mais curto;
+// o primeiro que couber no tamanho da coluna é usado.
+
+function generatePerson() {
+    const { firstNames, lastNames } = words();
+    return { first: pick(firstNames), last: pick(lastNames), middle: pick(lastNames) };
+}
+
+const GENERATORS = {
+    fullName: () => {
+        const p = generatePerson();
+        return [`${p.first} ${p.middle} ${p.last}`, `${p.first} ${p.last}`, p.first];
+    },
+    firstName: () => [generatePerson().first],
+    lastName: () => [generatePerson().last],
+    email: () => {
+        const p = generatePerson();
+        const user = `${slugify(p.first)}.${slugify(p.last)}${randomInt(1, 999)}`;
+        const domain = pick(words().emailDomains);
+        return [`${user}@${domain}`, `${slugify(p.first)}${randomInt(1, 99)}@${domain}`];
+    },
+    username: () => {
+        const p = generatePerson();
+        return [`${slugify(p.first, "_")}_${slugify(p.last, "_")}${randomInt(1, 999)}`, `${slugify(p.first, "_")}${randomInt(1, 99)}`];
+    },
+    company: () => {
+        const { lastNames, companySuffixes } = words();
+        const name = `${pick(lastNames)} & ${pick(lastNames)}`;
+        return [`${name} ${pick(companySuffixes)}`, name, pick(lastNames)];
+    },
+    cpf: generateCPF,
+    cnpj: generateCNPJ,
+    phone: () => {
+        const { areaCode } = pick(words().cities);
+        if (getLocale() === "pt-BR") {
+            const number = `9${digits(8)}`;
+            return [
+                `(${areaCode}) ${number.slice(0, 5)}-${number.slice(5)}`,
+                `${areaCode}${number}`,
+                number
+            ];
+        }
+        // Faixa 555-01xx é reservada para números fictícios nos EUA
+        const line = `01${digits(2)}`;
+        return [`(${areaCode}) 555-${line}`, `${areaCode}555${line}`];
+    },
+    postalCode: () => {
+        const { postalPrefix } = pick(words().cities);
+        if (getLocale() === "pt-BR") {
+            const cep = `${postalPrefix}${digits(8 - postalPrefix.length)}`;
+            return [`${cep.slice(0, 5)}-${cep.slice(5)}`, cep];
+        }
+        return [`${postalPrefix}${digits(5 - postalPrefix.length)}`];
+    },
+    street: () => {
+        const { streetTypes, streetNames } = words();
+        return getLocale() === "pt-BR"
+            ? [`${pick(streetTypes)} ${pick(streetNames)}`]
+            : [`${pick(streetNames)} ${pick(streetTypes)}`];
+    },
+    address: () => {
+        const { streetTypes, streetNames } = words();
+        const number = randomInt(1, 3000);
+        return getLocale() === "pt-BR"
+            ? [`${pick(streetTypes)} ${pick(streetNames)}, ${number}`, `${pick(streetNames)}, ${number}`]
+            : [`${number} ${pick(streetNames)} ${pick(streetTypes)}`, `${number} ${pick(streetNames)}`];
+    },
+    neighborhood: () => [pick(words().neighborhoods)],
+    city: () => [pick(words().cities).city],
+    state: () => {
+        const place = pick(words().cities);
+        return [place.state, place.stateCode];
+    },
+    country: () => [words().country, words().countryCode],
+    url: () => {
+        const { words: list } = words();
+        const host = `${pick(list)}${pick(list)}`;
+        return [`https://www.${slugify(host)}.example.com/${pick(list)}`, `https://${slugify(host)}.example.com`];
+    }
+};
+
+// ========================
+// REGRAS DE DETECÇÃO
+// ========================
+// name: testado no nome normalizado (minúsculo, sem "_", sem acentos)
+// comment: testado no comentário da coluna
+
+const RULES = [
+    { kind: "email", name: /e?mail/, comment: /e-?mail/ },
+    { kind: "cpf", name: /cpf/, comment: /\bcpf\b/ },
+    { kind: "cnpj", name: /cnpj/, comment: /\bcnpj\b/ },
+    { kind: "postalCode", name: /^(cep|zip|zipcode|postalcode|codigopostal)$|cep$/, comment: /\bcep\b|c[oó]digo postal|zip code/ },
+    { kind: "phone", name: /telefone|celular|fone|phone|mobile|whatsapp/, comment: /telefone|celular|phone/ },
+    { kind: "url", name: /^(url|site|website|homepage|link)$|url$/, comment: /\burl\b|website/ },
+    { kind: "username", name: /^(username|login|usuario|apelido|nickname)$/, comment: /nome de usu[aá]rio|username|login/ },
+    { kind: "company", name: /razaosocial|nomefantasia|empresa|company|companyname/, comment: /raz[aã]o social|nome fantasia|empresa|company/ },
+    { kind: "firstName", name: /^(primeironome|firstname|prenome|givenname)$/, comment: /primeiro nome|first name/ },
+    { kind: "lastName", name: /^(sobrenome|ultimonome|lastname|surname|familyname)$/, comment: /sobrenome|last name|surname/ },
+    { kind: "fullName", name: /^(nome|name|fullname|nomecompleto|nomepessoa|nomecliente|nomeusuario|nomecontato|responsavel)$/, comment: /nome completo|full name|nome da pessoa/ },
+    { kind: "address", name: /^(endereco|address|enderecocompleto|fulladdress)$/, comment: /endere[cç]o|address/ },
+    { kind: "street", name: /logradouro|^rua$|street/, comment: /logradouro|street/ },
+    { kind: "neighborhood", name: /bairro|neighborhood|district/, comment: /\bbairro\b|neighborhood/ },
+    { kind: "city", name: /cidade|municipio|^city$/, comment: /cidade|munic[ií]pio|\bcity\b/ },
+    { kind: "state", name: /^(estado|uf|state|province)$/, comment: /\bestado\b|\buf\b|\bstate\b/ },
+    { kind: "country", name: /^(pais|country)$/, comment: /\bpa[ií]s\b|country/ }
+];
+
+function normalizeName(name) {
+    return slugify(String(name || ""), "");
+}
+
+// Descobre a categoria semântica da coluna (ou null)
+function detectKind(columnName, comment) {
+    const name = normalizeName(columnName);
+    const rule = RULES.find(r => r.name.test(name));
+    if (rule) {
+        return rule.kind;
+    }
+
+    if (comment) {
+        const text = String(comment).toLowerCase();
+        const byComment = RULES.find(r => r.comment.test(text));
+        if (byComment) {
+            return byComment.kind;
+        }
+    }
+
+    return null;
+}
+
+// Gera um valor realista para a coluna ou undefined quando não há regra aplicável
+function generateSemanticValue(column) {
+    const type = column.data_type?.toLowerCase();
+    if (!TEXT_TYPES.includes(type)) {
+        return undefined;
+    }
+
+    const kind = detectKind(column.column_name, column.column_comment);
+    if (!kind) {
+        return undefined;
+    }
+
+    const limit = column.data_limit || Infinity;
+    const candidates = GENERATORS[kind]();
+    const value = candidates.find(candidate => candidate.length <= limit);
+
+    // Nomes podem ser truncados; documentos e e-mails truncados seriam inválidos
+    if (value === undefined && ["fullName", "firstName", "lastName", "company", "city", "neighborhood"].includes(kind)) {
+        return candidates[candidates.length - 1].slice(0, limit);
+    }
+
+    return value;
+}
+
+module.exports = {
+    setLocale,
+    getLocale,
+    detectKind,
+    generateSemanticValue,
+    generateCPF,
+    generateCNPJ,
+    LOCALES
+};
@@ -0,0 +1,207 @@
+const { defineState } = require("./context");
+
+// ========================
+// MODO DRY-RUN: GERAÇÃO DE SCRIPT SQL
+// ========================
+//
+// Em vez de executar cada INSERT, registra os comandos em um único
+// WITH com CTEs ("r1", "r2", ...). As FKs que apontam para registros
+// criados no próprio script viram subconsultas à CTE correspondente,
+// então o encadeamento funciona sem depender do RETURNING no cliente.
+//
+// UPDATEs (ciclos de FK) não enxergam as linhas inseridas no mesmo WITH:
+// por isso rodam depois dele, lendo as linhas guardadas na tabela
+// temporária mocktree_refs.
+
+// Gravação no contexto da execução (ver context.js):
+// { title, inserts: [], updates: [], deferred: [], sequences: [] } enquanto o dry-run estiver ativo
+const state = defineState("sqlScript", () => ({ recording: null }));
+
+function startRecording(title) {
+    state().recording = { title, inserts: [], updates: [], deferred: [], sequences: [] };
+}
+
+function isRecording() {
+    return state().recording !== null;
+}
+
+// Encerra a gravação e devolve o script completo
+function finishRecording() {
+    const script = renderScript(state().recording);
+    state().recording = null;
+    return script;
+}
+
+// Escapa identificadores
+function quoteIdent(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Converte um valor JS em literal SQL
+function formatLiteral(val) {
+    if (val === null || val === undefined) {
+        return "NULL";
+    }
+    if (typeof val === "object" && val.raw) {
+        return val.raw;
+    }
+    if (typeof val === "number") {
+        return Number.isFinite(val) ? String(val) : `'${val}'`;
+    }
+    if (typeof val === "bigint") {
+        return val.toString();
+    }
+    if (typeof val === "boolean") {
+        return val ? "TRUE" : "FALSE";
+    }
+    if (val instanceof Date) {
+        return `'${val.toISOString()}'`;
+    }
+    if (typeof val === "object") {
+        return `'${JSON.stringify(val).replace(/'/g, "''")}'`;
+    }
+    return `'${String(val).replace(/'/g, "''")}'`;
+}
+
+// Registra um INSERT e devolve as referências às colunas da PK, usadas pelas FKs seguintes
+// (overriding: valores explícitos em colunas GENERATED ALWAYS AS IDENTITY)
+function recordInsert(schema, table, columns, values, keyColumns = [], overriding = false) {
+    const { recording } = state();
+    const name = `r${recording.inserts.length + 1}`;
+    const target = `${quoteIdent(schema)}.${quoteIdent(table)}`;
+    const sql = columns.length === 0
+        ? `INSERT INTO ${target} DEFAULT VALUES RETURNING *`
+        : `INSERT INTO ${target} (${columns.map(quoteIdent).join(", ")})${overriding ? " OVERRIDING SYSTEM VALUE" : ""} VALUES (${values.map(formatLiteral).join(", ")}) RETURNING *`;
+
+    recording.inserts.push({ name, schema, table, sql });
+
+    return {
+        name,
+        sql,
+        key: keyColumns.length > 0 ? Object.fromEntries(keyColumns.map(column => [column, columnRef(name, column)])) : null
+    };
+}
+
+// Valor de uma coluna de um INSERT anterior do script: (SELECT "coluna" FROM rN)
+function columnRef(name, column) {
+    const ref = `(SELECT ${quoteIdent(column)} FROM ${name})`;
+    return { raw: ref, ref: name, column, toString: () => ref };
+}
+
+// Registra um UPDATE executado depois do WITH; referências a rN são lidas de mocktree_refs
+function recordUpdate(schema, table, setColumns, setValues, keyColumns, keyValues) {
+    const { recording } = state();
+    const update = { schema, table, setColumns, setValues, keyColumns, keyValues };
+    recording.updates.push(update);
+    return { sql: renderUpdate(recording, update) };
+}
+
+// Registra o setval que ressincroniza a sequência de uma coluna identity no final do script
+function recordSequenceSync(sql) {
+    const { recording } = state();
+    if (!recording.sequences.includes(sql)) {
+        recording.sequences.push(sql);
+    }
+}
+
+// Registra uma constraint DEFERRABLE que deve ser adiada no início do script
+function recordDeferredConstraint(schema, name) {
+    const { recording } = state();
+    const statement = `SET CONSTRAINTS ${quoteIdent(schema)}.${quoteIdent(name)} DEFERRED;`;
+    if (!recording.deferred.includes(statement)) {
+        recording.deferred.push(statement);
+    }
+}
+
+function formatUpdateValue(state, val) {
+    if (val && typeof val === "object" && val.ref) {
+        const insert = state.inserts.find(item => item.name === val.ref);
+        const rowType = `${quoteIdent(insert.schema)}.${quoteIdent(insert.table)}`;
+        return `(SELECT (jsonb_populate_record(NULL::${rowType}, row)).${quoteIdent(val.column)} FROM mocktree_refs WHERE ref = '${val.ref}')`;
+    }
+    return formatLiteral(val);
+}
+
+function renderUpdate(state, update) {
+    const { schema, table, setColumns, setValues, keyColumns, keyValues } = update;
+    const assignments = setColumns.map((column, i) => `${quoteIdent(column)} = ${formatUpdateValue(state, setValues[i])}`);
+    const conditions = keyColumns.map((column, i) => `${quoteIdent(column)} = ${formatUpdateValue(state, keyValues[i])}`);
+    return `UPDATE ${quoteIdent(schema)}.${quoteIdent(table)} SET ${assignments.join(", ")} WHERE ${conditions.join(" AND ")};`;
+}
+
+// CTEs cujas linhas os UPDATEs precisam ler
+function referencedInserts(state) {
+    const names = new Set();
+    for (const update of state.updates) {
+        [...update.setValues, ...update.keyValues]
+            .filter(val => val && typeof val === "object" && val.ref)
+            .forEach(val => names.add(val.ref));
+    }
+    return state.inserts.filter(insert => names.has(insert.name)).map(insert => insert.name);
+}
+
+function renderScript(state) {
+    const lines = [
+        `-- MockTree: ${state.title}`,
+        `-- Gerado em ${new Date().toISOString()}`,
+        `-- ${state.inserts.length} INSERT(s) em ordem de dependência`,
+        ""
+    ];
+
+    if (state.inserts.length === 0) {
+        lines.push("-- Nenhum INSERT foi gerado");
+        return lines.join("\n") + "\n";
+    }
+
+    const refs = referencedInserts(state);
+
+    lines.push("BEGIN;", "");
+    if (state.deferred.length > 0) {
+        lines.push("-- FKs DEFERRABLE de ciclos: verificadas só no COMMIT", ...state.deferred, "");
+    }
+    if (refs.length > 0) {
+        lines.push("CREATE TEMP TABLE mocktree_refs (ref text PRIMARY KEY, row jsonb) ON COMMIT DROP;", "");
+    }
+
+    lines.push("WITH");
+    state.inserts.forEach((insert, i) => {
+        const separator = i < state.inserts.length - 1 || refs.length > 0 ? "," : "";
+        lines.push(`-- ${insert.schema}.${insert.table}`);
+        lines.push(`${insert.name} AS (`);
+        lines.push(`    ${insert.sql}`);
+        lines.push(`)${separator}`);
+    });
+    if (refs.length > 0) {
+        lines.push("-- Linhas usadas pelos UPDATEs dos ciclos de FK");
+        lines.push("mocktree_keys AS (");
+        lines.push("    INSERT INTO mocktree_refs (ref, row)");
+        lines.push(refs.map(name => `    SELECT '${name}', to_jsonb(${name}) FROM ${name}`).join("\n    UNION ALL\n"));
+        lines.push(")");
+    }
+    lines.push(`SELECT ${state.inserts.length} AS mocktree_inserts;`, "");
+
+    if (state.updates.length > 0) {
+        lines.push("-- Fecha os ciclos de FK");
+        state.updates.forEach(update => lines.push(renderUpdate(state, update)));
+        lines.push("");
+    }
+    if (state.sequences.length > 0) {
+        lines.push("-- Ressincroniza as sequências das colunas identity", ...state.sequences, "");
+    }
+    lines.push("COMMIT;");
+
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    startRecording,
+    isRecording,
+    finishRecording,
+    recordInsert,
+    recordUpdate,
+    recordDeferredConstraint,
+    recordSequenceSync,
+    columnRef,
+    formatLiteral,
+    quoteIdent
+};
@@ -0,0 +1,93 @@
+const { client } = require("./db");
+const { defineState } = require("./context");
+const logger = require("./logger");
+
+// ========================
+// TRANSAÇÃO E SAVEPOINTS
+// ========================
+//
+// Com --transaction todo o seed roda entre BEGIN e COMMIT. Cada tabela
+// (etapa do plano) e cada INSERT dentro dela ficam num SAVEPOINT: se um
+// INSERT falhar, apenas ele é desfeito (para nova tentativa); se falhar de
+// vez, a tabela inteira é desfeita e pode ser tentada de novo ou pulada.
+
+// Estado da transação no contexto da execução (ver context.js)
+const state = defineState("transaction", () => ({
+    active: false,      // BEGIN executado e ainda sem COMMIT/ROLLBACK
+    savepointCount: 0,
+    aborted: false      // Uma falha definitiva pediu a interrupção do seed
+}));
+
+async function beginTransaction() {
+    await client.query("BEGIN");
+    Object.assign(state(), { active: true, savepointCount: 0, aborted: false });
+    logger.info("🔒 Transação iniciada (BEGIN)");
+}
+
+async function commitTransaction() {
+    if (!state().active) return;
+    await client.query("COMMIT");
+    state().active = false;
+    logger.info("✅ Transação confirmada (COMMIT)");
+}
+
+async function rollbackTransaction() {
+    if (!state().active) return;
+    await client.query("ROLLBACK");
+    state().active = false;
+    logger.info("↩️ Transação desfeita (ROLLBACK)");
+}
+
+function inTransaction() {
+    return state().active;
+}
+
+// Executa fn dentro de um SAVEPOINT, desfazendo só o trecho dele se result.success for falso
+async function withSavepoint(fn) {
+    if (!state().active) {
+        return fn();
+    }
+
+    const name = `mocktree_sp_${++state().savepointCount}`;
+    await client.query(`SAVEPOINT ${name}`);
+
+    const result = await fn();
+
+    if (result && result.success) {
+        await client.query(`RELEASE SAVEPOINT ${name}`);
+    } else {
+        await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+    }
+
+    return result;
+}
+
+// Adia a verificação de uma FK DEFERRABLE até o COMMIT
+async function deferConstraint(schema, name) {
+    await client.query(`SET CONSTRAINTS "${schema}"."${name}" DEFERRED`);
+}
+
+// Sinaliza que o seed deve parar (--on-error abort)
+function abortRun() {
+    state().aborted = true;
+}
+
+function isAborted() {
+    return state().aborted;
+}
+
+function resetAbort() {
+    state().aborted = false;
+}
+
+module.exports = {
+    beginTransaction,
+    commitTransaction,
+    rollbackTransaction,
+    inTransaction,
+    withSavepoint,
+    deferConstraint,
+    abortRun,
+    isAborted,
+    resetAbort
+};
@@ -0,0 +1,231 @@
+const { getUniqueConstraints, findExistingValues } = require("./queries");
+const { withSavepoint } = require("./transaction");
+const { defineState } = require("./context");
+const logger = require("./logger");
+
+// ========================
+// UNICIDADE (UNIQUE E PRIMARY KEY)
+// ========================
+//
+// Valores aleatórios curtos (varchar(3), smallint...) colidem com facilidade.
+// Antes do INSERT, a combinação de valores de cada constraint UNIQUE é
+// comparada com as já geradas nesta execução e com as existentes na tabela
+// (uma consulta por lote); se repetir, as colunas da constraint são regeradas.
+
+// Controle no contexto da execução (ver context.js)
+const state = defineState("uniqueValues", () => ({
+    constraints: new Map(), // "schema.table" -> [{ name, primary, columns }]
+    generated: new Map()    // "schema.table.constraint" -> Set de combinações já usadas
+}));
+
+// Limpa o controle (início de cada execução)
+function resetUniqueTracking() {
+    state().constraints.clear();
+    state().generated.clear();
+}
+
+async function loadUniqueConstraints(schema, table) {
+    const constraintsCache = state().constraints;
+    const key = `${schema}.${table}`;
+    if (!constraintsCache.has(key)) {
+        const constraints = await getUniqueConstraints(schema, table);
+        if (constraints.length > 0) {
+            logger.debug(`🔑 Constraints UNIQUE em ${key}: ${constraints.map(c => `${c.name} (${c.columns.join(', ')})`).join('; ')}`);
+        }
+        constraintsCache.set(key, constraints);
+    }
+    return constraintsCache.get(key);
+}
+
+function usedValues(schema, table, constraint) {
+    const { generated } = state();
+    const key = `${schema}.${table}.${constraint.name}`;
+    if (!generated.has(key)) {
+        generated.set(key, new Set());
+    }
+    return generated.get(key);
+}
+
+// NULL não conflita em UNIQUE; valores SQL crus (NOW(), subselects do dry-run) não podem ser comparados
+function isComparable(value) {
+    return value !== null && value !== undefined && !(typeof value === "object" && value.raw);
+}
+
+function tupleKey(values) {
+    return JSON.stringify(values.map(value => (value instanceof Date ? value.toISOString() : String(value))));
+}
+
+// Posições das colunas da constraint na linha, ou null se alguma coluna não é gerada
+// (colunas com default, como serial e identity, já são únicas)
+function columnIndexes(constraint, row) {
+    const indexes = constraint.columns.map(column => row.columns.indexOf(column));
+    return indexes.includes(-1) ? null : indexes;
+}
+
+// Quais combinações já existem na tabela (uma consulta para o lote inteiro)
+async function existingInTable(schema, table, columns, tuples) {
+    if (tuples.length === 0) {
+        return [];
+    }
+    // Dentro de transação, um erro no SELECT abortaria o seed inteiro: isola num SAVEPOINT
+    const result = await withSavepoint(async () => {
+        try {
+            return { success: true, found: await findExistingValues(schema, table, columns, tuples) };
+        } catch (error) {
+            logger.debug(`⚠️ Não foi possível consultar os valores de ${columns.join(', ')} em ${schema}.${table}: ${error.message}`);
+            return { success: false, found: tuples.map(() => false) };
+        }
+    });
+    return result.found;
+}
+
+// Regera as colunas da constraint na linha; false quando nenhuma pode ser regerada (FKs)
+async function regenerateColumns(row, indexes) {
+    let changed = false;
+    for (const i of indexes) {
+        const value = row.regenerate ? await row.regenerate(row.columns[i]) : undefined;
+        if (value !== undefined) {
+            row.values[i] = value;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+// Verifica uma constraint nas linhas pendentes (as demais do lote só ocupam as combinações delas).
+// Cada rodada consulta o banco uma vez e regera só as linhas repetidas.
+// Devolve { unique, regenerated }: as linhas que receberam novos valores.
+async function checkConstraint(schema, table, constraint, rows, pending, maxAttempts) {
+    const used = usedValues(schema, table, constraint);
+    const taken = new Set();   // Combinações já vistas neste lote (aceitas ou existentes na tabela)
+    const regenerated = new Set();
+    let unique = true;
+
+    // Linhas já verificadas e não alteradas desde então: continuam válidas
+    const pendingRows = new Set(pending);
+    for (const row of rows) {
+        const indexes = !pendingRows.has(row) && columnIndexes(constraint, row);
+        const values = indexes ? indexes.map(i => row.values[i]) : null;
+        if (values && values.every(isComparable)) {
+            taken.add(tupleKey(values));
+        }
+    }
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+        const candidates = [];
+        const repeated = [];
+
+        for (const row of pending) {
+            const indexes = columnIndexes(constraint, row);
+            if (!indexes) continue;
+
+            const values = indexes.map(i => row.values[i]);
+            if (!values.every(isComparable)) continue;
+
+            const key = tupleKey(values);
+            if (used.has(key) || taken.has(key)) {
+                repeated.push(row);
+            } else {
+                taken.add(key);
+                candidates.push({ row, key, values });
+            }
+        }
+
+        const found = await existingInTable(schema, table, constraint.columns, candidates.map(candidate => candidate.values));
+        candidates.forEach((candidate, i) => {
+            if (found[i]) {
+                // Já existe na tabela: a combinação continua ocupada, a linha é regerada
+                repeated.push(candidate.row);
+            }
+        });
+
+        if (repeated.length === 0) break;
+
+        if (attempt >= maxAttempts) {
+            logger.warn(`⚠️ Não foi possível gerar valor único para ${constraint.name} em ${repeated.length} linha(s) após ${maxAttempts} tentativa(s)`);
+            unique = false;
+            break;
+        }
+
+        pending = [];
+        for (const row of repeated) {
+            if (await regenerateColumns(row, columnIndexes(constraint, row))) {
+                regenerated.add(row);
+                pending.push(row);
+            }
+        }
+        if (pending.length < repeated.length) {
+            logger.warn(`⚠️ ${constraint.name} repetida e formada só por FKs: não há valor para regerar`);
+            unique = false;
+        }
+    }
+
+    return { unique, regenerated };
+}
+
+// Ajusta as linhas { columns, values, regenerate } de um lote para não repetirem nenhuma
+// constraint UNIQUE (entre si, com as já geradas nesta execução e com as da tabela).
+// Regerar colunas para uma constraint pode repetir outra que tenha colunas em comum
+// (ex.: UNIQUE(a) e UNIQUE(a, b)): as linhas regeradas voltam a ser verificadas nessas
+// constraints, até uma passada sem regerar nada (no máximo maxAttempts passadas extras).
+// regenerate(coluna) devolve um novo valor (ou uma promise com ele), ou undefined quando a coluna
+// não pode ser regerada (FKs).
+async function ensureUniqueRows(schema, table, rows, maxAttempts) {
+    const constraints = await loadUniqueConstraints(schema, table);
+    // Linhas a verificar em cada constraint: todas na primeira passada
+    const pending = new Map(constraints.map(constraint => [constraint, rows]));
+    let unique = true;
+
+    for (let pass = 0; constraints.some(constraint => pending.get(constraint).length > 0); pass++) {
+        if (pass > maxAttempts) {
+            logger.warn(`⚠️ Valores únicos de ${schema}.${table} ainda conflitam entre constraints após ${maxAttempts} passada(s)`);
+            return false;
+        }
+
+        for (const constraint of constraints) {
+            const rowsToCheck = pending.get(constraint);
+            if (rowsToCheck.length === 0) continue;
+            pending.set(constraint, []);
+
+            const result = await checkConstraint(schema, table, constraint, rows, rowsToCheck, maxAttempts);
+            unique = unique && result.unique;
+            if (result.regenerated.size === 0) continue;
+
+            // As constraints com colunas em comum precisam ver os novos valores
+            for (const other of constraints) {
+                if (other !== constraint && other.columns.some(column => constraint.columns.includes(column))) {
+                    const merged = new Set([...pending.get(other), ...result.regenerated]);
+                    pending.set(other, [...merged]);
+                }
+            }
+        }
+    }
+
+    return unique;
+}
+
+// Uma linha (inserção linha a linha)
+function ensureUniqueRow(schema, table, row, maxAttempts) {
+    return ensureUniqueRows(schema, table, [row], maxAttempts);
+}
+
+// Registra os valores de uma linha inserida com sucesso
+function rememberRow(schema, table, row) {
+    for (const constraint of state().constraints.get(`${schema}.${table}`) || []) {
+        const indexes = columnIndexes(constraint, row);
+        if (!indexes) continue;
+
+        const values = indexes.map(i => row.values[i]);
+        if (values.every(isComparable)) {
+            usedValues(schema, table, constraint).add(tupleKey(values));
+        }
+    }
+}
+
+module.exports = {
+    resetUniqueTracking,
+    loadUniqueConstraints,
+    ensureUniqueRow,
+    ensureUniqueRows,
+    rememberRow
+};
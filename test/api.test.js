@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PGlite } = require("@electric-sql/pglite");
+const { createTestDatabase, pgliteClient } = require("./helpers/database");
+const { createMockTree } = require("../src/api");
+
+describe("createMockTree", () => {
+    let database;
+    before(async () => { database = await createTestDatabase("composite"); });
+    after(async () => { await database.close(); });
+
+    it("devolve as linhas criadas agrupadas por tabela e aplica os overrides", async () => {
+        const mt = createMockTree({ client: pgliteClient(database.db) });
+        const rows = await mt.seed("venda", {
+            rows: 3,
+            overrides: { quantidade: 7, "loja.nome": () => "Loja Teste" }
+        });
+
+        assert.deepEqual(Object.keys(rows).sort(), ["public.loja", "public.produto", "public.venda"]);
+        assert.equal(rows["public.venda"].length, 3);
+        assert.ok(rows["public.venda"].every(row => row.quantidade === 7));
+        assert.equal(rows["public.loja"][0].nome, "Loja Teste");
+
+        assert.deepEqual(await mt.cleanup(), { deleted: 5 });
+        assert.equal(await database.count("venda"), 0);
+    });
+
+    it("rejeita a promise e desfaz tudo quando um INSERT falha", async () => {
+        const mt = createMockTree({ client: pgliteClient(database.db) });
+
+        await assert.rejects(mt.seed("venda", { overrides: { quantidade: 50 } }), error => {
+            assert.match(error.message, /check constraint/);
+            assert.equal(error.summary.transaction, "rolled back");
+            return true;
+        });
+        assert.equal(await database.count("loja"), 0);
+    });
+
+    it("mantém conexão e estado separados por instância", async () => {
+        const other = new PGlite();
+        await other.exec("CREATE TABLE loja (codigo varchar(4) PRIMARY KEY, cidade varchar(30) NOT NULL);");
+
+        const first = createMockTree({ client: pgliteClient(database.db) });
+        const second = createMockTree({ client: pgliteClient(other), config: { columns: { "loja.cidade": { value: "Recife" } } } });
+
+        const [a, b] = await Promise.all([first.seed("loja", { rows: 2 }), second.seed("loja", { rows: 2 })]);
+
+        assert.ok(a["public.loja"].every(row => typeof row.id === "number"));
+        assert.deepEqual(b["public.loja"].map(row => row.cidade), ["Recife", "Recife"]);
+        assert.equal((await other.query("SELECT count(*)::int AS n FROM loja")).rows[0].n, 2);
+
+        await first.cleanup();
+        await second.cleanup();
+        await other.close();
+    });
+
+    it("roda um seed de outra instância dentro de um generate assíncrono", async () => {
+        const other = new PGlite();
+        await other.exec("CREATE TABLE cidade (id serial PRIMARY KEY, nome varchar(30) NOT NULL);");
+        const cities = createMockTree({ client: pgliteClient(other), config: { columns: { "cidade.nome": { value: "Recife" } } } });
+        const mt = createMockTree({ client: pgliteClient(database.db) });
+
+        const rows = await mt.seed("loja", {
+            rows: 2,
+            overrides: {
+                nome: async () => {
+                    const created = (await cities.seed("cidade"))["public.cidade"][0];
+                    return `Loja ${created.nome} ${created.id}`;
+                }
+            }
+        });
+
+        assert.deepEqual(rows["public.loja"].map(row => row.nome).sort(), ["Loja Recife 1", "Loja Recife 2"]);
+        assert.equal((await other.query("SELECT count(*)::int AS n FROM cidade")).rows[0].n, 2);
+
+        await mt.cleanup();
+        await other.close();
+    });
+
+    it("não mistura o PRNG de seeds simultâneos", async () => {
+        const databases = [new PGlite(), new PGlite()];
+        for (const db of databases) {
+            await db.exec("CREATE TABLE cliente (id serial PRIMARY KEY, nome varchar(60) NOT NULL, email varchar(80) NOT NULL);");
+        }
+        const instances = databases.map(db => createMockTree({ client: pgliteClient(db) }));
+
+        const [a, b] = await Promise.all(instances.map(mt => mt.seed("cliente", { rows: 5, seed: "mesma", batchSize: 1 })));
+
+        assert.deepEqual(a["public.cliente"], b["public.cliente"]);
+        await Promise.all(databases.map(db => db.close()));
+    });
+
+    it("recusa chamar a própria instância dentro de um generate (conexão única)", async () => {
+        const mt = createMockTree({ client: pgliteClient(database.db) });
+
+        await assert.rejects(mt.seed("loja", { overrides: { nome: () => mt.seed("loja") } }), /dentro de outra chamada/);
+        assert.equal(await database.count("loja"), 0);
+    });
+
+    it("recusa bancos que casam com productionPatterns", async () => {
+        const client = { ...pgliteClient(database.db), host: "localhost", database: "loja_prod" };
+        const mt = createMockTree({ client, config: { productionPatterns: ["prod"] } });
+
+        await assert.rejects(mt.seed("loja"), /produção/);
+        assert.equal(await database.count("loja"), 0);
+    });
+});
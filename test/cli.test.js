@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("../src/db");
+const { createTestDatabase } = require("./helpers/database");
+
+// A CLI abre o pool com connect(); nos testes, a conexão ativa já é o banco PGlite do helper
+db.connect = async () => {};
+const { runCli, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } = require("../src/cli");
+
+describe("códigos de saída da CLI", () => {
+    let database;
+    let dir;
+    before(async () => {
+        database = await createTestDatabase("enums");
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "mocktree-cli-"));
+    });
+    after(async () => {
+        await database.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Seed silencioso, com os manifestos no diretório temporário
+    const cli = (...args) => runCli([...args, "--quiet", "--manifest-dir", path.join(dir, "runs")]);
+
+    it("0 quando todos os INSERTs dão certo", async () => {
+        assert.equal(await cli("seed", "pedido", "--rows", "3", "--seed", "testes"), EXIT_OK);
+        assert.equal(await database.count("pedido"), 3);
+    });
+
+    it("0 na ajuda", async () => {
+        assert.equal(await cli("help"), EXIT_OK);
+    });
+
+    it("1 quando a tabela não existe, com o relatório da falha", async () => {
+        const report = path.join(dir, "nao_existe.json");
+
+        assert.equal(await cli("seed", "nao_existe", "--report", report), EXIT_FAILURE);
+        const saved = JSON.parse(fs.readFileSync(report, "utf8"));
+        assert.equal(saved.target, "nao_existe");
+        assert.match(saved.error, /não encontrada/);
+    });
+
+    it("1 quando algum INSERT falha", async () => {
+        const config = path.join(dir, "mocktree.config.json");
+        fs.writeFileSync(config, JSON.stringify({ columns: { "pedido.prioridade": { value: 9 } } }));
+        const before = await database.count("pedido");
+
+        assert.equal(await cli("seed", "pedido", "--rows", "2", "--config", config, "--transaction"), EXIT_FAILURE);
+        assert.equal(await database.count("pedido"), before);
+    });
+
+    it("2 para opções inválidas", async () => {
+        assert.equal(await cli("seed", "pedido", "--linhas", "3"), EXIT_USAGE);
+        assert.equal(await cli("seed", "pedido", "--rows", "0"), EXIT_USAGE);
+        assert.equal(await cli("seed", "pedido", "--verbose"), EXIT_USAGE);
+        assert.equal(await cli("seed", "pedido", "--dry-run=nao"), EXIT_USAGE);
+    });
+
+    it("2 com mais de uma tabela", async () => {
+        assert.equal(await cli("seed", "pedido", "cliente"), EXIT_USAGE);
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveConnection, assertNotProduction } = require("../src/connection");
+
+const ENV_KEYS = ["DATABASE_URL", "DB_HOST", "DB_USER", "DB_PASS", "DB_NAME", "DB_PORT", "DB_SSL", "DB_SSL_CA",
+    "DB_SSL_REJECT_UNAUTHORIZED", "DB_POOL_SIZE", "MOCKTREE_ENV", "SENHA_TESTE"];
+
+describe("resolveConnection", () => {
+    let saved;
+    beforeEach(() => {
+        saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+        ENV_KEYS.forEach(key => delete process.env[key]);
+    });
+    afterEach(() => {
+        ENV_KEYS.forEach(key => saved[key] === undefined ? delete process.env[key] : process.env[key] = saved[key]);
+    });
+
+    it("usa as variáveis DB_* sem SSL por padrão", () => {
+        Object.assign(process.env, { DB_HOST: "localhost", DB_USER: "app", DB_NAME: "loja", DB_PORT: "5433" });
+
+        const connection = resolveConnection({}, {});
+        assert.equal(connection.name, "DB_*");
+        assert.deepEqual(connection.pg, { host: "localhost", user: "app", password: undefined, database: "loja", port: 5433, ssl: undefined });
+        assert.equal(connection.poolSize, 4);
+    });
+
+    it("prefere DATABASE_URL e aceita SSL sem validar o certificado", () => {
+        Object.assign(process.env, { DATABASE_URL: "postgres://app@db/loja", DB_HOST: "ignorado", DB_SSL: "no-verify" });
+
+        const connection = resolveConnection({ poolSize: 2 }, {});
+        assert.deepEqual(connection.pg, { connectionString: "postgres://app@db/loja", ssl: { rejectUnauthorized: false } });
+        assert.equal(connection.poolSize, 2);
+    });
+
+    it("lê o perfil de --env, com ${VARIAVEL} e CA relativa ao arquivo de configuração", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mocktree-"));
+        fs.writeFileSync(path.join(dir, "ca.pem"), "-----BEGIN CERTIFICATE-----\nteste\n-----END CERTIFICATE-----\n");
+        process.env.SENHA_TESTE = "s3gr3d0";
+
+        const config = {
+            file: path.join(dir, "mocktree.config.yaml"),
+            environments: {
+                "staging-copy": { host: "staging", database: "loja", password: "${SENHA_TESTE}", ssl: { ca: "./ca.pem" }, poolSize: 8 }
+            }
+        };
+        const connection = resolveConnection({ env: "staging-copy" }, config);
+
+        assert.equal(connection.name, "staging-copy");
+        assert.equal(connection.pg.password, "s3gr3d0");
+        assert.equal(connection.pg.ssl.rejectUnauthorized, true);
+        assert.match(connection.pg.ssl.ca, /BEGIN CERTIFICATE/);
+        assert.equal(connection.poolSize, 8);
+
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    it("recusa perfis inexistentes, chaves desconhecidas e variáveis não definidas", () => {
+        const config = { environments: { local: { host: "localhost", senha: "x" }, dev: { url: "${NAO_DEFINIDA_MOCKTREE}" } } };
+
+        assert.throws(() => resolveConnection({ env: "prod" }, config), /disponíveis: local, dev/);
+        assert.throws(() => resolveConnection({ env: "local" }, config), /chave\(s\) desconhecida\(s\) senha/);
+        assert.throws(() => resolveConnection({ env: "dev" }, config), /NAO_DEFINIDA_MOCKTREE não definida/);
+    });
+});
+
+describe("assertNotProduction", () => {
+    const config = { productionPatterns: ["prod", "\\.rds\\.amazonaws\\.com$"] };
+
+    it("recusa bancos cujo nome ou host casa com algum padrão", () => {
+        assert.throws(() => assertNotProduction({ host: "localhost", database: "loja_PROD" }, config), /banco 'loja_PROD'/);
+        assert.throws(() => assertNotProduction({ host: "loja.abc.rds.amazonaws.com", database: "loja" }, config), /host/);
+    });
+
+    it("permite os demais e não faz nada sem padrões configurados", () => {
+        assert.doesNotThrow(() => assertNotProduction({ host: "localhost", database: "loja_dev" }, config));
+        assert.doesNotThrow(() => assertNotProduction({ host: "prod", database: "prod" }, {}));
+    });
+});
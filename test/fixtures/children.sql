@@ -0,0 +1,30 @@
+-- Tabelas filhas de pedido: duas com a FK de mesmo nome e uma tabela de junção
+CREATE TABLE pedido (
+    id serial PRIMARY KEY,
+    numero varchar(10) NOT NULL
+);
+
+CREATE TABLE item (
+    id serial PRIMARY KEY,
+    pedido_id int NOT NULL,
+    descricao varchar(40) NOT NULL,
+    CONSTRAINT fk_pedido FOREIGN KEY (pedido_id) REFERENCES pedido(id)
+);
+
+CREATE TABLE pagamento (
+    id serial PRIMARY KEY,
+    pedido_id int NOT NULL,
+    valor numeric(10, 2) NOT NULL,
+    CONSTRAINT fk_pedido FOREIGN KEY (pedido_id) REFERENCES pedido(id)
+);
+
+CREATE TABLE tag (
+    id serial PRIMARY KEY,
+    nome varchar(20) NOT NULL
+);
+
+CREATE TABLE pedido_tag (
+    pedido_id int NOT NULL REFERENCES pedido(id),
+    tag_id int NOT NULL REFERENCES tag(id),
+    PRIMARY KEY (pedido_id, tag_id)
+);
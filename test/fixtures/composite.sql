@@ -0,0 +1,21 @@
+-- FK composta: venda -> produto (loja_id, codigo)
+CREATE TABLE loja (
+    id serial PRIMARY KEY,
+    nome varchar(40) NOT NULL
+);
+
+CREATE TABLE produto (
+    loja_id int NOT NULL REFERENCES loja(id),
+    codigo varchar(8) NOT NULL,
+    nome varchar(40) NOT NULL,
+    PRIMARY KEY (loja_id, codigo)
+);
+
+CREATE TABLE venda (
+    id serial PRIMARY KEY,
+    loja_id int NOT NULL,
+    produto_codigo varchar(8) NOT NULL,
+    quantidade int NOT NULL CHECK (quantidade BETWEEN 1 AND 9),
+    observacao text,
+    CONSTRAINT fk_venda_produto FOREIGN KEY (loja_id, produto_codigo) REFERENCES produto(loja_id, codigo)
+);
@@ -0,0 +1,13 @@
+-- Enum, domain e CHECK constraints
+CREATE TYPE status_pedido AS ENUM ('ABERTO', 'PAGO', 'ENVIADO', 'CANCELADO');
+
+CREATE DOMAIN sigla_uf AS char(2) CHECK (VALUE IN ('SP', 'RJ', 'MG'));
+
+CREATE TABLE pedido (
+    id serial PRIMARY KEY,
+    status status_pedido NOT NULL,
+    uf sigla_uf NOT NULL,
+    prioridade int NOT NULL CHECK (prioridade BETWEEN 1 AND 5),
+    canal varchar(10) NOT NULL CHECK (canal IN ('web', 'loja', 'telefone')),
+    criado_em timestamp NOT NULL DEFAULT now()
+);
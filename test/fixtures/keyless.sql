@@ -0,0 +1,7 @@
+-- Tabela sem PK nem UNIQUE, com colunas sem operador de igualdade (json, point)
+CREATE TABLE evento (
+    nome varchar(30) NOT NULL,
+    dados json NOT NULL,
+    local point NOT NULL,
+    ocorrido_em timestamp NOT NULL
+);
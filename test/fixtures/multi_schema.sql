@@ -0,0 +1,21 @@
+-- Tabelas com o mesmo nome em schemas diferentes e FK entre schemas
+CREATE SCHEMA crm;
+CREATE SCHEMA vendas;
+
+CREATE TABLE vendas.clientes (
+    id serial PRIMARY KEY,
+    cnpj varchar(14) NOT NULL UNIQUE
+);
+
+CREATE TABLE crm.clientes (
+    id serial PRIMARY KEY,
+    nome varchar(40) NOT NULL,
+    segmento varchar(20) NOT NULL
+);
+
+CREATE TABLE crm.contatos (
+    id serial PRIMARY KEY,
+    cliente_id int NOT NULL REFERENCES crm.clientes(id),
+    vendas_cliente_id int NOT NULL REFERENCES vendas.clientes(id),
+    email varchar(80) NOT NULL
+);
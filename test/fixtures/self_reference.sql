@@ -0,0 +1,21 @@
+-- Autorreferência (árvore de categorias) e ciclo entre duas tabelas
+CREATE TABLE categoria (
+    id serial PRIMARY KEY,
+    nome varchar(40) NOT NULL,
+    parent_id int REFERENCES categoria(id)
+);
+
+CREATE TABLE departamento (
+    id serial PRIMARY KEY,
+    nome varchar(40) NOT NULL,
+    gerente_id int NOT NULL
+);
+
+CREATE TABLE funcionario (
+    id serial PRIMARY KEY,
+    nome varchar(40) NOT NULL,
+    departamento_id int NOT NULL REFERENCES departamento(id)
+);
+
+ALTER TABLE departamento
+    ADD CONSTRAINT fk_departamento_gerente FOREIGN KEY (gerente_id) REFERENCES funcionario(id) DEFERRABLE;
@@ -0,0 +1,18 @@
+-- UNIQUE com poucos valores possíveis: colisões com as linhas existentes e dentro do lote
+CREATE TABLE cupom (
+    id serial PRIMARY KEY,
+    codigo int NOT NULL UNIQUE CHECK (codigo BETWEEN 1 AND 400)
+);
+
+INSERT INTO cupom (codigo) SELECT generate_series(1, 200);
+
+-- Duas constraints com uma coluna em comum: regerar "a" para uma pode repetir a outra
+CREATE TABLE par (
+    a int NOT NULL,
+    b int NOT NULL,
+    c int NOT NULL,
+    CONSTRAINT par_ab UNIQUE (a, b),
+    CONSTRAINT par_ac UNIQUE (a, c)
+);
+
+INSERT INTO par VALUES (5, 1, 9), (1, 7, 1);
@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+const { PGlite } = require("@electric-sql/pglite");
+const { useClient } = require("../../src/db");
+const { useSchemaModel } = require("../../src/schemaModel");
+const logger = require("../../src/logger");
+
+// ========================
+// BANCO DE TESTE (PGlite)
+// ========================
+//
+// PostgreSQL em memória (PGlite, sem serviço externo) com as fixtures de
+// test/fixtures, ligado aos módulos do src/ como a conexão ativa (ver db.js).
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+// Mesmo formato de resultado do pg ({ rows, rowCount, fields })
+function pgliteClient(db) {
+    return {
+        query: async (text, values = []) => {
+            const result = await db.query(text, values);
+            return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length, fields: result.fields };
+        }
+    };
+}
+
+// Cria o banco com as fixtures informadas (nomes sem .sql) e o torna a conexão ativa
+async function createTestDatabase(...fixtures) {
+    const db = new PGlite();
+    for (const fixture of fixtures) {
+        await db.exec(fs.readFileSync(path.join(FIXTURES_DIR, `${fixture}.sql`), "utf8"));
+    }
+
+    const client = pgliteClient(db);
+    useClient(client, null);
+    useSchemaModel(null);   // A estrutura é lida de novo a cada banco
+    logger.configureLogger({ level: "error" });
+
+    return {
+        db,
+        client,
+        // Linhas de uma tabela (ex.: rows("crm.contatos", "ORDER BY id"))
+        rows: async (table, suffix = "") => (await db.query(`SELECT * FROM ${table} ${suffix}`)).rows,
+        count: async (table) => (await db.query(`SELECT count(*)::int AS n FROM ${table}`)).rows[0].n,
+        close: async () => {
+            useClient(null, null);
+            useSchemaModel(null);
+            await db.close();
+        }
+    };
+}
+
+module.exports = {
+    createTestDatabase,
+    pgliteClient
+};
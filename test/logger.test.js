@@ -0,0 +1,116 @@
+const { describe, it, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const logger = require("../src/logger");
+
+// Linhas escritas no console durante fn (o logger escreve de forma síncrona)
+function capture(fn) {
+    const lines = { stdout: [], stderr: [] };
+    const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+    process.stdout.write = chunk => lines.stdout.push(String(chunk)) > 0;
+    process.stderr.write = chunk => lines.stderr.push(String(chunk)) > 0;
+    try {
+        fn();
+    } finally {
+        process.stdout.write = originals.stdout;
+        process.stderr.write = originals.stderr;
+    }
+    return lines;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mocktree-log-"));
+
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(dir, "teste-")), name);
+}
+
+describe("logger", () => {
+    afterEach(() => logger.configureLogger());
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("no nível info mostra progresso e erros, sem os detalhes de debug", () => {
+        logger.configureLogger({ level: "info" });
+        const lines = capture(() => {
+            logger.debug("🔍 detalhe");
+            logger.info("🚀 progresso");
+            logger.warn("⚠️ aviso");
+            logger.error("❌ falha:", "motivo");
+        });
+
+        assert.deepEqual(lines.stdout, ["🚀 progresso\n"]);
+        assert.deepEqual(lines.stderr, ["⚠️ aviso\n", "❌ falha: motivo\n"]);
+    });
+
+    it("--quiet mostra só avisos e erros, mas output() sai sempre", () => {
+        logger.configureLogger({ level: logger.levelFromOptions({ quiet: true }) });
+        const lines = capture(() => {
+            logger.info("progresso");
+            logger.output("resultado do comando");
+            logger.warn("aviso");
+        });
+
+        assert.deepEqual(lines.stdout, ["resultado do comando\n"]);
+        assert.deepEqual(lines.stderr, ["aviso\n"]);
+    });
+
+    it("--verbose inclui debug", () => {
+        logger.configureLogger({ level: logger.levelFromOptions({ verbose: true }) });
+
+        assert.equal(logger.isLevelEnabled("debug"), true);
+        assert.deepEqual(capture(() => logger.debug("detalhe")).stdout, ["detalhe\n"]);
+    });
+
+    it("--log-format json gera uma linha JSON por mensagem, sem emojis e com o contexto", () => {
+        logger.configureLogger({ level: "info", format: "json" });
+        logger.setLogContext({ runId: "20250101T120000-a1b2c3" });
+        const lines = capture(() => {
+            logger.info("\n🎯 PROCESSANDO TABELA: %s", "pedidos");
+            logger.info("=".repeat(60));
+        });
+
+        assert.equal(lines.stdout.length, 1);
+        const entry = JSON.parse(lines.stdout[0]);
+        assert.equal(entry.level, "info");
+        assert.equal(entry.msg, "PROCESSANDO TABELA: pedidos");
+        assert.equal(entry.runId, "20250101T120000-a1b2c3");
+        assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    });
+
+    it("--log-file grava a partir de info, mesmo com --quiet", () => {
+        const file = tempFile("seed.log");
+        logger.configureLogger({ level: "warn", file });
+        const lines = capture(() => {
+            logger.debug("detalhe");
+            logger.info("progresso");
+            logger.error("falha");
+        });
+
+        assert.deepEqual(lines.stdout, []);
+        assert.deepEqual(lines.stderr, ["falha\n"]);
+        assert.equal(fs.readFileSync(file, "utf8"), "progresso\nfalha\n");
+    });
+
+    it("--log-file com --verbose grava debug, no formato escolhido", () => {
+        const file = tempFile("seed.jsonl");
+        logger.configureLogger({ level: "debug", format: "json", file });
+        capture(() => logger.debug("💾 detalhe"));
+
+        const [line] = fs.readFileSync(file, "utf8").trim().split("\n");
+        assert.deepEqual({ ...JSON.parse(line), time: null }, { time: null, level: "debug", msg: "detalhe" });
+    });
+
+    it("deixa de gravar o arquivo que falhar, com um aviso", () => {
+        const file = path.join(tempFile("dir"), "nao", "existe.log");
+        logger.configureLogger({ level: "info", file });
+        const lines = capture(() => {
+            logger.info("primeira");
+            logger.info("segunda");
+        });
+
+        assert.deepEqual(lines.stdout, ["primeira\n", "segunda\n"]);
+        assert.equal(lines.stderr.length, 1);
+        assert.match(lines.stderr[0], /Não foi possível gravar em/);
+    });
+});
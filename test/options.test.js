@@ -0,0 +1,106 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_OPTIONS, parseArgs, parseRange, parseChildren, parseRatio, parseDateRange } = require("../src/options");
+
+describe("parseArgs", () => {
+    it("sem argumentos devolve as opções padrão", () => {
+        assert.deepEqual(parseArgs([]), { positionals: [], options: DEFAULT_OPTIONS });
+    });
+
+    it("separa os argumentos posicionais das flags", () => {
+        const { positionals, options } = parseArgs(["seed", "pedidos", "--rows", "20", "--dry-run"]);
+
+        assert.deepEqual(positionals, ["seed", "pedidos"]);
+        assert.equal(options.rows, 20);
+        assert.equal(options.dryRun, true);
+    });
+
+    it("aceita o valor no próximo argumento ou depois de =", () => {
+        const { options } = parseArgs(["--per-parent=2-4", "--schema", "crm", "--dates=2024-01-01..2024-12-31"]);
+
+        assert.deepEqual(options.perParent, { min: 2, max: 4 });
+        assert.equal(options.schema, "crm");
+        assert.equal(options.dates.from, Date.parse("2024-01-01"));
+    });
+
+    it("mantém o = dentro do valor", () => {
+        assert.equal(parseArgs(["--seed=a=b"]).options.seed, "a=b");
+    });
+
+    it("aceita as formas curtas", () => {
+        const { options } = parseArgs(["-q", "-h"]);
+
+        assert.equal(options.quiet, true);
+        assert.equal(options.help, true);
+    });
+
+    it("flags booleanas aceitam =true e =false", () => {
+        const { options } = parseArgs(["--dry-run=false", "--rollback=false", "--transaction=true"]);
+
+        assert.equal(options.dryRun, false);
+        assert.equal(options.rollback, false);
+        assert.equal(options.transaction, true);
+    });
+
+    it("recusa outros valores em flags booleanas", () => {
+        assert.throws(() => parseArgs(["--dry-run=no"]), /Valor inválido para --dry-run: 'no'/);
+        assert.throws(() => parseArgs(["--rollback="]), /Valor inválido para --rollback: ''/);
+    });
+
+    it("recusa opções desconhecidas", () => {
+        assert.throws(() => parseArgs(["--linhas", "3"]), /Opção desconhecida: --linhas/);
+    });
+
+    it("recusa flag sem o valor", () => {
+        assert.throws(() => parseArgs(["--rows"]), /A opção --rows exige um valor/);
+        assert.throws(() => parseArgs(["--output", "--dry-run"]), /A opção --output exige um valor/);
+    });
+
+    it("valida o valor de cada flag", () => {
+        assert.throws(() => parseArgs(["--rows", "0"]), /Valor inválido para --rows: '0'/);
+        assert.throws(() => parseArgs(["--retries", "-1"]), /Valor inválido para --retries/);
+        assert.throws(() => parseArgs(["--on-error", "ignore"]), /use abort ou skip/);
+        assert.throws(() => parseArgs(["--log-format", "xml"]), /use text ou json/);
+    });
+
+    it("não altera DEFAULT_OPTIONS", () => {
+        parseArgs(["--rows", "5", "--transaction"]);
+
+        assert.equal(DEFAULT_OPTIONS.rows, 1);
+        assert.equal(DEFAULT_OPTIONS.transaction, false);
+    });
+});
+
+describe("valores das flags", () => {
+    it("parseRange aceita N e MIN-MAX", () => {
+        assert.deepEqual(parseRange("3"), { min: 3, max: 3 });
+        assert.deepEqual(parseRange("1 - 5"), { min: 1, max: 5 });
+        assert.throws(() => parseRange("5-1"), /MAX menor que MIN/);
+        assert.throws(() => parseRange("a-b"), /Intervalo inválido/);
+    });
+
+    it("parseChildren separa all e as tabelas com intervalo", () => {
+        assert.deepEqual(parseChildren("itens:1-5,pedido_tags", "--children"), {
+            all: false,
+            perParent: { min: 1, max: 3 },
+            tables: [{ name: "itens", perParent: { min: 1, max: 5 } }, { name: "pedido_tags", perParent: null }]
+        });
+        assert.deepEqual(parseChildren("all:2-4", "--children").perParent, { min: 2, max: 4 });
+        assert.throws(() => parseChildren(":1-2", "--children"), /Valor inválido para --children/);
+    });
+
+    it("parseRatio aceita proporção e porcentagem", () => {
+        assert.equal(parseRatio("0.3", "--fill"), 0.3);
+        assert.equal(parseRatio("30%", "--fill"), 0.3);
+        assert.throws(() => parseRatio("1.5", "--fill"), /proporção entre 0 e 1/);
+    });
+
+    it("parseDateRange inclui o dia inteiro do fim", () => {
+        const { from, to } = parseDateRange("2024-01-01..2024-01-31", "--dates");
+
+        assert.equal(from, Date.parse("2024-01-01"));
+        assert.equal(to, Date.parse("2024-02-01") - 1);
+        assert.throws(() => parseDateRange("2024-02-01..2024-01-01", "--dates"), /FIM antes de INICIO/);
+        assert.throws(() => parseDateRange("ontem..hoje", "--dates"), /use INICIO..FIM/);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestDatabase } = require("./helpers/database");
+const { buildPlan } = require("../src/planner");
+const { DEFAULT_OPTIONS, parseChildren } = require("../src/options");
+
+// buildPlan percorre a árvore de FKs a partir da tabela alvo (ordem de inserção, ciclos e filhas)
+describe("buildPlan", () => {
+    let database;
+    before(async () => { database = await createTestDatabase("composite", "self_reference", "multi_schema", "children"); });
+    after(async () => { await database.close(); });
+
+    const plan = (schema, table, options = {}) => buildPlan({ schema, table }, { ...DEFAULT_OPTIONS, ...options });
+
+    it("ordena as dependências de uma FK composta antes da tabela alvo", async () => {
+        const { steps, cycles } = await plan("public", "venda", { rows: 5, parentRows: 2 });
+
+        assert.deepEqual(steps.map(step => [step.key, step.role, step.rows]), [
+            ["public.loja", "dependency", 2],
+            ["public.produto", "dependency", 2],
+            ["public.venda", "target", 5]
+        ]);
+        assert.deepEqual(steps[2].dependsOn, ["public.produto"]);
+        assert.deepEqual(cycles, []);
+    });
+
+    it("trata a autorreferência como ciclo da própria tabela", async () => {
+        const { steps, cycles } = await plan("public", "categoria");
+
+        assert.deepEqual(steps.map(step => step.key), ["public.categoria"]);
+        assert.deepEqual(cycles.map(cycle => [cycle.source, cycle.target, cycle.name]), [
+            ["public.categoria", "public.categoria", "categoria_parent_id_fkey"]
+        ]);
+    });
+
+    it("quebra o ciclo entre duas tabelas pela FK DEFERRABLE", async () => {
+        const { steps, cycles } = await plan("public", "funcionario");
+
+        assert.deepEqual(steps.map(step => step.key), ["public.departamento", "public.funcionario"]);
+        assert.deepEqual(cycles.map(cycle => cycle.name), ["fk_departamento_gerente"]);
+    });
+
+    it("segue FKs entre schemas sem confundir tabelas homônimas", async () => {
+        const { steps } = await plan("crm", "contatos");
+
+        assert.deepEqual(steps.map(step => step.key).sort(), ["crm.clientes", "crm.contatos", "vendas.clientes"]);
+        assert.equal(steps[steps.length - 1].key, "crm.contatos");
+    });
+
+    it("inclui as tabelas filhas com --children", async () => {
+        const { steps } = await plan("public", "loja", { children: parseChildren("all:2-2", "--children") });
+
+        const child = steps.find(step => step.key === "public.produto");
+        assert.equal(child.role, "child");
+        assert.deepEqual(child.perParent, { min: 2, max: 2 });
+    });
+
+    it("planeja linhas suficientes do outro lado de uma tabela de junção", async () => {
+        const { steps } = await plan("public", "pedido", { children: parseChildren("pedido_tag:2-4", "--children") });
+
+        const junction = steps.find(step => step.key === "public.pedido_tag");
+        assert.deepEqual(junction.junction, { foreignKey: "pedido_tag_tag_id_fkey", target: "public.tag" });
+        assert.equal(steps.find(step => step.key === "public.tag").rows, 4);
+    });
+
+    it("mantém filhas distintas cujas FKs têm o mesmo nome", async () => {
+        const { steps } = await plan("public", "pedido", { children: parseChildren("all", "--children") });
+
+        const children = steps.filter(step => step.role === "child");
+        assert.deepEqual(children.map(step => step.key).sort(), ["public.item", "public.pagamento", "public.pedido_tag"]);
+        children.forEach(step => assert.equal(step.parentForeignKey, step.key === "public.pedido_tag" ? "pedido_tag_pedido_id_fkey" : "fk_pedido"));
+    });
+});
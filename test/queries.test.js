@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestDatabase } = require("./helpers/database");
+const {
+    findTableInDatabase,
+    getRequiredColumns,
+    getForeignKeys,
+    insertData,
+    insertManyData
+} = require("../src/queries");
+
+describe("introspecção", () => {
+    describe("FK composta", () => {
+        let database;
+        before(async () => { database = await createTestDatabase("composite"); });
+        after(async () => { await database.close(); });
+
+        it("getRequiredColumns devolve as FKs antes das obrigatórias e ignora serial e anuláveis", async () => {
+            const columns = await getRequiredColumns("public", "venda");
+            assert.deepEqual(
+                columns.map(col => [col.column_name, col.column_type]),
+                [["loja_id", "fk"], ["produto_codigo", "fk"], ["quantidade", "required"]]
+            );
+        });
+
+        it("getForeignKeys devolve uma linha por coluna da FK composta, na ordem da constraint", async () => {
+            const foreignKeys = await getForeignKeys("venda");
+            assert.deepEqual(
+                foreignKeys.map(fk => [fk.fk_name, fk.source_column, fk.target_table, fk.target_column, fk.position]),
+                [
+                    ["fk_venda_produto", "loja_id", "produto", "loja_id", 1],
+                    ["fk_venda_produto", "produto_codigo", "produto", "codigo", 2]
+                ]
+            );
+            assert.deepEqual(foreignKeys[0].target_columns, ["loja_id", "codigo"]);
+        });
+
+        it("getForeignKeys devolve lista vazia para tabela inexistente", async () => {
+            assert.deepEqual(await getForeignKeys("nao_existe"), []);
+        });
+    });
+
+    describe("enums, domains e CHECK", () => {
+        let database;
+        before(async () => { database = await createTestDatabase("enums"); });
+        after(async () => { await database.close(); });
+
+        it("getRequiredColumns expõe o tipo do enum e o domain", async () => {
+            const columns = Object.fromEntries((await getRequiredColumns("public", "pedido")).map(col => [col.column_name, col]));
+
+            assert.deepEqual(Object.keys(columns).sort(), ["canal", "prioridade", "status", "uf"]);
+            assert.equal(columns.status.data_type, "USER-DEFINED");
+            assert.equal(columns.status.udt_name, "status_pedido");
+            assert.equal(columns.uf.domain_name, "sigla_uf");
+            assert.equal(columns.canal.data_limit, 10);
+        });
+    });
+
+    describe("schemas com tabelas de mesmo nome", () => {
+        let database;
+        before(async () => { database = await createTestDatabase("multi_schema"); });
+        after(async () => { await database.close(); });
+
+        it("findTableInDatabase respeita o schema informado", async () => {
+            assert.deepEqual(await findTableInDatabase("clientes", "vendas"), { schema: "vendas", table: "clientes" });
+            assert.deepEqual(await findTableInDatabase("clientes", "crm"), { schema: "crm", table: "clientes" });
+            assert.equal(await findTableInDatabase("clientes", "public"), null);
+        });
+
+        it("findTableInDatabase sem schema escolhe o primeiro em ordem alfabética", async () => {
+            assert.deepEqual(await findTableInDatabase("clientes"), { schema: "crm", table: "clientes" });
+        });
+
+        it("getRequiredColumns não mistura as colunas das tabelas homônimas", async () => {
+            const crm = (await getRequiredColumns("crm", "clientes")).map(col => col.column_name);
+            const vendas = (await getRequiredColumns("vendas", "clientes")).map(col => col.column_name);
+            assert.deepEqual(crm.sort(), ["nome", "segmento"]);
+            assert.deepEqual(vendas, ["cnpj"]);
+        });
+
+        it("getForeignKeys resolve FKs entre schemas", async () => {
+            const foreignKeys = await getForeignKeys("contatos", "crm");
+            assert.deepEqual(
+                foreignKeys.map(fk => `${fk.source_column} -> ${fk.target_schema}.${fk.target_table}`).sort(),
+                ["cliente_id -> crm.clientes", "vendas_cliente_id -> vendas.clientes"]
+            );
+        });
+    });
+});
+
+describe("insertData e insertManyData", () => {
+    let database;
+    before(async () => { database = await createTestDatabase("composite", "enums"); });
+    after(async () => { await database.close(); });
+
+    it("insertData devolve a linha inserida e a chave primária", async () => {
+        const result = await insertData("public", "loja", ["nome"], ["Loja Centro"]);
+
+        assert.equal(result.success, true);
+        assert.equal(result.table, "public.loja");
+        assert.deepEqual(result.key, { id: 1 });
+        assert.deepEqual(result.data, { id: 1, nome: "Loja Centro" });
+    });
+
+    it("insertData aceita SQL bruto e NULL", async () => {
+        const result = await insertData("public", "loja", ["nome"], [{ raw: "upper('norte')" }]);
+        assert.equal(result.data.nome, "NORTE");
+
+        const failed = await insertData("public", "loja", ["nome"], [null]);
+        assert.equal(failed.success, false);
+        assert.equal(failed.errorCode, "23502");
+    });
+
+    it("insertData devolve o código e o detalhe do erro do PostgreSQL", async () => {
+        const result = await insertData("public", "produto", ["loja_id", "codigo", "nome"], [99, "A1", "Caneta"]);
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorCode, "23503");
+        assert.match(result.errorDetail, /\(loja_id\)=\(99\)/);
+        assert.deepEqual(result.params, [99, "A1", "Caneta"]);
+    });
+
+    it("insertManyData devolve as chaves compostas na ordem do VALUES", async () => {
+        const result = await insertManyData("public", "produto", ["loja_id", "codigo", "nome"], [
+            [1, "B2", "Lápis"],
+            [1, "A1", "Caneta"]
+        ]);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.results.map(row => row.key), [
+            { loja_id: 1, codigo: "B2" },
+            { loja_id: 1, codigo: "A1" }
+        ]);
+        assert.ok(result.results.every(row => row.batchRows === 2));
+    });
+
+    it("insertManyData converte os valores para o tipo das colunas (enum, domain, DEFAULT, NULL)", async () => {
+        const columns = ["status", "uf", "prioridade", "canal", "criado_em"];
+        const result = await insertManyData("public", "pedido", columns, [
+            ["PAGO", "SP", 3, "web", { raw: "DEFAULT" }],
+            ["ABERTO", "RJ", 1, "loja", new Date("2024-05-01T12:00:00Z")],
+            ["ENVIADO", "MG", 5, "telefone", { raw: "DEFAULT" }]
+        ]);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.results.map(row => [row.data.status, row.data.prioridade]), [["PAGO", 3], ["ABERTO", 1], ["ENVIADO", 5]]);
+        assert.ok(result.results.every(row => row.data.criado_em instanceof Date));
+
+        // Sem typmod no cast: o valor longo é recusado, não truncado
+        const tooLong = await insertManyData("public", "pedido", columns, [["PAGO", "SP", 1, "web".repeat(4), null]]);
+        assert.equal(tooLong.errorCode, "22001");
+    });
+
+    it("insertManyData é tudo ou nada", async () => {
+        const result = await insertManyData("public", "produto", ["loja_id", "codigo", "nome"], [
+            [1, "C3", "Borracha"],
+            [1, "A1", "Caneta"]
+        ]);
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorCode, "23505");
+        assert.equal(await database.count("produto"), 2);
+    });
+});
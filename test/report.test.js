@@ -0,0 +1,145 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildReport, buildFailedReport, renderJUnit, saveReport, saveJUnitReport } = require("../src/report");
+
+const INSERT_LOJA = 'INSERT INTO "public"."loja" ("nome") VALUES ($1) RETURNING *;';
+const INSERT_VENDA = 'INSERT INTO "public"."venda" ("loja_id", "quantidade") SELECT ... RETURNING *;';
+
+// Resumo no formato devolvido por seedTable: uma dependência e a tabela principal
+// com um INSERT em lote de duas linhas, uma delas com falha
+function summary() {
+    return {
+        table: "venda",
+        runId: "20250101T120000-a1b2c3",
+        dryRun: false,
+        seed: "testes",
+        startedAt: "2025-01-01T12:00:00.000Z",
+        finishedAt: "2025-01-01T12:00:01.500Z",
+        steps: [
+            { key: "public.loja", role: "dependency", dependsOn: [], rows: 1 },
+            { key: "public.venda", role: "target", dependsOn: ["public.loja"], rows: 2 }
+        ],
+        transaction: "committed",
+        aborted: false,
+        totalInserts: 3,
+        successfulInserts: 2,
+        failedInserts: 1,
+        updates: 0,
+        failedUpdates: 0,
+        results: [
+            { table: "public.loja", success: true, id: 1, key: { id: 1 }, sql: INSERT_LOJA, durationMs: 4 },
+            { table: "public.venda", success: true, id: 7, key: { id: 7 }, sql: INSERT_VENDA, durationMs: 10, batchRows: 2 },
+            {
+                table: "public.venda",
+                success: false,
+                sql: INSERT_VENDA,
+                durationMs: 10,
+                batchRows: 2,
+                attempts: 3,
+                error: "new row violates check constraint \"venda_quantidade_check\"",
+                errorCode: "23514",
+                errorDetail: "Failing row contains (8, 1, -1).",
+                params: [1, -1]
+            }
+        ],
+        updateResults: []
+    };
+}
+
+describe("buildReport", () => {
+    it("resume as tabelas do plano e os INSERTs, com o SQL de um lote uma única vez", () => {
+        const report = buildReport(summary());
+
+        assert.equal(report.target, "venda");
+        assert.equal(report.durationMs, 1500);
+        assert.equal(report.error, null);
+        assert.deepEqual(report.totals, { inserts: 3, successful: 2, failed: 1, updates: 0, failedUpdates: 0 });
+        assert.deepEqual(report.tables.map(table => [table.table, table.inserted, table.failed]), [
+            ["public.loja", 1, 0],
+            ["public.venda", 1, 1]
+        ]);
+        assert.deepEqual(report.statements, [INSERT_LOJA, INSERT_VENDA]);
+        assert.deepEqual(report.inserts.map(insert => insert.statement), [0, 1, 1]);
+    });
+
+    it("traz o erro, o código e os parâmetros só nas falhas", () => {
+        const [ok, , failed] = buildReport(summary()).inserts;
+
+        assert.equal(ok.error, undefined);
+        assert.equal(failed.errorCode, "23514");
+        assert.equal(failed.errorDetail, "Failing row contains (8, 1, -1).");
+        assert.deepEqual(failed.params, [1, -1]);
+        assert.equal(failed.attempts, 3);
+    });
+
+    it("grava as chaves do dry-run como SQL", () => {
+        const dryRun = { ...summary(), dryRun: true, results: [{ table: "public.loja", success: true, id: { raw: '(SELECT "id" FROM r1)' }, key: { id: { raw: '(SELECT "id" FROM r1)' } } }] };
+        const [insert] = buildReport(dryRun).inserts;
+
+        assert.equal(insert.id, '(SELECT "id" FROM r1)');
+        assert.deepEqual(insert.key, { id: '(SELECT "id" FROM r1)' });
+    });
+});
+
+describe("buildFailedReport", () => {
+    it("registra a execução interrompida sem tabelas nem INSERTs", () => {
+        const report = buildFailedReport({ target: "nao_existe", seed: "testes", startedAt: new Date().toISOString(), error: "Tabela 'nao_existe' não encontrada" });
+
+        assert.equal(report.error, "Tabela 'nao_existe' não encontrada");
+        assert.equal(report.runId, null);
+        assert.deepEqual(report.totals, { inserts: 0, successful: 0, failed: 0, updates: 0, failedUpdates: 0 });
+        assert.deepEqual(report.tables, []);
+        assert.deepEqual(report.inserts, []);
+        assert.ok(report.durationMs >= 0);
+    });
+});
+
+describe("renderJUnit", () => {
+    it("gera um testsuite por tabela e um testcase por linha, com as falhas", () => {
+        const xml = renderJUnit(buildReport(summary()));
+
+        assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="mocktree seed venda" tests="3" failures="1" errors="0" time="1.500"/);
+        assert.match(xml, /<testsuite name="public.loja" tests="1" failures="0" errors="0" time="0.004">/);
+        assert.match(xml, /<testsuite name="public.venda" tests="2" failures="1" errors="0" time="0.010">/);
+        assert.match(xml, /<testcase classname="mocktree.public.venda" name="INSERT #1 \(7\)" time="0.005"\/>/);
+        assert.match(xml, /<failure message="new row violates check constraint &quot;venda_quantidade_check&quot;" type="23514">Detalhe: Failing row contains \(8, 1, -1\)\./);
+        assert.ok(xml.includes(`Parâmetros: [1,-1]</failure>`));
+    });
+
+    it("escapa o XML e remove caracteres de controle", () => {
+        const bad = summary();
+        bad.results[2].error = "valor <inválido> & \u0001quebrado";
+        const xml = renderJUnit(buildReport(bad));
+
+        assert.ok(xml.includes('message="valor &lt;inválido&gt; &amp; quebrado"'));
+    });
+
+    it("registra a execução interrompida como um testcase com <error>", () => {
+        const report = buildFailedReport({ target: "nao_existe", startedAt: new Date().toISOString(), error: "Tabela 'nao_existe' não encontrada" });
+        const xml = renderJUnit(report);
+
+        assert.match(xml, /<testsuites name="mocktree seed nao_existe" tests="1" failures="0" errors="1"/);
+        assert.ok(xml.includes(`<error message="Tabela 'nao_existe' não encontrada" type="error"/>`));
+    });
+});
+
+describe("saveReport e saveJUnitReport", () => {
+    it("gravam os relatórios criando os diretórios que faltam", () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), "mocktree-report-"));
+        const dir = path.join(root, "ci", "relatorios");
+        const report = buildReport(summary());
+
+        try {
+            const json = saveReport(report, path.join(dir, "run.json"));
+            const xml = saveJUnitReport(report, path.join(dir, "run.xml"));
+
+            assert.equal(fs.readFileSync(json, "utf8"), JSON.stringify(report, null, 2) + "\n");
+            assert.equal(fs.readFileSync(xml, "utf8"), renderJUnit(report));
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,202 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestDatabase } = require("./helpers/database");
+const { seedTable } = require("../src/seed");
+const { DEFAULT_OPTIONS, parseChildren } = require("../src/options");
+const { prepareConfig } = require("../src/config");
+const { cleanupRun } = require("../src/manifest");
+
+const seed = (table, options = {}) => seedTable(table, { ...DEFAULT_OPTIONS, seed: "testes", ...options });
+
+// Sem comentários: o cabeçalho do script traz a data da geração
+const statements = sql => sql.split("\n").filter(line => !line.startsWith("--")).join("\n");
+
+describe("seedTable", () => {
+    let database;
+    before(async () => { database = await createTestDatabase("composite", "self_reference", "enums", "multi_schema", "unique"); });
+    after(async () => { await database.close(); });
+
+    it("popula as dependências de uma FK composta e referencia linhas existentes", async () => {
+        const summary = await seed("venda", { rows: 5, parentRows: 2 });
+
+        assert.equal(summary.failedInserts, 0);
+        assert.equal(summary.mainTableCount, 5);
+        assert.equal(await database.count("loja"), 2);
+        assert.equal(await database.count("produto"), 2);
+
+        const joined = await database.db.query(
+            "SELECT count(*)::int AS n FROM venda v JOIN produto p ON p.loja_id = v.loja_id AND p.codigo = v.produto_codigo"
+        );
+        assert.equal(joined.rows[0].n, 5);
+    });
+
+    it("gera valores válidos para enums, domains e CHECK constraints", async () => {
+        const summary = await seed("pedido", { rows: 20 });
+
+        assert.equal(summary.failedInserts, 0);
+        const rows = await database.rows("pedido");
+        assert.equal(rows.length, 20);
+        rows.forEach(row => {
+            assert.ok(["ABERTO", "PAGO", "ENVIADO", "CANCELADO"].includes(row.status));
+            assert.ok(["SP", "RJ", "MG"].includes(row.uf));
+            assert.ok(row.prioridade >= 1 && row.prioridade <= 5);
+        });
+    });
+
+    it("distribui uma tabela autorreferenciada em níveis", async () => {
+        const summary = await seed("categoria", { rows: 9, levels: 3 });
+
+        assert.equal(summary.failedInserts, 0);
+        const rows = await database.rows("categoria");
+        const ids = new Set(rows.map(row => row.id));
+        const roots = rows.filter(row => row.parent_id === null);
+
+        assert.equal(rows.length, 9);
+        assert.ok(roots.length > 0 && roots.length < 9);
+        rows.filter(row => row.parent_id !== null).forEach(row => assert.ok(ids.has(row.parent_id)));
+    });
+
+    it("fecha o ciclo de FKs NOT NULL com a constraint adiada", async () => {
+        const summary = await seed("funcionario", { rows: 2, transaction: true });
+
+        assert.equal(summary.failedInserts, 0);
+        assert.equal(summary.transaction, "committed");
+
+        const orphans = await database.db.query(
+            "SELECT count(*)::int AS n FROM departamento d LEFT JOIN funcionario f ON f.id = d.gerente_id WHERE f.id IS NULL"
+        );
+        assert.equal(orphans.rows[0].n, 0);
+        assert.equal(await database.count("funcionario"), 2);
+    });
+
+    it("respeita o schema informado e segue FKs entre schemas", async () => {
+        const summary = await seed("contatos", { schema: "crm", rows: 3 });
+
+        assert.equal(summary.failedInserts, 0);
+        assert.equal(await database.count("crm.contatos"), 3);
+        assert.equal(await database.count("crm.clientes"), 1);
+        assert.equal(await database.count("vendas.clientes"), 1);
+    });
+
+    it("devolve null para tabela inexistente", async () => {
+        assert.equal(await seed("nao_existe"), null);
+    });
+
+    it("desfaz a transação inteira quando um INSERT falha", async () => {
+        const before = await database.count("pedido");
+        const config = prepareConfig({ columns: { "pedido.prioridade": { value: 9 } } });
+
+        const summary = await seed("pedido", { rows: 3, transaction: true, config });
+
+        assert.equal(summary.transaction, "rolled back");
+        assert.ok(summary.failedInserts > 0);
+        assert.equal(summary.results.find(result => !result.success).errorCode, "23514");
+        assert.equal(summary.manifest, null);
+        assert.equal(await database.count("pedido"), before);
+    });
+
+    it("com --on-error skip desfaz a tabela inteira que falhou e confirma o resto", async () => {
+        const before = await database.count("pedido");
+        let calls = 0;
+        const config = prepareConfig({ columns: { "pedido.prioridade": { generate: () => (++calls === 2 ? 9 : 1) } } });
+
+        const summary = await seed("pedido", { rows: 2, transaction: true, onError: "skip", batchSize: 1, config });
+
+        assert.equal(summary.transaction, "committed");
+        assert.equal(summary.successfulInserts, 0);
+        assert.equal(summary.failedInserts, 2);
+        assert.equal(summary.manifest, null);
+        assert.equal(await database.count("pedido"), before);
+    });
+
+    it("gera o mesmo script no dry-run com a mesma seed, sem alterar o banco", async () => {
+        const before = await database.count("venda");
+
+        const first = await seed("venda", { rows: 3, dryRun: true });
+        const second = await seed("venda", { rows: 3, dryRun: true });
+
+        assert.match(first.sql, /INSERT INTO "public"."venda"/);
+        assert.equal(statements(first.sql), statements(second.sql));
+        assert.equal(await database.count("venda"), before);
+    });
+
+    it("registra as linhas no manifesto e o cleanup as remove", async () => {
+        const before = { loja: await database.count("loja"), venda: await database.count("venda") };
+
+        const summary = await seed("venda", { rows: 4 });
+        assert.equal(await database.count("venda"), before.venda + 4);
+
+        const cleanup = await cleanupRun(summary.manifest);
+        assert.equal(cleanup.success, true);
+        assert.equal(await database.count("venda"), before.venda);
+        assert.equal(await database.count("loja"), before.loja);
+    });
+
+    it("verifica os valores UNIQUE do lote inteiro numa consulta, sem uma por linha", async () => {
+        const query = database.client.query;
+        const executed = [];
+        database.client.query = (text, values) => {
+            executed.push(text);
+            return query(text, values);
+        };
+
+        try {
+            const summary = await seed("cupom", { rows: 60, transaction: true });
+            assert.equal(summary.failedInserts, 0);
+        } finally {
+            database.client.query = query;
+        }
+
+        const codes = (await database.rows("cupom")).map(row => row.codigo);
+        assert.equal(codes.length, 260);
+        assert.equal(new Set(codes).size, 260);
+        // Uma consulta por rodada de regeração (não por linha), no máximo 1 + --unique-retries
+        const lookups = executed.filter(text => text.includes("EXISTS (SELECT 1 FROM"));
+        assert.ok(lookups.length <= 1 + DEFAULT_OPTIONS.uniqueRetries, `${lookups.length} consultas`);
+        assert.ok(executed.filter(text => text.startsWith("SAVEPOINT")).length <= 2 * lookups.length + 1);
+    });
+});
+
+describe("seedTable em tabela sem chave", () => {
+    let database;
+    before(async () => { database = await createTestDatabase("keyless"); });
+    after(async () => { await database.close(); });
+
+    it("o cleanup compara só as colunas com igualdade (sem json e point)", async () => {
+        const summary = await seed("evento", { rows: 3 });
+        assert.equal(summary.failedInserts, 0);
+
+        const [entry] = summary.manifest.tables;
+        assert.equal(entry.byKey, false);
+        assert.deepEqual(entry.keyColumns, ["nome", "ocorrido_em"]);
+
+        const cleanup = await cleanupRun(summary.manifest);
+        assert.equal(cleanup.success, true);
+        assert.equal(await database.count("evento"), 0);
+    });
+});
+
+describe("seedTable com --children", () => {
+    let database;
+    before(async () => { database = await createTestDatabase("children"); });
+    after(async () => { await database.close(); });
+
+    it("popula todas as filhas, mesmo com FKs de mesmo nome em tabelas diferentes", async () => {
+        const summary = await seed("pedido", { rows: 2, children: parseChildren("item:2-2,pagamento:1-1", "--children") });
+
+        assert.equal(summary.failedInserts, 0);
+        assert.equal(await database.count("item"), 4);
+        assert.equal(await database.count("pagamento"), 2);
+    });
+
+    it("liga cada registro pai a pares distintos da tabela de junção", async () => {
+        const summary = await seed("pedido", { rows: 3, children: parseChildren("pedido_tag:3-3", "--children") });
+
+        assert.equal(summary.failedInserts, 0);
+        const pairs = await database.db.query(
+            "SELECT pedido_id, count(DISTINCT tag_id)::int AS tags FROM pedido_tag GROUP BY pedido_id"
+        );
+        assert.equal(pairs.rows.length, 3);
+        pairs.rows.forEach(row => assert.equal(row.tags, 3));
+    });
+});
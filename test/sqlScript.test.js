@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestDatabase } = require("./helpers/database");
+const {
+    startRecording,
+    isRecording,
+    finishRecording,
+    recordInsert,
+    recordUpdate,
+    recordDeferredConstraint,
+    recordSequenceSync,
+    formatLiteral,
+    quoteIdent
+} = require("../src/sqlScript");
+
+// Sem comentários: o cabeçalho do script traz a data da geração
+const statements = sql => sql.split("\n").filter(line => !line.startsWith("--")).join("\n");
+
+describe("formatLiteral e quoteIdent", () => {
+    it("converte valores JS em literais SQL", () => {
+        assert.equal(formatLiteral(null), "NULL");
+        assert.equal(formatLiteral(undefined), "NULL");
+        assert.equal(formatLiteral(42), "42");
+        assert.equal(formatLiteral(NaN), "'NaN'");
+        assert.equal(formatLiteral(10n), "10");
+        assert.equal(formatLiteral(false), "FALSE");
+        assert.equal(formatLiteral(new Date("2024-05-01T10:00:00Z")), "'2024-05-01T10:00:00.000Z'");
+        assert.equal(formatLiteral({ tipo: "d'água" }), `'{"tipo":"d''água"}'`);
+        assert.equal(formatLiteral("O'Brien"), "'O''Brien'");
+        assert.equal(formatLiteral({ raw: "now()" }), "now()");
+    });
+
+    it("escapa aspas nos identificadores", () => {
+        assert.equal(quoteIdent('nome "curto"'), '"nome ""curto"""');
+    });
+});
+
+describe("script do dry-run", () => {
+    let database;
+    before(async () => { database = await createTestDatabase("self_reference"); });
+    after(async () => { await database.close(); });
+
+    it("sem INSERTs gera só o cabeçalho", () => {
+        startRecording("seed de public.categoria");
+        assert.equal(isRecording(), true);
+
+        const sql = finishRecording();
+        assert.equal(isRecording(), false);
+        assert.match(sql, /^-- MockTree: seed de public.categoria\n/);
+        assert.match(sql, /-- Nenhum INSERT foi gerado\n$/);
+        assert.doesNotMatch(sql, /BEGIN/);
+    });
+
+    it("encadeia as FKs pelas CTEs e fecha os ciclos com UPDATE depois do WITH", () => {
+        startRecording("seed de public.categoria");
+        const root = recordInsert("public", "categoria", ["nome", "parent_id"], ["Raiz", null], ["id"]);
+        const child = recordInsert("public", "categoria", ["nome", "parent_id"], ["Filha", root.key.id], ["id"]);
+        recordInsert("public", "departamento", [], [], ["id"]);
+        recordUpdate("public", "categoria", ["parent_id"], [child.key.id], ["id"], [root.key.id]);
+        recordDeferredConstraint("public", "fk_departamento_gerente");
+        recordDeferredConstraint("public", "fk_departamento_gerente");
+        recordSequenceSync(`SELECT setval('categoria_id_seq', 10);`);
+
+        assert.equal(root.name, "r1");
+        assert.equal(String(root.key.id), '(SELECT "id" FROM r1)');
+
+        const sql = finishRecording();
+        assert.equal(statements(sql), [
+            "",
+            "BEGIN;",
+            "",
+            'SET CONSTRAINTS "public"."fk_departamento_gerente" DEFERRED;',
+            "",
+            "CREATE TEMP TABLE mocktree_refs (ref text PRIMARY KEY, row jsonb) ON COMMIT DROP;",
+            "",
+            "WITH",
+            "r1 AS (",
+            `    INSERT INTO "public"."categoria" ("nome", "parent_id") VALUES ('Raiz', NULL) RETURNING *`,
+            "),",
+            "r2 AS (",
+            `    INSERT INTO "public"."categoria" ("nome", "parent_id") VALUES ('Filha', (SELECT "id" FROM r1)) RETURNING *`,
+            "),",
+            "r3 AS (",
+            `    INSERT INTO "public"."departamento" DEFAULT VALUES RETURNING *`,
+            "),",
+            "mocktree_keys AS (",
+            "    INSERT INTO mocktree_refs (ref, row)",
+            "    SELECT 'r1', to_jsonb(r1) FROM r1",
+            "    UNION ALL",
+            "    SELECT 'r2', to_jsonb(r2) FROM r2",
+            ")",
+            "SELECT 3 AS mocktree_inserts;",
+            "",
+            `UPDATE "public"."categoria" SET "parent_id" = (SELECT (jsonb_populate_record(NULL::"public"."categoria", row))."id" FROM mocktree_refs WHERE ref = 'r2') WHERE "id" = (SELECT (jsonb_populate_record(NULL::"public"."categoria", row))."id" FROM mocktree_refs WHERE ref = 'r1');`,
+            "",
+            "SELECT setval('categoria_id_seq', 10);",
+            "",
+            "COMMIT;",
+            ""
+        ].join("\n"));
+    });
+
+    it("gera um script que o PostgreSQL executa", async () => {
+        startRecording("seed de public.categoria");
+        const root = recordInsert("public", "categoria", ["nome"], ["Raiz"], ["id"]);
+        const child = recordInsert("public", "categoria", ["nome", "parent_id"], ["Filha", root.key.id], ["id"]);
+        recordUpdate("public", "categoria", ["parent_id"], [child.key.id], ["id"], [root.key.id]);
+
+        await database.db.exec(finishRecording());
+
+        const [first, second] = await database.rows("categoria", "ORDER BY id");
+        assert.equal(second.parent_id, first.id);
+        assert.equal(first.parent_id, second.id);
+    });
+});
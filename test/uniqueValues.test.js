@@ -0,0 +1,38 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestDatabase } = require("./helpers/database");
+const { ensureUniqueRows, resetUniqueTracking } = require("../src/uniqueValues");
+
+// Linha com valores regerados numa sequência fixa por coluna
+function row(columns, values, sequences) {
+    return {
+        columns,
+        values,
+        regenerate: column => (sequences[column] || []).shift()
+    };
+}
+
+describe("ensureUniqueRows", () => {
+    let database;
+    before(async () => { database = await createTestDatabase("unique"); });
+    after(async () => { await database.close(); });
+
+    it("volta a verificar as constraints com colunas em comum depois de regerar", async () => {
+        resetUniqueTracking();
+        // (1, 1) já existe em par_ac; o primeiro "a" regerado repete (5, 1) em par_ab
+        const target = row(["a", "b", "c"], [1, 1, 1], { a: [5, 6], b: [3], c: [2] });
+
+        const unique = await ensureUniqueRows("public", "par", [target], 10);
+
+        assert.equal(unique, true);
+        assert.deepEqual(target.values, [6, 3, 2]);
+    });
+
+    it("desiste depois de maxAttempts passadas", async () => {
+        resetUniqueTracking();
+        // Cada constraint regera "a" para um valor que repete a outra
+        const target = row(["a", "b", "c"], [1, 1, 1], { a: [5, 1, 5, 1, 5, 1], b: [1, 1, 1], c: [1, 1, 1] });
+
+        assert.equal(await ensureUniqueRows("public", "par", [target], 2), false);
+    });
+});